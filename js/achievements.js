@@ -0,0 +1,150 @@
+/**
+ * Achievements
+ * Declarative goals checked against the running game with the same condition
+ * vocabulary as augment unlocks (checkUnlockCondition in utils.js). Earned
+ * achievements are kept across runs on this device.
+ */
+
+/**
+ * condition: { type: 'stat_threshold', stat, threshold, compare? } (stat is a GameState.stats key or 'round')
+ *          | { type: 'item_collected', itemId?, modifier?, attribute? } | { type: 'modifier_collected', modId }
+ */
+const ACHIEVEMENTS = {
+    first_pull: {
+        name: 'First Pull',
+        description: 'Roll your first item',
+        icon: '🎰',
+        condition: { type: 'stat_threshold', stat: 'totalItemsRolled', threshold: 1 }
+    },
+    centurion: {
+        name: 'Centurion',
+        description: 'Roll 100 items in one run',
+        icon: '💯',
+        condition: { type: 'stat_threshold', stat: 'totalItemsRolled', threshold: 100 }
+    },
+    slot_veteran: {
+        name: 'Slot Veteran',
+        description: 'Roll 500 items in one run',
+        icon: '🎖️',
+        condition: { type: 'stat_threshold', stat: 'totalItemsRolled', threshold: 500 }
+    },
+    chip_stack: {
+        name: 'Chip Stack',
+        description: 'Earn 1,000Ȼ in one run',
+        icon: '🪙',
+        condition: { type: 'stat_threshold', stat: 'totalChipsEarned', threshold: 1000 }
+    },
+    high_roller: {
+        name: 'High Roller',
+        description: 'Earn 25,000Ȼ in one run',
+        icon: '💎',
+        condition: { type: 'stat_threshold', stat: 'totalChipsEarned', threshold: 25000 }
+    },
+    deep_pockets: {
+        name: 'Deep Pockets',
+        description: 'Hold 500Ȼ at once',
+        icon: '👛',
+        condition: { type: 'stat_threshold', stat: 'maxChipsHeld', threshold: 500 }
+    },
+    cash_cow: {
+        name: 'Cash Cow',
+        description: 'Earn $500 in one run',
+        icon: '🐄',
+        condition: { type: 'stat_threshold', stat: 'totalCashEarned', threshold: 500 }
+    },
+    blink: {
+        name: 'Blink',
+        description: 'Finish a round in under 5 seconds',
+        icon: '⚡',
+        condition: { type: 'stat_threshold', stat: 'fastestRoundTime', threshold: 5000, compare: 'less' }
+    },
+    survivor: {
+        name: 'Survivor',
+        description: 'Reach round 10',
+        icon: '🛡️',
+        condition: { type: 'stat_threshold', stat: 'round', threshold: 10 }
+    },
+    collectors_bane: {
+        name: "Collector's Bane",
+        description: 'Reach round 26',
+        icon: '👑',
+        condition: { type: 'stat_threshold', stat: 'round', threshold: 26 }
+    },
+    gold_rush: {
+        name: 'Gold Rush',
+        description: 'Roll a Gold Nugget',
+        icon: '🥇',
+        condition: { type: 'item_collected', itemId: 'gold_nugget' }
+    },
+    titan: {
+        name: 'Titan',
+        description: 'Roll a Gargantuan item',
+        icon: '🗿',
+        condition: { type: 'item_collected', attribute: 'gargantuan' }
+    },
+    midas: {
+        name: 'Midas',
+        description: 'Roll a Golden Diamond',
+        icon: '✨',
+        condition: { type: 'item_collected', itemId: 'diamond', modifier: 'golden' }
+    },
+    haunted: {
+        name: 'Haunted',
+        description: 'Roll an item with the Cursed mod',
+        icon: '👻',
+        condition: { type: 'modifier_collected', modId: 'cursed' }
+    },
+    spectrum: {
+        name: 'Spectrum',
+        description: 'Roll an item with the Prismatic mod',
+        icon: '🌈',
+        condition: { type: 'modifier_collected', modId: 'prismatic' }
+    }
+};
+
+Object.keys(ACHIEVEMENTS).forEach(key => {
+    ACHIEVEMENTS[key].id = key;
+});
+
+/**
+ * Earned achievements, persisted through SaveSystem
+ */
+class AchievementTracker {
+    constructor(storage = new SaveSystem('thingamajig.achievements')) {
+        this.storage = storage;
+        const saved = this.storage.load();
+        this.earned = (saved && typeof saved === 'object') ? saved : {}; // { achievementId: earnedAt }
+    }
+
+    isEarned(achievementId) {
+        return !!this.earned[achievementId];
+    }
+
+    /**
+     * @returns {Object} { earned, total }
+     */
+    getProgress() {
+        const ids = Object.keys(ACHIEVEMENTS);
+        return { earned: ids.filter(id => this.isEarned(id)).length, total: ids.length };
+    }
+
+    /**
+     * Earn every achievement the run now meets
+     * @param {GameState} gameState
+     * @returns {Array} achievements earned by this call
+     */
+    check(gameState) {
+        if (typeof checkUnlockCondition !== 'function') return [];
+        const earned = Object.values(ACHIEVEMENTS).filter(achievement =>
+            !this.isEarned(achievement.id) && checkUnlockCondition(achievement.condition, gameState));
+        if (earned.length === 0) return earned;
+
+        earned.forEach(achievement => { this.earned[achievement.id] = Date.now(); });
+        this.storage.save(this.earned);
+        return earned;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ACHIEVEMENTS, AchievementTracker };
+}
@@ -0,0 +1,63 @@
+/**
+ * Adjacency
+ * Inventory order matters: some mods change the value of the items next to them.
+ * Sale value is computed left to right (GameState.getSaleBreakdown), so dragging items
+ * around the loot list is a strategic choice.
+ *
+ * Effects, keyed by mod id:
+ * - { type: 'neighbors', multiplier, sides }  items on these sides ('left', 'right') × multiplier
+ * - { type: 'copy_neighbor', side }           this item × the mod multiplier of its neighbor on that side
+ * Frozen items (biome rule freeze_first) still affect their neighbors but keep their own value.
+ */
+
+const ADJACENCY_EFFECTS = {
+    prismatic: { type: 'neighbors', multiplier: 1.25, sides: ['left', 'right'], description: 'Items next to it sell for +25%' },
+    blessed: { type: 'neighbors', multiplier: 1.15, sides: ['right'], description: 'The item to its right sells for +15%' },
+    cursed: { type: 'neighbors', multiplier: 0.9, sides: ['left', 'right'], description: 'Items next to it sell for -10%' },
+    ancient: { type: 'copy_neighbor', side: 'left', description: "Copies the mod multiplier of the item to its left" }
+};
+
+/** Combined multiplier of an item's mods (what its value already includes) */
+function getModsMultiplier(thing) {
+    return (thing.mods || []).reduce((multi, mod) => multi * (mod.multi || 1), 1);
+}
+
+/**
+ * Per-item sale values with adjacency applied, in inventory order
+ * @param {Array} inventory - rolled items
+ * @returns {Array} [{ index, thing, baseValue, value, contributions: [{ source, label, multiplier }] }]
+ */
+function computePositionalValues(inventory) {
+    const entries = inventory.map((thing, index) => ({ index, thing, baseValue: thing.value, contributions: [] }));
+
+    inventory.forEach((thing, index) => {
+        (thing.mods || []).forEach(mod => {
+            const effect = ADJACENCY_EFFECTS[mod.id];
+            if (!effect) return;
+            if (effect.type === 'neighbors') {
+                effect.sides.forEach(side => {
+                    const target = entries[side === 'left' ? index - 1 : index + 1];
+                    if (!target || target.thing.frozen) return;
+                    const label = `${mod.name} ${side === 'left' ? 'to the right' : 'to the left'}`;
+                    target.contributions.push({ source: index, label, multiplier: effect.multiplier });
+                });
+            } else if (effect.type === 'copy_neighbor') {
+                const neighbor = inventory[effect.side === 'left' ? index - 1 : index + 1];
+                if (!neighbor || thing.frozen) return;
+                const multiplier = getModsMultiplier(neighbor);
+                if (multiplier === 1) return;
+                entries[index].contributions.push({ source: index, label: `${mod.name} copies ${neighbor.name}`, multiplier });
+            }
+        });
+    });
+
+    entries.forEach(entry => {
+        const multiplier = entry.contributions.reduce((multi, c) => multi * c.multiplier, 1);
+        entry.value = Math.round(entry.baseValue * multiplier);
+    });
+    return entries;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ADJACENCY_EFFECTS, getModsMultiplier, computePositionalValues };
+}
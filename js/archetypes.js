@@ -0,0 +1,87 @@
+/**
+ * Archetypes
+ * Starting loadouts picked on the start screen (runOptions.archetype). Each one is
+ * data applied by GameState.resetGame and getAttributes:
+ * - startingCash:      cash the run starts with (default 4)
+ * - startingAugments:  augment ids owned from round 1
+ * - stats:             attribute deltas, same format as augment stats (rolls, luck, modify...)
+ * - restrictions:      { bannedAugments: [id] } never offered in the shop
+ * - unlock:            { achievement } earned to make the archetype selectable (see achievements.js)
+ */
+
+const DEFAULT_ARCHETYPE_ID = 'drifter';
+
+const ARCHETYPES = {
+    drifter: {
+        name: 'Drifter',
+        description: 'The classic opening: $4, 3 rolls, no augments.',
+        icon: '🎒'
+    },
+    gambler: {
+        name: 'Gambler',
+        description: '+4 Luck but one roll fewer. Wishing Star is never offered.',
+        icon: '🎲',
+        stats: {
+            luck: { type: 'add', value: 4 },
+            rolls: { type: 'add', value: -1 }
+        },
+        restrictions: { bannedAugments: ['wishing_star'] },
+        unlock: { achievement: 'chip_stack' }
+    },
+    banker: {
+        name: 'Banker',
+        description: 'Starts with $10 and +3 max interest stacks, but one roll fewer.',
+        icon: '🏦',
+        startingCash: 10,
+        stats: {
+            max_interest_stacks: { type: 'add', value: 3 },
+            rolls: { type: 'add', value: -1 }
+        },
+        unlock: { achievement: 'cash_cow' }
+    },
+    collector: {
+        name: 'Collector',
+        description: 'Every item rolls Glossy. Starts with $2 and never sees Auto Roll.',
+        icon: '🧺',
+        startingCash: 2,
+        stats: {
+            modify: { glossy: { guaranteed: true } }
+        },
+        restrictions: { bannedAugments: ['auto_roll_common'] },
+        unlock: { achievement: 'titan' }
+    },
+    tinkerer: {
+        name: 'Tinkerer',
+        description: 'Starts with Old Tire and Nazar, but no cash.',
+        icon: '🔧',
+        startingCash: 0,
+        startingAugments: ['old_tire', 'nazar'],
+        unlock: { achievement: 'survivor' }
+    }
+};
+
+Object.keys(ARCHETYPES).forEach(key => {
+    ARCHETYPES[key].id = key;
+});
+
+/**
+ * @param {string} [archetypeId]
+ * @returns {Object} the archetype, or the default one for unknown ids
+ */
+function getArchetype(archetypeId) {
+    return ARCHETYPES[archetypeId] || ARCHETYPES[DEFAULT_ARCHETYPE_ID];
+}
+
+/**
+ * @param {Object} archetype
+ * @param {AchievementTracker} [achievements] - earned achievements (locked archetypes stay locked without one)
+ * @returns {boolean}
+ */
+function isArchetypeUnlocked(archetype, achievements) {
+    if (!archetype.unlock) return true;
+    return !!(achievements && achievements.isEarned(archetype.unlock.achievement));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_ARCHETYPE_ID, ARCHETYPES, getArchetype, isArchetypeUnlocked };
+}
@@ -0,0 +1,231 @@
+/**
+ * Attribute Pipeline
+ * Builds the player's attributes from every source (augments, set bonuses, bonus triggers,
+ * the archetype, world events, augment hooks) in fixed layers, so the result no longer
+ * depends on the order augments were bought in:
+ *   base → set → additive → multiplicative → conversion → caps
+ * - set: the highest set value replaces the base
+ * - additive: add/sub values × stacks are summed
+ * - multiplicative: multi/div values ^ stacks are multiplied
+ * - conversion: onAttributes hooks (Wishing Star, Transcendence, Ȼ Eater), recorded as deltas
+ * - caps: limits from the run (stake interest cap, boss rules)
+ * Every contribution keeps its source so a stat can be explained:
+ *   "Luck 17 = 2 (Nazar ×2) + 10 (Compass) + 5 (Exodia set)"
+ */
+
+/** Starting value of stats that are not 0 (multipliers) or always present */
+const ATTRIBUTE_DEFAULTS = {
+    rolls: 0,
+    luck: 0,
+    max_interest_stacks: 5,
+    modification_chance: 0,
+    valueBonus: 0, multiValue: 1, addValue: 0, subtractValue: 0, divideValue: 1,
+    addChip: 0, subtractChip: 0, multiChip: 1, divideChip: 1,
+    chipsEndRound: 0,
+    addCash: 0, subtractCash: 0, multiCash: 1, divideCash: 1
+};
+
+/** Display names for explanations; other stats show their key */
+const ATTRIBUTE_LABELS = {
+    rolls: 'Rolls',
+    luck: 'Luck',
+    max_interest_stacks: 'Max Interest',
+    modification_chance: 'Mod Chance',
+    valueBonus: 'Value Bonus',
+    multiValue: 'Value x',
+    multiChip: 'Ȼ x',
+    multiCash: 'Cash x',
+    cashBonus: 'Cash Bonus',
+    chipBonus: 'Ȼ Bonus',
+    vault_capacity: 'Vault Capacity'
+};
+
+/** Stat operation → layer; sub and div are stored as negative / inverted values */
+const ATTRIBUTE_OPERATIONS = {
+    set: { layer: 'set' },
+    add: { layer: 'add' },
+    sub: { layer: 'add', negate: true },
+    multi: { layer: 'multi' },
+    mult: { layer: 'multi' },
+    multiply: { layer: 'multi' },
+    div: { layer: 'multi', invert: true },
+    divide: { layer: 'multi', invert: true }
+};
+
+const roundStat = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Collects stat contributions by source, then resolves them layer by layer
+ */
+class AttributeLedger {
+    constructor() {
+        this.entries = {}; // stat -> [{ layer, value, stacks, source: { id, name } }]
+        this.guaranteedMods = [];
+    }
+
+    /**
+     * Record one contribution
+     * @param {string} stat - attribute key, 'modifiers.<modId>' for mod rarity factors
+     * @param {string} layer - set | add | multi | conversion | cap
+     * @param {number} value - per-stack value (add/multi), final value (set/cap) or delta (conversion)
+     * @param {Object} source - { id, name }
+     * @param {number} [stacks]
+     */
+    add(stat, layer, value, source, stacks = 1) {
+        if (!this.entries[stat]) this.entries[stat] = [];
+        this.entries[stat].push({ layer, value, stacks, source });
+    }
+
+    /**
+     * Record a stats block in the augment schema: { luck: { type: 'add', value: 1 }, modify: { cursed: { type: 'set', value: 3 } } }
+     * @param {Object} source - { id, name }
+     * @param {Object} stats
+     * @param {number} [stacks]
+     */
+    addStats(source, stats, stacks = 1) {
+        if (!stats || stacks <= 0) return;
+        for (const statName in stats) {
+            const statDef = stats[statName];
+            if (statName === 'modify') {
+                for (const modId in statDef) {
+                    const modStat = statDef[modId];
+                    if (modStat.guaranteed) {
+                        if (!this.guaranteedMods.includes(modId)) this.guaranteedMods.push(modId);
+                        continue;
+                    }
+                    // Mod entries also come in the short form { set: 1 } / { value: -1 } / { multi: 2 } / { div: 2 }
+                    const type = modStat.type || ['set', 'multi', 'div'].find(key => modStat[key] !== undefined) || 'add';
+                    const value = modStat.value !== undefined ? modStat.value : modStat[type];
+                    this._addOperation(`modifiers.${modId}`, type, value, source, stacks);
+                }
+                continue;
+            }
+            if (typeof statDef === 'number') {
+                this._addOperation(statName, 'add', statDef, source, stacks);
+            } else if (statDef && typeof statDef === 'object') {
+                if (statDef.type) this._addOperation(statName, statDef.type, statDef.value, source, stacks);
+                else if (statDef.add !== undefined) this._addOperation(statName, 'add', statDef.add, source, stacks);
+            }
+        }
+    }
+
+    _addOperation(stat, type, value, source, stacks) {
+        const operation = ATTRIBUTE_OPERATIONS[type];
+        if (!operation || typeof value !== 'number') return;
+        let perStack = operation.negate ? -value : value;
+        if (operation.invert) perStack = 1 / value;
+        this.add(stat, operation.layer, perStack, source, operation.layer === 'set' ? 1 : stacks);
+    }
+
+    /**
+     * Base, set, additive and multiplicative layers
+     * @returns {Object} attributes (numbers, modifiers map, guaranteedMods)
+     */
+    resolve() {
+        const attributes = { ...ATTRIBUTE_DEFAULTS, modifiers: {}, guaranteedMods: [...this.guaranteedMods] };
+        for (const stat in this.entries) {
+            const value = this._resolveStat(stat);
+            if (stat.startsWith('modifiers.')) attributes.modifiers[stat.slice('modifiers.'.length)] = value;
+            else attributes[stat] = value;
+        }
+        return attributes;
+    }
+
+    _resolveStat(stat) {
+        const entries = this.entries[stat].filter(e => e.layer === 'set' || e.layer === 'add' || e.layer === 'multi');
+        const sets = entries.filter(e => e.layer === 'set');
+        const adds = entries.filter(e => e.layer === 'add');
+        const multis = entries.filter(e => e.layer === 'multi');
+        // A stat that is only ever multiplied starts from 1 (e.g. a mod rarity factor)
+        let value = ATTRIBUTE_DEFAULTS[stat] !== undefined ? ATTRIBUTE_DEFAULTS[stat] : (adds.length === 0 && sets.length === 0 ? 1 : 0);
+        if (sets.length > 0) value = Math.max(...sets.map(e => e.value));
+        adds.forEach(e => { value += e.value * e.stacks; });
+        multis.forEach(e => { value *= Math.pow(e.value, e.stacks); });
+        return value;
+    }
+
+    /**
+     * Record what a conversion step changed, by comparing attributes before and after it
+     * @param {Object} before - copy of the attributes before the step
+     * @param {Object} after - attributes after the step
+     * @param {Object} source - { id, name }
+     */
+    recordConversion(before, after, source) {
+        for (const stat in after) {
+            if (typeof after[stat] !== 'number') continue;
+            const delta = after[stat] - (before[stat] || 0);
+            if (delta !== 0) this.add(stat, 'conversion', delta, source);
+        }
+    }
+
+    /**
+     * Caps layer: clamp stats and record each cap that bit
+     * @param {Object} attributes
+     * @param {Array} caps - [{ stat, max?, min?, source }]
+     */
+    applyCaps(attributes, caps) {
+        caps.forEach(({ stat, max, min, source }) => {
+            const value = attributes[stat] || 0;
+            const capped = Math.min(max !== undefined ? max : value, Math.max(min !== undefined ? min : value, value));
+            if (capped === value) return;
+            attributes[stat] = capped;
+            this.add(stat, 'cap', capped, source);
+        });
+    }
+
+    /**
+     * Contributions of one source, e.g. for an augment tooltip
+     * @param {string} sourceId
+     * @returns {Array} [{ stat, layer, value, stacks }]
+     */
+    getSourceContributions(sourceId) {
+        const result = [];
+        for (const stat in this.entries) {
+            this.entries[stat].forEach(e => {
+                if (e.source.id === sourceId) result.push({ stat, layer: e.layer, value: e.value, stacks: e.stacks });
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Player-facing explanation of a stat
+     * @param {string} stat
+     * @param {number} value - final value (getAttributes()[stat])
+     * @returns {string} e.g. "Luck 17 = 2 (Nazar ×2) + 10 (Compass) + 5 (Exodia set)"
+     */
+    explain(stat, value) {
+        const label = ATTRIBUTE_LABELS[stat] || stat;
+        const entries = this.entries[stat] || [];
+        if (entries.length === 0) return `${label} ${roundStat(value)}`;
+
+        const named = (e) => `${e.source.name}${e.stacks > 1 ? ` ×${e.stacks}` : ''}`;
+        const parts = [];
+        const sets = entries.filter(e => e.layer === 'set');
+        const base = ATTRIBUTE_DEFAULTS[stat] || 0;
+        if (sets.length > 0) {
+            const set = sets.reduce((best, e) => (e.value > best.value ? e : best));
+            parts.push(`${roundStat(set.value)} (set by ${set.source.name})`);
+        } else if (base !== 0) {
+            parts.push(`${roundStat(base)} (base)`);
+        }
+        const pushDelta = (e) => {
+            const total = e.value * e.stacks;
+            const text = `${roundStat(Math.abs(total))} (${named(e)})`;
+            parts.push(parts.length === 0 ? (total < 0 ? `-${text}` : text) : `${total < 0 ? '-' : '+'} ${text}`);
+        };
+        entries.filter(e => e.layer === 'add').forEach(pushDelta);
+        entries.filter(e => e.layer === 'multi').forEach(e => {
+            parts.push(`×${roundStat(Math.pow(e.value, e.stacks))} (${named(e)})`);
+        });
+        entries.filter(e => e.layer === 'conversion').forEach(pushDelta);
+        entries.filter(e => e.layer === 'cap').forEach(e => {
+            parts.push(`capped at ${roundStat(e.value)} (${e.source.name})`);
+        });
+        return `${label} ${roundStat(value)} = ${parts.join(' ')}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ATTRIBUTE_DEFAULTS, ATTRIBUTE_LABELS, ATTRIBUTE_OPERATIONS, AttributeLedger };
+}
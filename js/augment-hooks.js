@@ -0,0 +1,85 @@
+/**
+ * Augment Hooks
+ * Augments react to the run lifecycle through data instead of id checks:
+ *   hooks: { onRoundStart: [{ type: 'free_rerolls', count: 1 }] }
+ * GameState.runAugmentHooks(hook, context) runs the effects of every owned augment for
+ * that hook; effects with a message are announced as augmentTriggered.
+ *
+ * Hooks (context):
+ * - onRoundStart {}                  a round starts (engine.startRound)
+ * - onRoll {}                        a roll is spent
+ * - onItemRolled { thing }           the rolled item is in the inventory
+ * - onSell { soldCount, earnedChips }
+ * - onRoundEnd { round }             after round rewards, before the advance check
+ * - onShopReroll { free }
+ * - onPurchase { augmentId }         any augment bought, forged or picked
+ * - onBossDefeated { boss }          a boss round was cleared
+ * - onAttributes { attributes }      end of getAttributes; edit attributes in place, no messages
+ *
+ * Every effect also takes: chance (0-1, not on onAttributes), perStack (scale by stacks owned),
+ * self (onPurchase: only when this augment is the one bought), message ('{n}' = amount)
+ */
+
+const AUGMENT_HOOKS = ['onRoundStart', 'onRoll', 'onItemRolled', 'onSell', 'onRoundEnd', 'onShopReroll', 'onPurchase', 'onBossDefeated', 'onAttributes'];
+
+/**
+ * Effect handlers: (gameState, effect, { augmentId, augment, n, context }) => { n, message? } | null
+ * n is the effect amount (count/amount) after perStack.
+ */
+const AUGMENT_HOOK_EFFECTS = {
+    // { count } free shop rerolls
+    free_rerolls: (gameState, effect, { augmentId, augment, n }) => {
+        gameState.freeRerolls = (gameState.freeRerolls || 0) + n;
+        gameState.events.emit('freeRerollsGranted', { count: n, source: augmentId });
+        return { n, message: `${augment.name}: +${n} free reroll${n === 1 ? '' : 's'}` };
+    },
+    // { amount } cash
+    gain_cash: (gameState, effect, { augment, n }) => {
+        gameState.currency.addCash(n);
+        return { n, message: `${augment.name}: +$${n}` };
+    },
+    // { amount } chips
+    gain_chips: (gameState, effect, { augment, n }) => {
+        gameState.currency.addChips(n);
+        return { n, message: `${augment.name}: +${n}Ȼ` };
+    },
+    // { stat } remember a run stat now, read back by stat_scaling { sinceMark }
+    mark_stat: (gameState, effect, { augmentId }) => {
+        gameState.augmentMarks[augmentId] = gameState.stats[effect.stat] || 0;
+        return { n: gameState.augmentMarks[augmentId] };
+    },
+    // onAttributes { stat, attribute, per, sinceMark } attribute += per × run stat (since the mark)
+    stat_scaling: (gameState, effect, { augmentId, n, context }) => {
+        const since = effect.sinceMark ? (gameState.augmentMarks[augmentId] || 0) : 0;
+        const gain = Math.max(0, (gameState.stats[effect.stat] || 0) - since) * effect.per * n;
+        context.attributes[effect.attribute] = (context.attributes[effect.attribute] || 0) + gain;
+        return { n: gain };
+    },
+    // onAttributes { from, to, base, keep } move everything above keep (counting base) from one attribute into another
+    convert_attribute: (gameState, effect, { context }) => {
+        const attributes = context.attributes;
+        const base = effect.base || 0;
+        const keep = effect.keep || 0;
+        const amount = base + (attributes[effect.from] || 0) - keep;
+        if (amount <= 0) return null;
+        attributes[effect.to] = (attributes[effect.to] || 0) + amount;
+        attributes[effect.from] = keep - base;
+        return { n: amount };
+    }
+};
+
+/**
+ * Effects an augment declares for a hook
+ * @param {Object} augment - AUGMENTS / BOSS_EXCLUSIVE_AUGMENTS entry
+ * @param {string} hook
+ * @returns {Array}
+ */
+function getAugmentHookEffects(augment, hook) {
+    const effects = augment && augment.hooks && augment.hooks[hook];
+    if (!effects) return [];
+    return Array.isArray(effects) ? effects : [effects];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AUGMENT_HOOKS, AUGMENT_HOOK_EFFECTS, getAugmentHookEffects };
+}
@@ -1,6 +1,14 @@
 /**
  * Augments System
  * One-time purchases that permanently buff your gameplay
+ *
+ * Active augments also carry `active`: a button on the game screen with charges
+ * (GameState.activateAugment). { type, charges, recharge: 'round' | 'boss', ...params }
+ * - double_last_value          the last rolled item is worth double
+ * - reroll_last_item           reroll the last rolled item, keeping its mods
+ * - buy_roll { cash }          pay cash for one extra roll this round
+ *
+ * `hooks` runs effects on run events instead of special cases in the engine (see augment-hooks.js).
  */
 
 const AUGMENTS = {
@@ -102,6 +110,9 @@ const AUGMENTS = {
         properties: {
             stack: 1
         },
+        hooks: {
+            onRoundStart: { type: 'free_rerolls', count: 1, perStack: true, message: 'Solar power granted you {n} free reroll!' }
+        },
         stats: {}
     },
     
@@ -183,6 +194,24 @@ const AUGMENTS = {
             luck: { type: 'add', value: 2 }
         }
     },
+    'gilded_vault': {
+        name: 'Gilded Vault',
+        description: '+2 vault capacity, kept items grow +10% more per round. Forged from a Gold Nugget kept in the vault.',
+        cost: 0,
+        tier: 'rare',
+        icon: '🏛️',
+        nameStyle: { color: '#fbbf24', textStroke: '1px rgba(0,0,0,0.5)' },
+        properties: {
+            stack: 1
+        },
+        conditions: [
+            { type: 'forging', recipe: ['safe_deposit_box'], vaultItems: ['gold_nugget'], cash: 15 }
+        ],
+        stats: {
+            vault_capacity: { type: 'add', value: 2 },
+            vault_growth: { type: 'add', value: 0.1 }
+        }
+    },
     'car': {
         name: 'Car',
         description: 'weeeeeeeeeeeee, +4 rolls, Can only be forged.',
@@ -284,7 +313,7 @@ const AUGMENTS = {
                 type: 'unlock',
                 condition: {
                     type: 'item_collected',
-                    itemId: 'GOLD_NUGGET'
+                    itemId: 'gold_nugget'
                 }
             }
         ],
@@ -397,6 +426,19 @@ const AUGMENTS = {
     },
 
     // UNCOMMON AUGMENTS (35-65$ - accessible early)
+    'safe_deposit_box': {
+        name: 'Safe Deposit Box',
+        description: '+1 vault capacity: keep one more item between rounds.',
+        cost: 12,
+        tier: 'uncommon',
+        icon: '🗄️',
+        properties: {
+            stack: 5
+        },
+        stats: {
+            vault_capacity: { type: 'add', value: 1 }
+        }
+    },
     'interest_rate_2': {
         name: 'Interest Rate 2',
         description: 'Gain +3Ȼ at end of round.',
@@ -565,7 +607,7 @@ const AUGMENTS = {
             stack: 50
         },
         stats: {
-            cashBonus: { type: 'mult', value: 0.5 },
+            cashBonus: { type: 'add', value: 0.5 },
             chipBonus: { type: 'add', value: 1.0 }
         }
     },
@@ -578,7 +620,8 @@ const AUGMENTS = {
         icon: '📜',
         properties: {
             stack: 1,
-            round: { min: 5 }
+            round: { min: 5 },
+            skipRollAnimation: true
         },
         stats: {}
     },
@@ -654,7 +697,79 @@ const AUGMENTS = {
         properties: {
             stack: 1
         },
-        stats: {} // Dynamic
+        hooks: {
+            onPurchase: { type: 'mark_stat', stat: 'totalChipsEarned', self: true },
+            onAttributes: { type: 'stat_scaling', stat: 'totalChipsEarned', attribute: 'valueBonus', per: 0.005, sinceMark: true }
+        },
+        stats: {}
+    },
+
+    // HOOK AUGMENTS
+    'trophy_case': {
+        name: 'Trophy Case',
+        description: 'Gain $15 whenever you defeat a boss.',
+        cost: 20,
+        tier: 'rare',
+        icon: '🏆',
+        properties: {
+            stack: 1
+        },
+        hooks: {
+            onBossDefeated: { type: 'gain_cash', amount: 15 }
+        },
+        stats: {}
+    },
+    'tip_jar': {
+        name: 'Tip Jar',
+        description: 'Gain $1 each time you sell your inventory. Stacks.',
+        cost: 6,
+        tier: 'common',
+        icon: '🫙',
+        properties: {
+            stack: 3
+        },
+        hooks: {
+            onSell: { type: 'gain_cash', amount: 1, perStack: true }
+        },
+        stats: {}
+    },
+
+    // ACTIVE AUGMENTS
+    'gilded_mirror': {
+        name: 'Gilded Mirror',
+        description: 'Active: double the value of your last roll. 1 charge, recharges every round.',
+        cost: 35,
+        tier: 'rare',
+        icon: '🪞',
+        properties: {
+            stack: 1
+        },
+        active: { type: 'double_last_value', charges: 1, recharge: 'round' },
+        stats: {}
+    },
+    'rewind_die': {
+        name: 'Rewind Die',
+        description: 'Active: reroll your last roll into a new item with the same mods. 2 charges, recharge after each boss.',
+        cost: 25,
+        tier: 'rare',
+        icon: '⏪',
+        properties: {
+            stack: 1
+        },
+        active: { type: 'reroll_last_item', charges: 2, recharge: 'boss' },
+        stats: {}
+    },
+    'coin_slot': {
+        name: 'Coin Slot',
+        description: 'Active: pay $5 for 1 roll. 3 charges, recharges every round.',
+        cost: 15,
+        tier: 'uncommon',
+        icon: '🪙',
+        properties: {
+            stack: 1
+        },
+        active: { type: 'buy_roll', cash: 5, charges: 3, recharge: 'round' },
+        stats: {}
     },
 
     // SPECIAL AUGMENTS
@@ -668,7 +783,10 @@ const AUGMENTS = {
             stack: 1,
             conflict: ['transcendence']
         },
-        stats: {} // Handled specially in game-state.js
+        hooks: {
+            onAttributes: { type: 'convert_attribute', from: 'luck', to: 'rolls' }
+        },
+        stats: {}
     },
     'transcendence': {
         name: 'Transcendence',
@@ -678,9 +796,13 @@ const AUGMENTS = {
         icon: '',
         properties: {
             stack: 1,
-            conflict: ['gamblers_fallacy']
+            conflict: ['wishing_star']
+        },
+        // 3 base rolls, so rolls = -2 leaves exactly 1
+        hooks: {
+            onAttributes: { type: 'convert_attribute', from: 'rolls', to: 'luck', base: 3, keep: 1 }
         },
-        stats: {} // Handled specially in game-state.js
+        stats: {}
     },
     'm4Lw4r3_zer01': {
         name: "M4Lw4r3_zer01",
@@ -713,7 +835,7 @@ const AUGMENTS = {
             stack: 50
         },
         conditions: [
-            { type: 'requireAugment', augmentId: ['m4lw4r3_zer01'] }
+            { type: 'requireAugment', augmentId: ['m4Lw4r3_zer01'] }
         ],
         stats: {
             luck: { type: 'add', value: 6.66 }
@@ -837,6 +959,9 @@ const AUGMENTS = {
         conditions: [
             { type: 'requireAugment', augmentId: ['prisma'] }
         ],
+        hooks: {
+            onShopReroll: { type: 'free_rerolls', count: 1, chance: 0.5, message: 'You rolled a Prismatic Ticket' }
+        },
         stats: {}
     },
     'trial_of_twilight': {
@@ -966,6 +1091,16 @@ function getAugmentById(id) {
     return { ...AUGMENTS[id], id };
 }
 
+/**
+ * Activation data of an active augment (see header), null for passive augments
+ * @param {string} augmentId
+ * @returns {Object|null}
+ */
+function getAugmentActive(augmentId) {
+    const augment = AUGMENTS[augmentId];
+    return (augment && augment.active) || null;
+}
+
 /**
  * Get augment cost (flat, one-time purchase)
  * @param {string} augmentId
@@ -1040,6 +1175,9 @@ function getRandomShopAugments(round, count = 4, owned = {}, rng = Math.random,
 
     // Helper to check if augment is unlocked/available
     const isAugmentAvailable = (id, augment) => {
+        // 0. Archetype restrictions (archetypes.js)
+        if (gameState && typeof gameState.isAugmentRestricted === 'function' && gameState.isAugmentRestricted(id)) return false;
+
         // 1. Check conflicts
         if (augment.properties && augment.properties.conflict) {
             const conflicts = Array.isArray(augment.properties.conflict) ? augment.properties.conflict : [augment.properties.conflict];
@@ -1159,4 +1297,6 @@ function getRandomShopAugments(round, count = 4, owned = {}, rng = Math.random,
     return selected;
 }
 
-
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AUGMENTS, getAugmentById, getAugmentActive, getAugmentCost, getShopAugments, getRandomShopAugments };
+}
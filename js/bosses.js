@@ -9,7 +9,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Ȼ Surge',
         description: '+25% Ȼ earnings (Boss 1)',
         rarity: 'rare',
-        attributes: { multiChip: 2 },
+        stats: { multiChip: { type: 'multi', value: 1.25 } },
         source: 'boss1'
     },
     boss1_extra_hand: {
@@ -17,7 +17,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Extra Hand',
         description: '+2 Rolls (Boss 1)',
         rarity: 'rare',
-        attributes: { rolls: 2 },
+        stats: { rolls: { type: 'add', value: 2 } },
         source: 'boss1'
     },
     boss1_lucky_coin: {
@@ -25,7 +25,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Lucky Coin',
         description: '+15% Luck (Boss 1)',
         rarity: 'rare',
-        attributes: { luck: 3 },
+        stats: { luck: { type: 'add', value: 3 } },
         source: 'boss1'
     },
     boss1_value_eye: {
@@ -33,7 +33,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Value Eye',
         description: '+20% Item value (Boss 1)',
         rarity: 'rare',
-        attributes: { multiValue: 2 },
+        stats: { multiValue: { type: 'multi', value: 1.2 } },
         source: 'boss1'
     },
     boss1_interest_seed: {
@@ -41,7 +41,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Interest Seed',
         description: '+1 Max Interest stack (Boss 1)',
         rarity: 'rare',
-        attributes: { max_interest_stacks: 1 },
+        stats: { max_interest_stacks: { type: 'add', value: 1 } },
         source: 'boss1'
     },
     boss1_mod_dust: {
@@ -49,7 +49,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Mod Dust',
         description: '+30% Mod chance (Boss 1)',
         rarity: 'rare',
-        attributes: { modification_chance: 0.3 },
+        stats: { modification_chance: { type: 'add', value: 0.3 } },
         source: 'boss1'
     },
 
@@ -59,7 +59,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Golden Vein',
         description: '+35% Item value (Boss 2)',
         rarity: 'epic',
-        attributes: { multiValue: 4 },
+        stats: { multiValue: { type: 'multi', value: 1.35 } },
         source: 'boss2'
     },
     boss2_roll_master: {
@@ -67,7 +67,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Roll Master',
         description: '+3 Rolls (Boss 2)',
         rarity: 'epic',
-        attributes: { rolls: 3 },
+        stats: { rolls: { type: 'add', value: 3 } },
         source: 'boss2'
     },
     boss2_chip_hoard: {
@@ -75,7 +75,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Ȼ Hoard',
         description: '+30% Ȼ (Boss 2)',
         rarity: 'epic',
-        attributes: { multiChip: 3 },
+        stats: { multiChip: { type: 'multi', value: 1.3 } },
         source: 'boss2'
     },
     boss2_cash_rush: {
@@ -83,7 +83,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Cash Rush',
         description: '+75% round cash (Boss 2)',
         rarity: 'epic',
-        attributes: { multiCash: 0.75 },
+        stats: { multiCash: { type: 'multi', value: 1.75 } },
         source: 'boss2'
     },
     boss2_pristine_luck: {
@@ -91,7 +91,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Pristine Luck',
         description: '+25% Luck (Boss 2)',
         rarity: 'epic',
-        attributes: { luck: 5 },
+        stats: { luck: { type: 'add', value: 5 } },
         source: 'boss2'
     },
     boss2_enchanted_touch: {
@@ -99,7 +99,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Enchanted Touch',
         description: '+50% Mod chance (Boss 2)',
         rarity: 'epic',
-        attributes: { modification_chance: 0.5 },
+        stats: { modification_chance: { type: 'add', value: 0.5 } },
         source: 'boss2'
     },
 
@@ -109,7 +109,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Fortune Aura',
         description: '+4 Rolls, +20% Value (Boss 3)',
         rarity: 'epic',
-        attributes: { rolls: 4, multiValue: 2 },
+        stats: { rolls: { type: 'add', value: 4 }, multiValue: { type: 'multi', value: 1.2 } },
         source: 'boss3'
     },
     boss3_mega_chips: {
@@ -117,7 +117,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Mega Ȼ',
         description: '+45% Ȼ (Boss 3)',
         rarity: 'epic',
-        attributes: { multiChip: 5 },
+        stats: { multiChip: { type: 'multi', value: 1.45 } },
         source: 'boss3'
     },
     boss3_interest_king: {
@@ -125,7 +125,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Interest King',
         description: '+2 Interest stacks (Boss 3)',
         rarity: 'epic',
-        attributes: { max_interest_stacks: 2 },
+        stats: { max_interest_stacks: { type: 'add', value: 2 } },
         source: 'boss3'
     },
     boss3_legend_luck: {
@@ -133,7 +133,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Legend Luck',
         description: '+35% Luck (Boss 3)',
         rarity: 'epic',
-        attributes: { luck: 7 },
+        stats: { luck: { type: 'add', value: 7 } },
         source: 'boss3'
     },
     boss3_artifact_chance: {
@@ -141,7 +141,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Artifact Chance',
         description: '+70% Mod chance (Boss 3)',
         rarity: 'epic',
-        attributes: { modification_chance: 0.7 },
+        stats: { modification_chance: { type: 'add', value: 0.7 } },
         source: 'boss3'
     },
     boss3_cash_flow_master: {
@@ -149,7 +149,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Cash Flow Master',
         description: '+100% round cash (Boss 3)',
         rarity: 'epic',
-        attributes: { multiCash: 1.0 },
+        stats: { multiCash: { type: 'multi', value: 2 } },
         source: 'boss3'
     },
 
@@ -159,7 +159,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Greed Embrace',
         description: '+5 Rolls, +30% Value, +40% Chips (Boss 4)',
         rarity: 'legendary',
-        attributes: { rolls: 5, multiValue: 3, multiChip: 4 },
+        stats: { rolls: { type: 'add', value: 5 }, multiValue: { type: 'multi', value: 1.3 }, multiChip: { type: 'multi', value: 1.4 } },
         source: 'boss4'
     },
     boss4_omnipotent_roll: {
@@ -167,7 +167,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Omnipotent Roll',
         description: '+6 Rolls (Boss 4)',
         rarity: 'legendary',
-        attributes: { rolls: 6 },
+        stats: { rolls: { type: 'add', value: 6 } },
         source: 'boss4'
     },
     boss4_golden_rain: {
@@ -175,7 +175,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Golden Rain',
         description: '+50% Value (Boss 4)',
         rarity: 'legendary',
-        attributes: { multiValue: 5 },
+        stats: { multiValue: { type: 'multi', value: 1.5 } },
         source: 'boss4'
     },
     boss4_chip_tycoon: {
@@ -183,7 +183,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Ȼ Tycoon',
         description: '+60% Ȼ (Boss 4)',
         rarity: 'legendary',
-        attributes: { multiChip: 6 },
+        stats: { multiChip: { type: 'multi', value: 1.6 } },
         source: 'boss4'
     },
     boss4_interest_emperor: {
@@ -191,7 +191,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Interest Emperor',
         description: '+3 Interest stacks (Boss 4)',
         rarity: 'legendary',
-        attributes: { max_interest_stacks: 3 },
+        stats: { max_interest_stacks: { type: 'add', value: 3 } },
         source: 'boss4'
     },
     boss4_mystic_overflow: {
@@ -199,7 +199,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Mystic Overflow',
         description: '+100% Mod chance (Boss 4)',
         rarity: 'legendary',
-        attributes: { modification_chance: 1.0 },
+        stats: { modification_chance: { type: 'add', value: 1.0 } },
         source: 'boss4'
     },
 
@@ -209,7 +209,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Supreme Roll',
         description: '+7 Rolls (Boss 5)',
         rarity: 'legendary',
-        attributes: { rolls: 7 },
+        stats: { rolls: { type: 'add', value: 7 } },
         source: 'boss5'
     },
     boss5_supreme_value: {
@@ -217,7 +217,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Supreme Value',
         description: '+60% Value (Boss 5)',
         rarity: 'legendary',
-        attributes: { multiValue: 6 },
+        stats: { multiValue: { type: 'multi', value: 1.6 } },
         source: 'boss5'
     },
     boss5_supreme_chips: {
@@ -225,7 +225,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Supreme Ȼ',
         description: '+75% Ȼ (Boss 5)',
         rarity: 'legendary',
-        attributes: { multiChip: 8 },
+        stats: { multiChip: { type: 'multi', value: 1.75 } },
         source: 'boss5'
     },
     boss5_supreme_luck: {
@@ -233,7 +233,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Supreme Luck',
         description: '+50% Luck (Boss 5)',
         rarity: 'legendary',
-        attributes: { luck: 10 },
+        stats: { luck: { type: 'add', value: 10 } },
         source: 'boss5'
     },
     boss5_supreme_interest: {
@@ -241,7 +241,7 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Supreme Interest',
         description: '+4 Interest stacks (Boss 5)',
         rarity: 'legendary',
-        attributes: { max_interest_stacks: 4 },
+        stats: { max_interest_stacks: { type: 'add', value: 4 } },
         source: 'boss5'
     },
     boss5_supreme_mod: {
@@ -249,11 +249,20 @@ const BOSS_EXCLUSIVE_AUGMENTS = {
         name: 'Supreme Mod',
         description: '+150% Mod chance (Boss 5)',
         rarity: 'legendary',
-        attributes: { modification_chance: 1.5 },
+        stats: { modification_chance: { type: 'add', value: 1.5 } },
         source: 'boss5'
     },
 };
 
+/**
+ * Boss rules, declared per boss in BOSSES[].rules and active only during that boss's round:
+ * - sale_tax { percent }            sellInventory keeps (100 - percent)% of the chips
+ * - value_cap { max }               _doOneRoll caps each rolled item's value
+ * - no_luck                         _doOneRoll ignores luck and bad-luck mitigation
+ * - steal_best { chance }           after each roll, chance to lose the most valuable item
+ * - required_tags { tags, penalty } items without one of the tags sell for value × penalty
+ * - no_interest                     completeRound pays no interest
+ */
 const BOSSES = [
     {
         id: 'boss1',
@@ -261,6 +270,9 @@ const BOSSES = [
         name: 'Ȼ Hoarder',
         description: 'Collect enough Ȼ to overwhelm the hoard.',
         round: 5,
+        rules: [
+            { type: 'sale_tax', percent: 25 }
+        ],
         augmentIds: Object.keys(BOSS_EXCLUSIVE_AUGMENTS).filter(id => BOSS_EXCLUSIVE_AUGMENTS[id].source === 'boss1'),
     },
     {
@@ -269,6 +281,9 @@ const BOSSES = [
         name: 'Value Guardian',
         description: 'Prove your worth in Ȼ.',
         round: 10,
+        rules: [
+            { type: 'value_cap', max: 30 }
+        ],
         augmentIds: Object.keys(BOSS_EXCLUSIVE_AUGMENTS).filter(id => BOSS_EXCLUSIVE_AUGMENTS[id].source === 'boss2'),
     },
     {
@@ -277,6 +292,9 @@ const BOSSES = [
         name: 'Fortune Keeper',
         description: 'Fortune demands a tribute.',
         round: 15,
+        rules: [
+            { type: 'no_luck' }
+        ],
         augmentIds: Object.keys(BOSS_EXCLUSIVE_AUGMENTS).filter(id => BOSS_EXCLUSIVE_AUGMENTS[id].source === 'boss3'),
     },
     {
@@ -285,6 +303,10 @@ const BOSSES = [
         name: 'Greed Lord',
         description: 'Only immense wealth can satisfy.',
         round: 20,
+        rules: [
+            { type: 'steal_best', chance: 0.25 },
+            { type: 'no_interest' }
+        ],
         augmentIds: Object.keys(BOSS_EXCLUSIVE_AUGMENTS).filter(id => BOSS_EXCLUSIVE_AUGMENTS[id].source === 'boss4'),
     },
     {
@@ -293,6 +315,9 @@ const BOSSES = [
         name: 'Supreme Collector',
         description: 'The ultimate Ȼ challenge.',
         round: 25,
+        rules: [
+            { type: 'required_tags', tags: ['dark', 'light'], penalty: 0.5 }
+        ],
         augmentIds: Object.keys(BOSS_EXCLUSIVE_AUGMENTS).filter(id => BOSS_EXCLUSIVE_AUGMENTS[id].source === 'boss5'),
     },
 ];
@@ -307,17 +332,48 @@ function getBossById(bossId) {
 
 /**
  * Get N random exclusive augments for a boss (no duplicates, not already owned)
+ * @param {string|Object} bossId - boss id, or the boss itself (generated endless bosses are not in BOSSES)
+ * @param {Function} rng - seeded stream (gameState.rngStreams.bossRewards)
  */
-function getBossAugmentOptions(bossId, count, ownedAugmentIds) {
-    const boss = getBossById(bossId);
+function getBossAugmentOptions(bossId, count, ownedAugmentIds, rng = Math.random) {
+    const boss = typeof bossId === 'object' ? bossId : getBossById(bossId);
     if (!boss) return [];
     const pool = boss.augmentIds
-        .map(id => BOSS_EXCLUSIVE_AUGMENTS[id])
+        .map(id => getBossAugmentById(id))
         .filter(p => p && !ownedAugmentIds.includes(p.id));
-    const shuffled = [...pool].sort(() => Math.random() - 0.5);
+
+    // Fisher-Yates: a random sort comparator depends on the browser's sort and isn't reproducible
+    const shuffled = [...pool];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
     return shuffled.slice(0, Math.min(count, shuffled.length));
 }
 
+/**
+ * Player-facing text for a boss rule (intro screen, round banner)
+ * @param {Object} rule - entry of BOSSES[].rules
+ * @returns {string}
+ */
+function describeBossRule(rule) {
+    switch (rule.type) {
+        case 'sale_tax': return `Taxes ${rule.percent}% of every sale`;
+        case 'value_cap': return `Items are worth at most ${rule.max}`;
+        case 'no_luck': return 'Luck has no effect';
+        case 'steal_best': return `${Math.round(rule.chance * 100)}% chance each roll to steal your most valuable item`;
+        case 'required_tags': return `Only ${rule.tags.join(' or ')} items sell at full value (others ×${rule.penalty})`;
+        case 'no_interest': return 'No interest this round';
+        default: return rule.type;
+    }
+}
+
 function getBossAugmentById(augmentId) {
-    return BOSS_EXCLUSIVE_AUGMENTS[augmentId] || null;
+    if (BOSS_EXCLUSIVE_AUGMENTS[augmentId]) return BOSS_EXCLUSIVE_AUGMENTS[augmentId];
+    // Endless bosses' rewards are generated from their id (endless.js)
+    return typeof getEndlessBossAugment === 'function' ? getEndlessBossAugment(augmentId) : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BOSS_EXCLUSIVE_AUGMENTS, BOSSES, getBossByRound, getBossById, getBossAugmentOptions, describeBossRule, getBossAugmentById };
 }
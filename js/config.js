@@ -22,8 +22,12 @@ const CONFIG = {
         BOSS_EXPONENT: 1.0        // Multiplier for boss scaling
     },
 
-    /** Normal round chip costs: calculated dynamically based on scaling config */
-    getNormalRoundCost(round) {
+    /**
+     * Normal round chip costs: calculated dynamically based on scaling config
+     * @param {number} round
+     * @param {number} [stake] - ascension stake (stakes.js); higher stakes raise the cost
+     */
+    getNormalRoundCost(round, stake = 0) {
         // Use the scaling config
         const { NORMAL_BASE, NORMAL_GROWTH, NORMAL_EXPONENT, EXPONENTIAL_START_ROUND } = this.ROUND_COST_SCALING;
         
@@ -38,15 +42,26 @@ const CONFIG = {
             cost = cost * Math.pow(NORMAL_EXPONENT, exponentialSteps);
         }
 
+        if (stake && typeof getStakeRules === 'function') {
+            cost *= getStakeRules(stake).roundCostMultiplier;
+        }
+
         return Math.floor(cost / 5) * 5; // Round to nearest 5 for clean numbers
     },
 
-    /** Boss round chip cost = base for that route × multiplier (scales with route) */
-    getBossChipCost(routeIndex) {
+    /**
+     * Boss round chip cost = base for that route × multiplier (scales with route)
+     * @param {number} routeIndex
+     * @param {number} [stake] - ascension stake (stakes.js); higher stakes steepen the growth
+     */
+    getBossChipCost(routeIndex, stake = 0) {
         const { BOSS_BASE, BOSS_GROWTH, BOSS_EXPONENT } = this.ROUND_COST_SCALING;
+        const growth = (stake && typeof getStakeRules === 'function')
+            ? BOSS_GROWTH * getStakeRules(stake).bossGrowthMultiplier
+            : BOSS_GROWTH;
         
         // Base + (Route * Growth) * (Exponent ^ Route)
-        const linearPart = routeIndex * BOSS_GROWTH;
+        const linearPart = routeIndex * growth;
         const finalCost = BOSS_BASE + (linearPart * Math.pow(BOSS_EXPONENT, routeIndex));
         
         return Math.floor(finalCost / 10) * 10; // Round to nearest 10
@@ -56,11 +71,22 @@ const CONFIG = {
     BOSS_AUGMENT_OFFER_COUNT: 6,
     BOSS_AUGMENT_PICK_COUNT: 3,
 
+    /** Vault: items kept between rounds (capacity grows with vault_capacity augments) */
+    VAULT_BASE_CAPACITY: 1,
+    /** Value growth of kept items per round (+ vault_growth from augments) */
+    VAULT_GROWTH: 0.1,
+
     /** Roll animation duration (ms) */
     ROLL_ANIMATION_MS: 1200,
 
     /** Auto-roll common: max free rerolls per roll to prevent infinite loop */
     AUTO_ROLL_COMMON_MAX_REROLLS: 5,
+
+    /** World events that can be active at the same time (world-system.js) */
+    MAX_ACTIVE_EVENTS: 3,
+
+    /** Dev mode: validate game data at startup (also on with ?dev in the URL) */
+    DEV_MODE: false,
 };
 
 /**
@@ -86,3 +112,7 @@ function getBossIndex(round) {
     if (!isBossRound(round)) return -1;
     return (round / CONFIG.BOSS_ROUND_INTERVAL) - 1;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG, isBossRound, getRouteIndex, getBossIndex };
+}
@@ -0,0 +1,385 @@
+/**
+ * Content Packs
+ * JSON packs that add or replace entries in the built-in registries (ITEMS, MODS,
+ * ATTRIBUTE, AUGMENTS, BOSS_EXCLUSIVE_AUGMENTS, BIOMES, EVENTS) without touching core files.
+ *
+ * Pack file:
+ * { id, name, description?, version?, items?: { id: entry }, mods?, attributes?, augments?, bossAugments?, biomes?, events? }
+ * An entry with a built-in id replaces the built-in entry while the pack is enabled.
+ */
+
+/** Stat operations a pack may use */
+const CONTENT_PACK_STAT_TYPES = ['add', 'multi', 'set', 'sub'];
+
+const _isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const _isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Per-section field checks. Each returns a list of problems for one entry.
+ */
+const _packFieldChecks = {
+    name(entry) {
+        return typeof entry.name === 'string' && entry.name.trim() ? [] : ['needs a name'];
+    },
+    rarity(entry) {
+        return _isNumber(entry.rarity) && entry.rarity >= 0 ? [] : ['needs a numeric rarity (0 or more)'];
+    },
+    itemTier(entry) {
+        const tiers = ITEM_TIERS.map(tier => tier.id);
+        return tiers.includes(entry.tier) ? [] : [`tier '${entry.tier}' is not one of ${tiers.join(', ')}`];
+    },
+    augmentTier(entry, field = 'tier') {
+        const tiers = getContentPackAugmentTiers();
+        return tiers.includes(entry[field])
+            ? []
+            : [`${field} '${entry[field]}' is not one of ${tiers.join(', ')}`];
+    },
+    number(entry, field) {
+        return _isNumber(entry[field]) ? [] : [`needs a numeric ${field}`];
+    },
+    stats(stats, where = 'stats') {
+        if (stats === undefined) return [];
+        if (!_isObject(stats)) return [`${where} must be an object`];
+        const problems = [];
+        for (const [statName, statDef] of Object.entries(stats)) {
+            if (statName === 'modify') {
+                if (!_isObject(statDef)) problems.push(`${where}.modify must be an object of mod ids`);
+                continue;
+            }
+            if (!_isObject(statDef) || !CONTENT_PACK_STAT_TYPES.includes(statDef.type)) {
+                problems.push(`${where}.${statName} type must be one of ${CONTENT_PACK_STAT_TYPES.join(', ')}`);
+            } else if (!_isNumber(statDef.value)) {
+                problems.push(`${where}.${statName} needs a numeric value`);
+            }
+        }
+        return problems;
+    },
+    conditions(conditions) {
+        if (conditions === undefined) return [];
+        if (!Array.isArray(conditions)) return ['conditions must be an array'];
+        const problems = [];
+        conditions.forEach((condition, i) => {
+            const where = `conditions[${i}]`;
+            if (!_isObject(condition) || !AUGMENT_CONDITION_TYPES.includes(condition.type)) {
+                problems.push(`${where} type must be one of ${AUGMENT_CONDITION_TYPES.join(', ')}`);
+                return;
+            }
+            if (condition.type === 'forging' && (!Array.isArray(condition.recipe) || condition.recipe.length === 0)) {
+                problems.push(`${where} forging needs a recipe of augment ids`);
+            }
+            if (condition.type === 'requireAugment' && !condition.augmentId) {
+                problems.push(`${where} requireAugment needs an augmentId`);
+            }
+            if (condition.type === 'unlock' || condition.type === 'bonus_trigger') {
+                const inner = condition.condition;
+                if (!_isObject(inner) || !UNLOCK_CONDITION_TYPES.includes(inner.type)) {
+                    problems.push(`${where}.condition type must be one of ${UNLOCK_CONDITION_TYPES.join(', ')}`);
+                } else if (inner.bonus !== undefined) {
+                    problems.push(..._packFieldChecks.stats(inner.bonus, `${where}.condition.bonus`));
+                }
+            }
+        });
+        return problems;
+    }
+};
+
+/**
+ * Pack sections: which registry they merge into and how entries are checked
+ * (withId: entries of that registry carry their own key as id)
+ */
+const CONTENT_PACK_SECTIONS = {
+    items: {
+        registry: () => ITEMS,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.rarity(entry),
+            ..._packFieldChecks.itemTier(entry),
+            ..._packFieldChecks.number(entry, 'value'),
+            ...(entry.properties === undefined || Array.isArray(entry.properties) ? [] : ['properties must be an array'])
+        ]
+    },
+    mods: {
+        withId: true,
+        registry: () => MODS,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.rarity(entry),
+            ..._packFieldChecks.number(entry, 'multi')
+        ]
+    },
+    attributes: {
+        withId: true,
+        registry: () => ATTRIBUTE,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.rarity(entry),
+            ..._packFieldChecks.number(entry, 'value')
+        ]
+    },
+    augments: {
+        registry: () => AUGMENTS,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.augmentTier(entry),
+            ..._packFieldChecks.number(entry, 'cost'),
+            ..._packFieldChecks.stats(entry.stats),
+            ..._packFieldChecks.conditions(entry.conditions)
+        ]
+    },
+    bossAugments: {
+        withId: true,
+        registry: () => BOSS_EXCLUSIVE_AUGMENTS,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.augmentTier(entry, 'rarity'),
+            ..._packFieldChecks.stats(entry.stats),
+            ...(BOSSES.some(boss => boss.id === entry.source) ? [] : [`source '${entry.source}' is not a boss id`])
+        ]
+    },
+    biomes: {
+        registry: () => BIOMES,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.rarity(entry),
+            ...(entry.modifiers === undefined || _isObject(entry.modifiers) ? [] : ['modifiers must be an object']),
+            ...(entry.effects === undefined || _isObject(entry.effects) ? [] : ['effects must be an object'])
+        ]
+    },
+    events: {
+        registry: () => EVENTS,
+        validate: (entry) => [
+            ..._packFieldChecks.name(entry),
+            ..._packFieldChecks.rarity(entry),
+            ..._packFieldChecks.number(entry, 'duration'),
+            ..._packFieldChecks.stats(entry.eventEffect && entry.eventEffect.stats, 'eventEffect.stats')
+        ]
+    }
+};
+
+/**
+ * Check a parsed pack file
+ * @param {Object} pack
+ * @returns {Object} { success, message, errors } - errors read like "augments.lucky_hat: needs a name"
+ */
+function validateContentPack(pack) {
+    if (!_isObject(pack)) {
+        return { success: false, message: 'Content pack must be a JSON object', errors: [] };
+    }
+
+    const errors = [];
+    if (typeof pack.id !== 'string' || !/^[a-z0-9_-]+$/i.test(pack.id)) {
+        errors.push('id: needs letters, digits, - or _ only');
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        errors.push('name: needs a pack name');
+    }
+
+    let entryCount = 0;
+    for (const [sectionName, section] of Object.entries(CONTENT_PACK_SECTIONS)) {
+        const entries = pack[sectionName];
+        if (entries === undefined) continue;
+        if (!_isObject(entries)) {
+            errors.push(`${sectionName}: must be an object keyed by id`);
+            continue;
+        }
+        for (const [entryId, entry] of Object.entries(entries)) {
+            entryCount++;
+            const problems = _isObject(entry) ? section.validate(entry) : ['must be an object'];
+            problems.forEach(problem => errors.push(`${sectionName}.${entryId}: ${problem}`));
+        }
+    }
+    if (errors.length === 0 && entryCount === 0) {
+        errors.push('pack has no entries');
+    }
+
+    return {
+        success: errors.length === 0,
+        message: errors.length === 0 ? 'OK' : `Content pack has ${errors.length} problem${errors.length === 1 ? '' : 's'}`,
+        errors
+    };
+}
+
+// Built-in registry contents, captured before the first pack is applied
+let _contentPackBaseline = null;
+// Ids of the packs merged by the last applyContentPacks(), in order
+let _appliedContentPackIds = [];
+
+/**
+ * Packs merged into the registries right now (recorded in saves and replays)
+ * @returns {Array<string>} pack ids, in apply order
+ */
+function getAppliedContentPacks() {
+    return [..._appliedContentPackIds];
+}
+
+/**
+ * Compare the packs a save or replay was made with against the ones applied now
+ * @param {Array<string>} [recorded] - pack ids in apply order; none when missing
+ * @returns {string|null} what differs, null when they match
+ */
+function checkContentPacksMatch(recorded) {
+    const wanted = Array.isArray(recorded) ? recorded : [];
+    const current = _appliedContentPackIds;
+    if (wanted.length === current.length && wanted.every((id, i) => id === current[i])) return null;
+    return `Made with content packs: ${wanted.join(', ') || 'none'} (enabled now: ${current.join(', ') || 'none'})`;
+}
+
+/**
+ * Augment tiers a pack may use: every tier a built-in augment or boss augment already has
+ * @returns {Array<string>}
+ */
+function getContentPackAugmentTiers() {
+    const augments = _contentPackBaseline ? _contentPackBaseline.augments : AUGMENTS;
+    const bossAugments = _contentPackBaseline ? _contentPackBaseline.bossAugments : BOSS_EXCLUSIVE_AUGMENTS;
+    const tiers = [
+        ...Object.values(augments).map(augment => augment.tier),
+        ...Object.values(bossAugments).map(augment => augment.rarity)
+    ];
+    return [...new Set(tiers.filter(Boolean))];
+}
+
+/**
+ * Reset every registry to its built-in entries, then merge packs in order
+ * Packs that fail validation are skipped.
+ * @param {Array} packs - parsed pack files
+ * @returns {Object} { applied: [packId], errors: [string] }
+ */
+function applyContentPacks(packs = []) {
+    if (!_contentPackBaseline) {
+        _contentPackBaseline = {};
+        for (const [sectionName, section] of Object.entries(CONTENT_PACK_SECTIONS)) {
+            _contentPackBaseline[sectionName] = { ...section.registry() };
+        }
+    }
+
+    // Registries are shared consts, so restore them in place
+    for (const [sectionName, section] of Object.entries(CONTENT_PACK_SECTIONS)) {
+        const registry = section.registry();
+        Object.keys(registry).forEach(key => delete registry[key]);
+        Object.assign(registry, _contentPackBaseline[sectionName]);
+    }
+
+    const applied = [];
+    const errors = [];
+    for (const pack of packs) {
+        const check = validateContentPack(pack);
+        if (!check.success) {
+            const label = (pack && pack.id) || 'unnamed pack';
+            check.errors.forEach(error => errors.push(`${label}: ${error}`));
+            continue;
+        }
+        for (const [sectionName, section] of Object.entries(CONTENT_PACK_SECTIONS)) {
+            const registry = section.registry();
+            for (const [entryId, entry] of Object.entries(pack[sectionName] || {})) {
+                registry[entryId] = section.withId ? { ...entry, id: entryId } : { ...entry };
+            }
+        }
+        applied.push(pack.id);
+    }
+    _appliedContentPackIds = applied;
+
+    // Boss offers are listed per boss, rebuild them from the merged registry
+    BOSSES.forEach(boss => {
+        boss.augmentIds = Object.keys(BOSS_EXCLUSIVE_AUGMENTS).filter(id => BOSS_EXCLUSIVE_AUGMENTS[id].source === boss.id);
+    });
+
+    return { applied, errors };
+}
+
+/**
+ * Installed packs and which are enabled, persisted with SaveSystem
+ */
+class ContentPackManager {
+    constructor(storage = new SaveSystem('thingamajig.packs')) {
+        this.storage = storage;
+    }
+
+    /**
+     * @returns {Object} { packs: [pack], enabled: [packId] }
+     */
+    _load() {
+        const data = this.storage.load();
+        return {
+            packs: (data && Array.isArray(data.packs)) ? data.packs : [],
+            enabled: (data && Array.isArray(data.enabled)) ? data.enabled : []
+        };
+    }
+
+    /**
+     * Installed packs for the menu
+     * @returns {Array} [{ id, name, description, version, enabled, entries }]
+     */
+    getPacks() {
+        const data = this._load();
+        return data.packs.map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            description: pack.description || '',
+            version: pack.version || null,
+            enabled: data.enabled.includes(pack.id),
+            entries: Object.keys(CONTENT_PACK_SECTIONS)
+                .reduce((sum, sectionName) => sum + Object.keys(pack[sectionName] || {}).length, 0)
+        }));
+    }
+
+    /**
+     * Validate and store a pack (enabled), replacing an installed pack with the same id
+     * @param {Object} pack - parsed pack file
+     * @returns {Object} { success, message, errors }
+     */
+    install(pack) {
+        const check = validateContentPack(pack);
+        if (!check.success) return check;
+
+        const data = this._load();
+        const existing = data.packs.findIndex(p => p.id === pack.id);
+        if (existing >= 0) data.packs[existing] = pack;
+        else data.packs.push(pack);
+        if (!data.enabled.includes(pack.id)) data.enabled.push(pack.id);
+        this.storage.save(data);
+        return { success: true, message: `Installed ${pack.name}`, errors: [] };
+    }
+
+    /**
+     * @param {string} packId
+     * @param {boolean} enabled
+     */
+    setEnabled(packId, enabled) {
+        const data = this._load();
+        data.enabled = data.enabled.filter(id => id !== packId);
+        if (enabled && data.packs.some(p => p.id === packId)) data.enabled.push(packId);
+        this.storage.save(data);
+    }
+
+    /**
+     * @param {string} packId
+     */
+    remove(packId) {
+        const data = this._load();
+        data.packs = data.packs.filter(p => p.id !== packId);
+        data.enabled = data.enabled.filter(id => id !== packId);
+        this.storage.save(data);
+    }
+
+    /**
+     * Merge enabled packs (in install order) on top of the built-ins
+     * @returns {Object} applyContentPacks() result
+     */
+    applyEnabled() {
+        const data = this._load();
+        return applyContentPacks(data.packs.filter(pack => data.enabled.includes(pack.id)));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONTENT_PACK_STAT_TYPES,
+        CONTENT_PACK_SECTIONS,
+        getContentPackAugmentTiers,
+        getAppliedContentPacks,
+        checkContentPacksMatch,
+        validateContentPack,
+        applyContentPacks,
+        ContentPackManager
+    };
+}
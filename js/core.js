@@ -0,0 +1,59 @@
+/**
+ * Headless Core (Node only, not loaded by index.html)
+ * Loads the rules modules in index.html order and publishes their exports as
+ * globals, which is how the files find each other in the browser.
+ *
+ *   const { GameEngine } = require('./js/core');
+ *   const engine = new GameEngine();
+ *   engine.events.on('roundEnded', summary => console.log(summary));
+ *   engine.newRun('my-seed');
+ *   engine.startRound();
+ *   while (engine.canRoll()) engine.roll();
+ *   engine.endRound();
+ */
+
+const CORE_MODULES = [
+    './rng',
+    './utils',
+    './tiers',
+    './things',
+    './modifiers',
+    './currency',
+    './config',
+    './name-styles',
+    './bosses',
+    './augments',
+    './event-bus',
+    './attributes',
+    './game-state',
+    './inventory',
+    './shop',
+    './time-system',
+    './world-system',
+    './route-map',
+    './save-system',
+    './replay',
+    './share-code',
+    './daily',
+    './endless',
+    './archetypes',
+    './stakes',
+    './synergies',
+    './adjacency',
+    './augment-hooks',
+    './profile',
+    './achievements',
+    './content-packs',
+    './data-validator',
+    './engine'
+];
+
+const core = {};
+for (const modulePath of CORE_MODULES) {
+    // Later files override earlier ones with the same name, exactly like browser globals
+    const exported = require(modulePath);
+    Object.assign(core, exported);
+    Object.assign(global, exported);
+}
+
+module.exports = core;
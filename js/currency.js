@@ -5,7 +5,11 @@
  */
 
 class CurrencySystem {
-    constructor() {
+    /**
+     * @param {GameState} gameState - owner, used for earnings stats (optional)
+     */
+    constructor(gameState = null) {
+        this.gameState = gameState;
         this.reset();
     }
 
@@ -14,8 +18,11 @@ class CurrencySystem {
      */
     reset() {
         // PERSISTENT currency - carries between rounds
-        this.cash = 4;
-
+        // Starting cash depends on the archetype (archetypes.js) plus profile milestone perks (profile.js)
+        const archetype = this.gameState && typeof this.gameState.getArchetype === 'function' ? this.gameState.getArchetype() : null;
+        const perks = (this.gameState && this.gameState.runOptions && this.gameState.runOptions.perks) || {};
+        const baseCash = archetype && archetype.startingCash !== undefined ? archetype.startingCash : 4;
+        this.cash = baseCash + (perks.startingCash || 0);
         
         // ROUND-LOCAL currency - resets each round
         this.chips = 0;
@@ -34,13 +41,13 @@ class CurrencySystem {
      * @param {number} amount - chips to add
      */
     addChips(amount) {
-        if (amount > 0 && typeof game !== 'undefined' && game.gameState) {
-            game.gameState.addStat('totalChipsEarned', amount);
+        if (amount > 0 && this.gameState) {
+            this.gameState.addStat('totalChipsEarned', amount);
         }
         this.chips = Math.max(0, this.chips + amount);
         
-        if (typeof game !== 'undefined' && game.gameState && typeof game.gameState.updateMaxChips === 'function') {
-            game.gameState.updateMaxChips(this.chips);
+        if (this.gameState && typeof this.gameState.updateMaxChips === 'function') {
+            this.gameState.updateMaxChips(this.chips);
         }
     }
 
@@ -62,8 +69,8 @@ class CurrencySystem {
      * @param {number} amount - cash to add
      */
     addCash(amount) {
-        if (amount > 0 && typeof game !== 'undefined' && game.gameState) {
-            game.gameState.addStat('totalCashEarned', amount);
+        if (amount > 0 && this.gameState) {
+            this.gameState.addStat('totalCashEarned', amount);
         }
         this.cash = Math.max(0, this.cash + amount);
     }
@@ -102,7 +109,9 @@ class CurrencySystem {
      * @returns {Object} rewards breakdown
      */
     completeRound(maxInterestStacks = 5, modifiers = {}) {
-        const baseReward = 5; // Base 5 dollars per round
+        // Base 5 dollars per round, less at higher stakes (stakes.js)
+        const stakeRules = this.gameState && typeof this.gameState.getStakeRules === 'function' ? this.gameState.getStakeRules() : null;
+        const baseReward = Math.max(0, 5 - (stakeRules ? stakeRules.baseRewardPenalty : 0));
         const interestReward = this.getInterestStacks(maxInterestStacks); // Dynamic interest based on current cash
         
         // Apply modifiers to calculate total cash
@@ -205,3 +214,7 @@ class CurrencySystem {
 function createCurrencySystem() {
     return new CurrencySystem();
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CurrencySystem, createCurrencySystem };
+}
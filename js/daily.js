@@ -0,0 +1,74 @@
+/**
+ * Daily Challenge
+ * Everyone gets the same seed for a local calendar day; best runs per day are kept locally
+ */
+
+const DAILY_SCORE_LIMIT = 5;   // Entries kept per day
+const DAILY_DAYS_KEPT = 30;    // Older days are pruned on submit
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getLocalDateKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Seed string for a day's challenge
+ * @param {string} [dateKey] - YYYY-MM-DD, today when omitted
+ * @returns {string}
+ */
+function getDailySeedString(dateKey = getLocalDateKey()) {
+    return `daily-${dateKey}`;
+}
+
+class DailyScores {
+    constructor(storage = new SaveSystem('thingamajig.daily')) {
+        this.storage = storage;
+    }
+
+    /**
+     * @returns {Object} { dateKey: [entry] }
+     */
+    _loadAll() {
+        const all = this.storage.load();
+        return (all && typeof all === 'object') ? all : {};
+    }
+
+    /**
+     * Best runs for a day, best first
+     * @param {string} dateKey
+     * @returns {Array} [{ round, chipsEarned, cash, at }]
+     */
+    getScores(dateKey) {
+        return this._loadAll()[dateKey] || [];
+    }
+
+    /**
+     * Record a finished daily run
+     * @param {string} dateKey
+     * @param {Object} entry - { round, chipsEarned, cash }
+     * @returns {Object} { rank, scores } - rank is the 0-based table position, -1 if it didn't make the table
+     */
+    submit(dateKey, entry) {
+        const all = this._loadAll();
+        const record = { ...entry, at: Date.now() };
+        const scores = [...(all[dateKey] || []), record]
+            .sort((a, b) => (b.round - a.round) || (b.chipsEarned - a.chipsEarned) || (a.at - b.at))
+            .slice(0, DAILY_SCORE_LIMIT);
+        all[dateKey] = scores;
+
+        // Keep only the most recent days
+        Object.keys(all).sort().reverse().slice(DAILY_DAYS_KEPT).forEach(key => delete all[key]);
+
+        this.storage.save(all);
+        return { rank: scores.indexOf(record), scores };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DAILY_SCORE_LIMIT, DAILY_DAYS_KEPT, getLocalDateKey, getDailySeedString, DailyScores };
+}
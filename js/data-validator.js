@@ -0,0 +1,251 @@
+/**
+ * Data Validator
+ * Lints the augment, mod, boss augment, item tier, synergy, route node, biome and
+ * event registries for broken references and typos that otherwise fail silently in game
+ * (an augment that never appears, a stat that is never applied...). Runs at startup
+ * in dev mode and from tools/validate-data.js.
+ */
+
+/** Stat operations the attribute pipeline understands (attributes.js); aliases still work but are flagged */
+const DATA_STAT_TYPES = ['add', 'sub', 'multi', 'div', 'set'];
+const DATA_STAT_TYPE_ALIASES = { mult: 'multi', multiply: 'multi', divide: 'div' };
+
+/**
+ * Validate the loaded game data
+ * @returns {Object} { success, errors: [string], warnings: [string] }
+ *   errors break gameplay (missing references), warnings are style/consistency issues
+ */
+function validateGameData() {
+    const errors = [];
+    const warnings = [];
+    const augmentIds = Object.keys(AUGMENTS);
+    const bossAugmentIds = Object.keys(BOSS_EXCLUSIVE_AUGMENTS);
+    const knownAugmentIds = [...augmentIds, ...bossAugmentIds];
+    const tierNames = Object.keys(TIER_NAME_STYLES);
+
+    // Ids are case-sensitive; point at the near miss when there is one
+    const describeMissing = (id, pool) => {
+        const nearMiss = pool.find(candidate => candidate.toLowerCase() === String(id).toLowerCase());
+        return nearMiss ? `'${id}' does not exist (did you mean '${nearMiss}'?)` : `'${id}' does not exist`;
+    };
+    const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+    const checkAugmentRefs = (where, label, ids) => {
+        toList(ids).forEach(id => {
+            if (!knownAugmentIds.includes(id)) errors.push(`${where}: ${label} ${describeMissing(id, knownAugmentIds)}`);
+        });
+    };
+
+    const checkTier = (where, field, tier) => {
+        if (!tierNames.includes(tier)) {
+            warnings.push(`${where}: ${field} '${tier}' has no entry in TIER_NAME_STYLES`);
+        }
+    };
+
+    const checkStats = (where, stats) => {
+        if (!stats) return;
+        for (const [statName, statDef] of Object.entries(stats)) {
+            if (statName === 'modify') {
+                Object.keys(statDef || {}).forEach(modId => {
+                    if (!MODS[modId]) errors.push(`${where}.modify: mod ${describeMissing(modId, Object.keys(MODS))}`);
+                });
+                continue;
+            }
+            if (typeof statDef === 'number') continue; // Legacy additive shorthand
+            const type = statDef && statDef.type;
+            if (DATA_STAT_TYPE_ALIASES[type]) {
+                warnings.push(`${where}.${statName}: stat type '${type}' should be '${DATA_STAT_TYPE_ALIASES[type]}'`);
+            } else if (!DATA_STAT_TYPES.includes(type)) {
+                errors.push(`${where}.${statName}: unknown stat type '${type}' (expected ${DATA_STAT_TYPES.join(', ')})`);
+            }
+        }
+    };
+
+    const checkConditions = (where, conditions) => {
+        (conditions || []).forEach((condition, i) => {
+            const at = `${where}.conditions[${i}]`;
+            if (!AUGMENT_CONDITION_TYPES.includes(condition.type)) {
+                errors.push(`${at}: unknown condition type '${condition.type}' (expected ${AUGMENT_CONDITION_TYPES.join(', ')})`);
+                return;
+            }
+            if (condition.type === 'forging') {
+                checkAugmentRefs(at, 'forge recipe augment', condition.recipe || []);
+                (condition.vaultItems || []).forEach(itemId => {
+                    if (!ITEMS[itemId]) errors.push(`${at}: vault item ${describeMissing(itemId, Object.keys(ITEMS))}`);
+                });
+            }
+            if (condition.type === 'requireAugment') {
+                checkAugmentRefs(at, 'required augment', condition.augmentId);
+            }
+            if (condition.type === 'unlock' || condition.type === 'bonus_trigger') {
+                const inner = condition.condition || {};
+                if (!UNLOCK_CONDITION_TYPES.includes(inner.type)) {
+                    errors.push(`${at}: unknown ${condition.type} condition '${inner.type}' (expected ${UNLOCK_CONDITION_TYPES.join(', ')})`);
+                }
+                if (inner.type === 'item_collected' && inner.itemId && !ITEMS[inner.itemId]) {
+                    errors.push(`${at}: item ${describeMissing(inner.itemId, Object.keys(ITEMS))}`);
+                }
+                checkStats(`${at}.bonus`, inner.bonus);
+            }
+        });
+    };
+
+    for (const [id, augment] of Object.entries(AUGMENTS)) {
+        const where = `AUGMENTS.${id}`;
+        const props = augment.properties || {};
+        checkTier(where, 'tier', augment.tier);
+        if (props.conflict) checkAugmentRefs(where, 'conflict', props.conflict);
+        if (props.overwrite) checkAugmentRefs(where, 'overwrite', props.overwrite);
+        checkStats(`${where}.stats`, augment.stats);
+        Object.entries(props.setBonuses || {}).forEach(([count, bonus]) => checkStats(`${where}.setBonuses.${count}`, bonus));
+        checkConditions(where, augment.conditions);
+    }
+
+    for (const [id, mod] of Object.entries(MODS)) {
+        // Not fatal: the mod is just filtered out of every roll until the augment exists
+        if (mod.requiresAUGMENT && !knownAugmentIds.includes(mod.requiresAUGMENT)) {
+            warnings.push(`MODS.${id}: requiresAUGMENT ${describeMissing(mod.requiresAUGMENT, knownAugmentIds)}, so the mod never rolls`);
+        }
+    }
+
+    for (const [id, augment] of Object.entries(BOSS_EXCLUSIVE_AUGMENTS)) {
+        const where = `BOSS_EXCLUSIVE_AUGMENTS.${id}`;
+        checkTier(where, 'rarity', augment.rarity);
+        if (!BOSSES.some(boss => boss.id === augment.source)) {
+            errors.push(`${where}: source '${augment.source}' is not a boss id`);
+        }
+        if (augment.attributes) {
+            errors.push(`${where}: bonuses under 'attributes' are never applied, getAttributes() only reads 'stats'`);
+        }
+        checkStats(`${where}.stats`, augment.stats);
+    }
+
+    if (typeof AUGMENT_HOOKS !== 'undefined') {
+        for (const [id, augment] of [...Object.entries(AUGMENTS), ...Object.entries(BOSS_EXCLUSIVE_AUGMENTS)]) {
+            for (const hook of Object.keys(augment.hooks || {})) {
+                if (!AUGMENT_HOOKS.includes(hook)) {
+                    errors.push(`${id}.hooks: unknown hook '${hook}' (expected ${AUGMENT_HOOKS.join(', ')})`);
+                    continue;
+                }
+                getAugmentHookEffects(augment, hook).forEach(effect => {
+                    if (!AUGMENT_HOOK_EFFECTS[effect.type]) {
+                        errors.push(`${id}.hooks.${hook}: unknown effect '${effect.type}' (expected ${Object.keys(AUGMENT_HOOK_EFFECTS).join(', ')})`);
+                    }
+                    // getAttributes() runs on every render; a chance roll there would let the UI change the run
+                    if (hook === 'onAttributes' && effect.chance != null) {
+                        errors.push(`${id}.hooks.onAttributes: '${effect.type}' can't have a chance`);
+                    }
+                });
+            }
+        }
+    }
+
+    for (const [id, augment] of Object.entries(AUGMENTS)) {
+        if (!augment.active) continue;
+        const { type, charges, recharge } = augment.active;
+        if (!['double_last_value', 'reroll_last_item', 'buy_roll'].includes(type)) {
+            errors.push(`AUGMENTS.${id}.active: unknown type '${type}' (expected double_last_value, reroll_last_item, buy_roll)`);
+        }
+        if (!(charges > 0)) errors.push(`AUGMENTS.${id}.active: charges must be at least 1`);
+        if (!['round', 'boss'].includes(recharge)) errors.push(`AUGMENTS.${id}.active: unknown recharge '${recharge}' (expected round, boss)`);
+    }
+
+    for (const [id, item] of Object.entries(ITEMS)) {
+        if (!item.onUse) continue;
+        const { type, modId } = item.onUse;
+        if (!['extra_rolls', 'destroy_item', 'bonus_roll'].includes(type)) {
+            errors.push(`ITEMS.${id}.onUse: unknown type '${type}' (expected extra_rolls, destroy_item, bonus_roll)`);
+        } else if (type === 'destroy_item' && !MODS[modId]) {
+            errors.push(`ITEMS.${id}.onUse: mod ${describeMissing(modId, Object.keys(MODS))}`);
+        }
+    }
+
+    const tierIds = ITEM_TIERS.map(tier => tier.id);
+    const celebrationLevels = Object.values(CELEBRATION);
+    ITEM_TIERS.forEach((tier, index) => {
+        const where = `ITEM_TIERS.${tier.id}`;
+        if (tierIds.indexOf(tier.id) !== index) errors.push(`${where}: duplicate tier id`);
+        if (!Array.isArray(tier.rarity) || tier.rarity.length !== TIER_ROUND_BANDS.length || !tier.rarity.every(r => typeof r === 'number' && r > 0)) {
+            errors.push(`${where}: rarity needs ${TIER_ROUND_BANDS.length} positive numbers (one per TIER_ROUND_BANDS band)`);
+        }
+        if (!['none', 'reset', 'streak'].includes(tier.pity)) errors.push(`${where}: unknown pity '${tier.pity}' (expected none, reset, streak)`);
+        if (!celebrationLevels.includes(tier.celebration)) errors.push(`${where}: unknown celebration '${tier.celebration}'`);
+        if (typeof tier.luckBoost !== 'number') errors.push(`${where}: needs a numeric luckBoost`);
+    });
+    for (const [id, item] of Object.entries(ITEMS)) {
+        if (!tierIds.includes(item.tier)) errors.push(`ITEMS.${id}: tier ${describeMissing(item.tier, tierIds)}`);
+    }
+
+    if (typeof SYNERGIES !== 'undefined') {
+        const itemTags = new Set(Object.values(ITEMS).flatMap(item => item.tags || []));
+        for (const [id, synergy] of Object.entries(SYNERGIES)) {
+            const where = `SYNERGIES.${id}`;
+            const requirement = synergy.requirement || {};
+            if (requirement.type === 'items') {
+                requirement.items.forEach(itemId => {
+                    if (!ITEMS[itemId]) errors.push(`${where}: item ${describeMissing(itemId, Object.keys(ITEMS))}`);
+                });
+            } else if (requirement.type === 'tag') {
+                if (!itemTags.has(requirement.tag)) errors.push(`${where}: no item has the tag '${requirement.tag}'`);
+            } else {
+                errors.push(`${where}: unknown requirement type '${requirement.type}' (expected items, tag)`);
+            }
+        }
+    }
+
+    if (typeof ROUTE_NODE_TYPES !== 'undefined') {
+        for (const [id, nodeType] of Object.entries(ROUTE_NODE_TYPES)) {
+            if (!(nodeType.weight > 0)) errors.push(`ROUTE_NODE_TYPES.${id}: weight must be above 0`);
+            if (nodeType.costMultiplier !== undefined && !(nodeType.costMultiplier > 0)) {
+                errors.push(`ROUTE_NODE_TYPES.${id}: costMultiplier must be above 0`);
+            }
+        }
+        if (!ROUTE_NODE_TYPES.normal) errors.push(`ROUTE_NODE_TYPES: 'normal' is required (every path opens with it)`);
+    }
+
+    const exclusiveOwners = {};
+    for (const [id, biome] of Object.entries(BIOMES)) {
+        const where = `BIOMES.${id}.effects`;
+        const effects = biome.effects || {};
+        (effects.exclusiveItems || []).forEach(itemId => {
+            if (!ITEMS[itemId]) errors.push(`${where}.exclusiveItems: item ${describeMissing(itemId, Object.keys(ITEMS))}`);
+            else if (exclusiveOwners[itemId]) errors.push(`${where}.exclusiveItems: '${itemId}' is already exclusive to ${exclusiveOwners[itemId]}`);
+            else exclusiveOwners[itemId] = id;
+        });
+        Object.keys(effects.modifier || {}).forEach(modId => {
+            if (modId !== 'universal' && !MODS[modId]) errors.push(`${where}.modifier: mod ${describeMissing(modId, Object.keys(MODS))}`);
+        });
+        if (effects.rule && !BIOME_RULES[effects.rule.type]) {
+            errors.push(`${where}.rule: unknown type '${effects.rule.type}' (expected ${Object.keys(BIOME_RULES).join(', ')})`);
+        }
+    }
+
+    const eventIds = Object.keys(EVENTS);
+    for (const [id, event] of Object.entries(EVENTS)) {
+        const where = `EVENTS.${id}`;
+        [...Object.keys(event.biomes || {}), ...(event.requiresBiome || [])].forEach(biomeId => {
+            if (!BIOMES[biomeId]) errors.push(`${where}: biome ${describeMissing(biomeId, Object.keys(BIOMES))}`);
+        });
+        ['conflicts', 'stacksWith'].forEach(field => {
+            (event[field] || []).forEach(eventId => {
+                if (!EVENTS[eventId]) errors.push(`${where}.${field}: event ${describeMissing(eventId, eventIds)}`);
+                else if (eventId === id) warnings.push(`${where}.${field}: lists itself`);
+            });
+        });
+        if (event.priority !== undefined && typeof event.priority !== 'number') errors.push(`${where}: priority must be a number`);
+        const effect = event.eventEffect || {};
+        checkStats(`${where}.eventEffect.stats`, effect.stats);
+        Object.keys(effect.modifier || {}).forEach(modId => {
+            if (modId !== 'universal' && !MODS[modId]) errors.push(`${where}.eventEffect.modifier: mod ${describeMissing(modId, Object.keys(MODS))}`);
+        });
+        Object.keys(effect.item || {}).forEach(itemId => {
+            if (!ITEMS[itemId]) errors.push(`${where}.eventEffect.item: item ${describeMissing(itemId, Object.keys(ITEMS))}`);
+        });
+    }
+
+    return { success: errors.length === 0, errors, warnings };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DATA_STAT_TYPES, DATA_STAT_TYPE_ALIASES, validateGameData };
+}
@@ -0,0 +1,144 @@
+/**
+ * Endless Mode
+ * Opt-in run option (runOptions.endless) that keeps bosses coming after the last
+ * entry of BOSSES. Each later boss is composed from a pool of boss rules and names,
+ * seeded from the run seed, and offers exclusive augments that scale with the route.
+ */
+
+const ENDLESS_SCORE_LIMIT = 10;
+
+const ENDLESS_BOSS_TITLES = ['Gilded', 'Hollow', 'Iron', 'Velvet', 'Static', 'Rusted', 'Silent', 'Crooked'];
+const ENDLESS_BOSS_NOUNS = ['Auditor', 'Warden', 'Collector', 'Baron', 'Oracle', 'Maw', 'Regent', 'Tyrant'];
+
+/**
+ * Rule pool for generated bosses; each entry builds a BOSSES[].rules entry for a depth (1 = first endless boss)
+ */
+const ENDLESS_BOSS_RULE_POOL = [
+    depth => ({ type: 'sale_tax', percent: Math.min(60, 15 + depth * 5) }),
+    depth => ({ type: 'value_cap', max: 50 * depth }),
+    () => ({ type: 'no_luck' }),
+    depth => ({ type: 'steal_best', chance: Math.min(0.5, 0.15 + depth * 0.05) }),
+    depth => ({ type: 'required_tags', tags: ['dark', 'light'], penalty: Math.max(0.2, Math.round((0.6 - depth * 0.05) * 100) / 100) }),
+    () => ({ type: 'no_interest' })
+];
+
+/**
+ * Exclusive augment templates for generated bosses; the bonus is perRoute × getRouteIndex
+ * id format: endless_<key>_<routeIndex>
+ */
+const ENDLESS_AUGMENT_TEMPLATES = {
+    rolls: { name: 'Endless Hands', stat: 'rolls', perRoute: 0.4, whole: true, label: v => `+${v} Rolls` },
+    luck: { name: 'Abyssal Clover', stat: 'luck', perRoute: 0.4, whole: true, label: v => `+${v} Luck` },
+    value: { name: 'Deep Vein', stat: 'valueBonus', perRoute: 0.3, label: v => `+${Math.round(v * 100)}% Item value` },
+    chips: { name: 'Bottomless Stack', stat: 'multiChip', perRoute: 0.2, label: v => `+${Math.round(v * 100)}% Ȼ earnings` },
+    interest: { name: 'Compound Abyss', stat: 'max_interest_stacks', perRoute: 0.2, whole: true, label: v => `+${v} Max Interest stack` },
+    mods: { name: 'Void Dust', stat: 'modification_chance', perRoute: 0.1, label: v => `+${Math.round(v * 100)}% Mod chance` },
+    payday: { name: 'Long Payday', stat: 'chipsEndRound', perRoute: 1, whole: true, label: v => `+${v}Ȼ at round end` }
+};
+
+/**
+ * Endless depth of a round: 0 through the last fixed boss, then 1 for the first generated route and so on
+ * @param {number} round
+ * @returns {number}
+ */
+function getEndlessDepth(round) {
+    return Math.max(0, getRouteIndex(round) - BOSSES.length + 1);
+}
+
+/**
+ * Rebuild a generated boss augment from its id alone (saves and replays only store ids)
+ * @param {string} augmentId - endless_<key>_<routeIndex>
+ * @returns {Object|null}
+ */
+function getEndlessBossAugment(augmentId) {
+    const match = /^endless_([a-z]+)_(\d+)$/.exec(String(augmentId));
+    const template = match ? ENDLESS_AUGMENT_TEMPLATES[match[1]] : null;
+    if (!template) return null;
+
+    const routeIndex = Number(match[2]);
+    const raw = template.perRoute * routeIndex;
+    const value = template.whole ? Math.max(1, Math.floor(raw)) : Math.round(raw * 100) / 100;
+    const depth = Math.max(1, routeIndex - BOSSES.length + 1);
+    return {
+        id: augmentId,
+        name: template.name,
+        description: `${template.label(value)} (Endless depth ${depth})`,
+        rarity: 'legendary',
+        stats: { [template.stat]: { type: 'add', value } },
+        source: `endless_${depth}`
+    };
+}
+
+/**
+ * Compose the boss of an endless boss round
+ * @param {number} round - boss round past the last entry of BOSSES
+ * @param {number} seed - derived from the run seed, so the same run always meets the same bosses
+ * @returns {Object} boss shaped like a BOSSES entry
+ */
+function generateEndlessBoss(round, seed) {
+    const rng = createSeededRng(seed);
+    const depth = getEndlessDepth(round);
+    const routeIndex = getRouteIndex(round);
+    const pick = list => list[Math.floor(rng() * list.length)];
+
+    const name = `The ${pick(ENDLESS_BOSS_TITLES)} ${pick(ENDLESS_BOSS_NOUNS)}`;
+
+    // Deeper bosses stack more rules (up to 3)
+    const pool = [...ENDLESS_BOSS_RULE_POOL];
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    const ruleCount = Math.min(3, 1 + Math.floor(depth / 2));
+    const rules = pool.slice(0, ruleCount).map(buildRule => buildRule(depth));
+
+    return {
+        id: `endless_boss_${round}`,
+        index: getBossIndex(round),
+        name,
+        description: `Depth ${depth} of the endless climb.`,
+        round,
+        endless: true,
+        rules,
+        augmentIds: Object.keys(ENDLESS_AUGMENT_TEMPLATES).map(key => `endless_${key}_${routeIndex}`)
+    };
+}
+
+/**
+ * Local best endless runs (deepest first), persisted through SaveSystem
+ */
+class EndlessScores {
+    constructor(storage = new SaveSystem('thingamajig.endless')) {
+        this.storage = storage;
+    }
+
+    /**
+     * Best endless runs, best first
+     * @returns {Array} [{ round, depth, chipsEarned, seedString, at }]
+     */
+    getScores() {
+        const scores = this.storage.load();
+        return Array.isArray(scores) ? scores : [];
+    }
+
+    /**
+     * Record a finished endless run
+     * @param {Object} entry - { round, depth, chipsEarned, seedString }
+     * @returns {Object} { rank, scores } - rank is the 0-based table position, -1 if it didn't make the table
+     */
+    submit(entry) {
+        const record = { ...entry, at: Date.now() };
+        const scores = [...this.getScores(), record]
+            .sort((a, b) => (b.round - a.round) || (b.chipsEarned - a.chipsEarned) || (a.at - b.at))
+            .slice(0, ENDLESS_SCORE_LIMIT);
+        this.storage.save(scores);
+        return { rank: scores.indexOf(record), scores };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENDLESS_SCORE_LIMIT, ENDLESS_BOSS_TITLES, ENDLESS_BOSS_NOUNS, ENDLESS_BOSS_RULE_POOL, ENDLESS_AUGMENT_TEMPLATES,
+        getEndlessDepth, getEndlessBossAugment, generateEndlessBoss, EndlessScores
+    };
+}
@@ -0,0 +1,523 @@
+/**
+ * Game Engine
+ * DOM-free rules loop: run setup, rounds, rolling, selling, shop and boss rewards.
+ * Everything observable is reported through gameState.events, so the browser
+ * Game/UI and Node scripts (see core.js) drive the exact same rules.
+ * Every action is also written to this.recorder so the run can be replayed (see replay.js).
+ *
+ * Events emitted here (systems emit their own, e.g. augmentUnlocked, biomeChanged,
+ * routeMapGenerated { routeMap }, routeChosen { routeIndex, pathIndex, path },
+ * biomeRuleTriggered { biomeId, rule, message } during a roll):
+ * - runStarted { seed, seedString, options }
+ * - roundStarted { round, goalReached, node }
+ * - itemRolled { thing, streakMessage, goalReached, rollsRemaining, stolen }
+ * - bossStoleItem { thing, boss }
+ * - inventoryReordered { fromIndex, toIndex, goalReached }
+ * - itemKeepToggled { index, kept, goalReached }
+ * - itemUsed { thing, result, goalReached, rollsRemaining }
+ * - augmentActivated { augmentId, result, goalReached, rollsRemaining }
+ * - itemsSold { soldCount, earnedChips, rollsRemaining, rollsToCash, synergies, positionalBonus, keptCount, keptValue }
+ * - roundEnded { ...round summary }
+ * - gameOver { round, entryCost, chips }
+ * - bossRewardOpened { boss, augmentIds }
+ * - shopOpened { nextRound }
+ * - shopRerolled { free, cost }
+ * - augmentPurchased { augmentId, instanceId }
+ * - augmentForged { augmentId }
+ * Augment hooks (GameState.runAugmentHooks) run at round start, roll, sale, round end,
+ * shop reroll and boss defeat, and emit augmentTriggered { augmentId, hook, type, n, message }
+ * plus freeRerollsGranted { count, source } for free rerolls.
+ */
+class GameEngine {
+    constructor(seed) {
+        this.gameState = new GameState(seed);
+        this.events = this.gameState.events;
+        this.timeSystem = new TimeSystem(this.gameState);
+        this.worldSystem = new WorldSystem(this.gameState);
+        this.inventory = new Inventory(this.gameState);
+        this.shop = new Shop(this.gameState);
+        this.shopRerollCost = 5; // Starting reroll cost
+        this.recorder = new ReplayRecorder();
+        this._pendingSale = null;
+    }
+
+    /**
+     * Shop offer fingerprint for replay checks
+     */
+    _shopCheck() {
+        return { shop: this.shop.currentShopAugments.map(augment => augment.instanceId || augment.id) };
+    }
+
+    /**
+     * Start a fresh run from a seed string
+     * @param {string} [seedString] - random seed generated when omitted
+     * @param {Object} [options] - run options carried by share codes (mode, date...) and profile perks
+     * @returns {string} the seed string used
+     */
+    newRun(seedString, options = {}) {
+        if (!seedString) {
+            seedString = Math.generateRandomSeed ? Math.generateRandomSeed() : String(Date.now());
+        }
+
+        const seedHash = Math.seed(seedString);
+        this.gameState.setSeed(seedHash, seedString, options);
+
+        // Re-initialize WorldSystem so its streams follow the new seed
+        this.worldSystem.init();
+        this.worldSystem.generateRouteMap(0);
+        this.recorder.start(seedString, this.gameState.runOptions);
+
+        this.events.emit('runStarted', { seed: this.gameState.seed, seedString, options: this.gameState.runOptions });
+        return seedString;
+    }
+
+    /**
+     * Resume a run captured by snapshot()
+     * @param {Object} data
+     * @returns {boolean} false if the snapshot is from an incompatible version or other content packs
+     */
+    resume(data) {
+        // Registries differ under other packs, so the run would not play out the same
+        if (typeof checkContentPacksMatch === 'function' && checkContentPacksMatch(data && data.contentPacks)) return false;
+        if (!this.gameState.deserialize(data)) return false;
+        this.shop.restore(data.shop);
+        this.recorder.restore(data.replay, this.gameState.seedString, this.gameState.runOptions);
+        // Reloading mid-shop keeps the escalated reroll price
+        if (typeof data.shopRerollCost === 'number') {
+            this.shopRerollCost = data.shopRerollCost;
+        } else {
+            this._resetRerollCost();
+        }
+        this.resumeClock();
+        return true;
+    }
+
+    /**
+     * A reloaded page starts its clock from zero; recorded so replays line up
+     */
+    resumeClock() {
+        this.timeSystem.resetAccumulator();
+        this.recorder.record('resumeClock');
+    }
+
+    /**
+     * Serializable snapshot of the run, including the current shop offer
+     * @returns {Object}
+     */
+    snapshot() {
+        const data = this.gameState.serialize();
+        data.shop = this.shop.serialize();
+        data.shopRerollCost = this.shopRerollCost;
+        data.contentPacks = typeof getAppliedContentPacks === 'function' ? getAppliedContentPacks() : [];
+        data.replay = this.recorder.serialize();
+        return data;
+    }
+
+    /**
+     * Boss waiting behind the pending round, for the pre-boss intro
+     * @returns {Object|null} BOSSES entry
+     */
+    getUpcomingBoss() {
+        const targetRound = this.gameState.pendingNextRound;
+        return targetRound != null ? this.gameState.getBossForRound(targetRound) : null;
+    }
+
+    /**
+     * Route map waiting for a pick before the next round can start
+     * @returns {Object|null} routeMap (see WorldSystem.generateRouteMap)
+     */
+    getPendingRouteChoice() {
+        const routeMap = this.worldSystem.getRouteMap();
+        const nextRound = this.gameState.pendingNextRound != null ? this.gameState.pendingNextRound : this.gameState.round;
+        if (!routeMap || routeMap.chosen !== null || routeMap.firstRound !== nextRound) return null;
+        return routeMap;
+    }
+
+    /**
+     * Pick a path of the route map before entering the route
+     * @param {number} pathIndex
+     * @returns {Object} { success, message, path }
+     */
+    chooseRoute(pathIndex) {
+        const result = this.worldSystem.chooseRoute(pathIndex);
+        this.recorder.record('chooseRoute', [pathIndex], { success: result.success });
+        return result;
+    }
+
+    /**
+     * Enter the pending round (paying entry) and apply start-of-round effects
+     * @returns {Object} { success, round, goalReached } or { success: false, gameOver: true, targetRound, entryCost }
+     */
+    startRound() {
+        const targetRound = this.gameState.pendingNextRound;
+        if (targetRound != null) {
+            const entryCost = this.gameState.getRoundEntryCost();
+            if (this.gameState.chips < entryCost) {
+                this.recorder.record('startRound', [], { gameOver: true });
+                this.events.emit('gameOver', { round: targetRound, entryCost, chips: this.gameState.chips });
+                return { success: false, gameOver: true, targetRound, entryCost };
+            }
+            this.gameState.round = targetRound;
+            this.gameState.pendingNextRound = null;
+        }
+        // Enter the chosen path's biome at the start of a Route
+        // Round 1, 6, 11, etc.
+        if ((this.gameState.round - 1) % CONFIG.BOSS_ROUND_INTERVAL === 0) {
+            this.worldSystem.enterRoute(this.gameState.getRouteIndex());
+        }
+
+        this.gameState.startRound();
+        this.gameState.runAugmentHooks('onRoundStart');
+
+        const result = {
+            success: true,
+            round: this.gameState.round,
+            // Goal can already be met (e.g. via augments or carry-over)
+            goalReached: this.gameState.hasReachedRoundGoal(),
+            node: this.gameState.getRouteNode()
+        };
+        this.recorder.record('startRound', [], { round: result.round, biomeId: this.gameState.world.currentBiomeId });
+        this.events.emit('roundStarted', result);
+        return result;
+    }
+
+    /**
+     * @returns {boolean} true if the player may roll right now
+     */
+    canRoll() {
+        return !this.gameState.hasReachedRoundGoal() && this.gameState.getRemainingRolls() > 0;
+    }
+
+    /**
+     * Roll one thing into the inventory
+     * @returns {Object|null} { thing, streakMessage, goalReached, rollsRemaining, stolen }, null if no roll was made
+     */
+    roll() {
+        if (!this.canRoll()) return null;
+
+        this.gameState.addStat('totalRollsUsed', 1);
+        this.gameState.runAugmentHooks('onRoll');
+        const thing = this.gameState.rollThing();
+        if (thing === null) return null;
+        const stolen = this.gameState.lastStolenItem;
+        const check = { name: thing.name, tier: thing.tier, value: thing.value };
+        if (stolen) check.stolen = stolen.name;
+        if (this.gameState.lastBiomeRule) check.biomeRule = this.gameState.lastBiomeRule.rule.type;
+        this.recorder.record('roll', [], check);
+
+        this.gameState.addStat('totalItemsRolled', 1);
+        this.gameState.updateRareStreak(thing.tier);
+        this.gameState.runAugmentHooks('onItemRolled', { thing });
+
+        if (stolen) {
+            this.events.emit('bossStoleItem', { thing: stolen, boss: this.gameState.getCurrentBoss() });
+        }
+
+        const result = {
+            thing,
+            streakMessage: this.gameState.getRareStreakMessage(),
+            goalReached: this.gameState.hasReachedRoundGoal(),
+            rollsRemaining: this.gameState.getRemainingRolls(),
+            stolen
+        };
+        this.events.emit('itemRolled', result);
+        return result;
+    }
+
+    /**
+     * Move an inventory item; adjacency makes the order part of the sale value
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     * @returns {boolean} true if the item moved
+     */
+    reorderInventory(fromIndex, toIndex) {
+        const moved = this.gameState.reorderInventory(fromIndex, toIndex);
+        this.recorder.record('reorderInventory', [fromIndex, toIndex], { moved });
+        if (moved) {
+            this.events.emit('inventoryReordered', { fromIndex, toIndex, goalReached: this.gameState.hasReachedRoundGoal() });
+        }
+        return moved;
+    }
+
+    /**
+     * Mark an inventory item to be kept in the vault instead of sold, or unmark it
+     * @param {number} index
+     * @returns {Object} { success, message, kept }
+     */
+    toggleKeepItem(index) {
+        const result = this.gameState.toggleKeepItem(index);
+        this.recorder.record('toggleKeepItem', [index], { success: result.success });
+        if (result.success) {
+            this.events.emit('itemKeepToggled', { index, kept: result.kept, goalReached: this.gameState.hasReachedRoundGoal() });
+        }
+        return result;
+    }
+
+    /**
+     * Use a consumable in the inventory (extra rolls, destroy an item, bonus roll)
+     * @param {number} index
+     * @returns {Object} { success, message, thing, destroyed?, rolled? }
+     */
+    useItem(index) {
+        const result = this.gameState.useItem(index);
+        const check = { success: result.success };
+        if (result.rolled) check.rolled = result.rolled.name;
+        this.recorder.record('useItem', [index], check);
+        if (result.success) {
+            if (result.rolled) this.gameState.addStat('totalItemsRolled', 1);
+            this.events.emit('itemUsed', {
+                thing: result.thing,
+                result,
+                goalReached: this.gameState.hasReachedRoundGoal(),
+                rollsRemaining: this.gameState.getRemainingRolls()
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Spend a charge of an active augment during the round
+     * @param {string} augmentId
+     * @returns {Object} { success, message, augmentId, charges, thing? }
+     */
+    activateAugment(augmentId) {
+        const result = this.gameState.activateAugment(augmentId);
+        const check = { success: result.success };
+        if (result.thing) check.thing = result.thing.name;
+        this.recorder.record('activateAugment', [augmentId], check);
+        if (result.success) {
+            // A reroll counts as an item rolled, like a consumable's bonus roll
+            if (result.rolled) this.gameState.addStat('totalItemsRolled', 1);
+            this.events.emit('augmentActivated', {
+                augmentId,
+                result,
+                goalReached: this.gameState.hasReachedRoundGoal(),
+                rollsRemaining: this.gameState.getRemainingRolls()
+            });
+        }
+        return result;
+    }
+
+    /**
+     * First half of ending a round: leftover rolls become cash, inventory is sold (kept items go to the vault)
+     * @returns {Object} sale summary, pass it to finishRound()
+     */
+    sellRound() {
+        const rollsRemaining = this.gameState.getRemainingRolls();
+        const rollsToCash = Math.max(0, rollsRemaining);
+
+        // Convert remaining rolls to cash before selling/finishing round.
+        if (rollsToCash > 0) this.gameState.currency.addCash(rollsToCash);
+
+        const soldCount = this.gameState.inventory.filter(thing => !thing.kept).length;
+        const breakdown = this.gameState.inventory.length === 0 ? null : this.gameState.getSaleBreakdown();
+        const synergies = breakdown ? breakdown.synergies : [];
+        const positionalBonus = breakdown ? breakdown.positionalBonus : 0;
+        const keptValue = breakdown ? breakdown.keptValue : 0;
+        const earnedChips = soldCount === 0 ? 0 : this.gameState.sellInventory();
+        const keptCount = this.gameState.storeKeptItems().length;
+        this.gameState.runAugmentHooks('onSell', { soldCount, earnedChips });
+
+        const sale = { soldCount, earnedChips, rollsRemaining, rollsToCash, synergies, positionalBonus, keptCount, keptValue };
+        this._pendingSale = sale;
+        this.recorder.record('sellRound', [], { earnedChips });
+        this.events.emit('itemsSold', sale);
+        return sale;
+    }
+
+    /**
+     * Second half of ending a round: rewards, interest and the advance check
+     * @param {Object} [sale] - result of sellRound(), defaults to the last sale
+     * @returns {Object} round summary (shape used by the breakdown screen)
+     */
+    finishRound(sale = this._pendingSale) {
+        this._pendingSale = null;
+        // Complete the round and earn cash rewards + interest
+        const rewards = this.gameState.completeRound();
+        this.gameState.runAugmentHooks('onRoundEnd', { round: this.gameState.round });
+
+        // Check if can afford next round
+        const nextRound = this.gameState.round + 1;
+        const nextCost = this.gameState.getRoundEntryCost();
+        const canAdvance = this.gameState.chips >= nextCost;
+        if (canAdvance && this.gameState.isBossRound()) {
+            this.gameState.runAugmentHooks('onBossDefeated', { boss: this.gameState.getCurrentBoss() });
+            // The boss boundary: map out the next route
+            this.worldSystem.generateRouteMap(getRouteIndex(nextRound));
+        }
+
+        const summary = {
+            type: canAdvance ? 'round_complete' : 'game_over',
+            round: this.gameState.round,
+            chipsEarned: sale.earnedChips,
+            synergies: sale.synergies || [],
+            positionalBonus: sale.positionalBonus || 0,
+            keptCount: sale.keptCount || 0,
+            keptValue: sale.keptValue || 0,
+            rollsRemaining: sale.rollsRemaining,
+            rollsToCash: sale.rollsToCash,
+            baseReward: rewards.baseReward,
+            interestReward: rewards.interestReward,
+            cashBonus: rewards.cashBonus,
+            chipsBonus: rewards.chipsBonus,
+            totalReward: rewards.totalReward + sale.rollsToCash,
+            totalCash: this.gameState.cash,
+            chips: this.gameState.chips,
+            canAdvance,
+            nextCost,
+            isBossNext: typeof isBossRound === 'function' && isBossRound(nextRound)
+        };
+        this.recorder.record('finishRound', [], { chips: summary.chips, cash: summary.totalCash });
+        this.events.emit('roundEnded', summary);
+        if (!canAdvance) {
+            this.events.emit('gameOver', { round: nextRound, entryCost: nextCost, chips: this.gameState.chips });
+        }
+        return summary;
+    }
+
+    /**
+     * Sell and finish the round in one step (headless use)
+     * @returns {Object} round summary
+     */
+    endRound() {
+        return this.finishRound(this.sellRound());
+    }
+
+    /**
+     * Leave the rewards screen: queue the next round and stock the shop
+     */
+    enterShop() {
+        this.gameState.pendingNextRound = this.gameState.round + 1;
+        this._resetRerollCost();
+        this.shop.generateShopAugments();
+        this.recorder.record('enterShop', [], this._shopCheck());
+        this.events.emit('shopOpened', { nextRound: this.gameState.pendingNextRound });
+    }
+
+    /**
+     * Reset reroll cost when entering new shop (enterShop and confirmBossReward already do;
+     * kept so replays recorded while the shop screen reset it still play back)
+     */
+    resetRerollCost() {
+        this._resetRerollCost();
+        this.recorder.record('resetRerollCost');
+    }
+
+    _resetRerollCost() {
+        if (this.gameState.augmentsPurchased && this.gameState.augmentsPurchased['vip_card']) {
+            this.shopRerollCost = 0;
+        } else {
+            this.shopRerollCost = 5;
+        }
+    }
+
+    /**
+     * Buy an augment from the current shop offer
+     * @returns {Object} { success, message }
+     */
+    buyAugment(augmentId, instanceId) {
+        const result = this.shop.purchaseAugment(augmentId, instanceId);
+        this.recorder.record('buyAugment', [augmentId, instanceId || null], { success: result.success });
+        if (result.success) {
+            this.events.emit('augmentPurchased', { augmentId, instanceId: instanceId || null });
+        }
+        return result;
+    }
+
+    /**
+     * Reroll the shop offer, using a free reroll first
+     * @returns {Object} { success, message, free }
+     */
+    rerollShop() {
+        const cost = this.shopRerollCost;
+        let free = false;
+
+        if (this.gameState.freeRerolls > 0) {
+            this.gameState.freeRerolls--;
+            free = true;
+        } else if (this.gameState.cash < cost) {
+            this.recorder.record('rerollShop', [], { success: false });
+            return { success: false, message: `Need ${cost}$ to reroll`, free };
+        } else {
+            // Spend cash only if not free
+            this.gameState.currency.spendCash(cost);
+            // Increase cost for next time (faster at higher stakes)
+            const stakeRules = this.gameState.getStakeRules();
+            this.shopRerollCost += 2 * (stakeRules ? stakeRules.rerollGrowthMultiplier : 1);
+        }
+
+        this.shop.generateShopAugments();
+        this.events.emit('shopRerolled', { free, cost: free ? 0 : cost });
+        this.gameState.runAugmentHooks('onShopReroll', { free });
+        this.recorder.record('rerollShop', [], { success: true, ...this._shopCheck(), freeRerolls: this.gameState.freeRerolls });
+
+        return { success: true, message: 'Rerolled', free };
+    }
+
+    /**
+     * Forge an owned augment
+     * @returns {Object} { success, message }
+     */
+    forgeAugment(augmentId) {
+        const result = this.gameState.forgeAugment(augmentId);
+        this.recorder.record('forgeAugment', [augmentId], { success: result.success });
+        if (result.success) this.events.emit('augmentForged', { augmentId });
+        return result;
+    }
+
+    /**
+     * Boss reward: after a boss round, offer its exclusive augments instead of going straight to the shop
+     * @returns {boolean} true if a boss reward is waiting (pick with chooseBossAugment, then confirmBossReward)
+     */
+    openBossReward() {
+        const opened = this.gameState.openBossReward();
+        const reward = this.gameState.pendingBossReward;
+        const augmentIds = opened ? reward.augmentOptions.map(augment => augment.id) : [];
+        this.recorder.record('openBossReward', [], { options: augmentIds });
+        if (opened) this.events.emit('bossRewardOpened', { boss: reward.boss, augmentIds });
+        return opened;
+    }
+
+    /**
+     * Boss reward: take one of the offered augments
+     * @returns {boolean} true if acquired
+     */
+    chooseBossAugment(augmentId) {
+        const success = this.gameState.chooseBossAugment(augmentId);
+        this.recorder.record('chooseBossAugment', [augmentId], { success: !!success });
+        return success;
+    }
+
+    /**
+     * Boss reward: confirm picks and move on to the shop
+     * @returns {Object} { success, message }
+     */
+    confirmBossReward() {
+        const required = CONFIG.BOSS_AUGMENT_PICK_COUNT;
+        if (this.gameState.getBossAugmentsPickedCount() < required) {
+            this.recorder.record('confirmBossReward', [], { success: false });
+            return { success: false, message: `Pick ${required} augments first` };
+        }
+        this.gameState.confirmBossReward();
+        this._resetRerollCost();
+        this.shop.generateShopAugments();
+        this.recorder.record('confirmBossReward', [], { success: true, ...this._shopCheck() });
+        this.events.emit('shopOpened', { nextRound: this.gameState.pendingNextRound });
+        return { success: true, message: 'Boss reward claimed' };
+    }
+
+    /**
+     * Advance the clock and roll for world events
+     * @param {number} deltaSeconds - real seconds elapsed (1s = 1 game minute)
+     */
+    tick(deltaSeconds) {
+        // Wall-clock deltas are recorded as-is so playback crosses minute boundaries identically
+        this.recorder.record('tick', [deltaSeconds]);
+        this.timeSystem.update(deltaSeconds);
+        this.worldSystem.tickEvents();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEngine };
+}
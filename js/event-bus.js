@@ -0,0 +1,57 @@
+/**
+ * Event Bus
+ * Minimal publish/subscribe used by the rules core to report what happened
+ * (unlocks, biome changes, world events...) without touching the UI.
+ */
+
+class EventBus {
+    constructor() {
+        this._handlers = {};
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} eventName
+     * @param {Function} handler - called with the event payload
+     * @returns {Function} unsubscribe function
+     */
+    on(eventName, handler) {
+        if (!this._handlers[eventName]) this._handlers[eventName] = [];
+        this._handlers[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe a handler registered with on()
+     * @param {string} eventName
+     * @param {Function} handler
+     */
+    off(eventName, handler) {
+        const handlers = this._handlers[eventName];
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index > -1) handlers.splice(index, 1);
+    }
+
+    /**
+     * Notify every subscriber of an event
+     * A throwing handler is logged and does not stop the others (or the game rules).
+     * @param {string} eventName
+     * @param {Object} payload
+     */
+    emit(eventName, payload = {}) {
+        const handlers = this._handlers[eventName];
+        if (!handlers || handlers.length === 0) return;
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`[EventBus] Handler for '${eventName}' failed:`, error);
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventBus };
+}
@@ -3,19 +3,29 @@
  * Central source of truth for all game data
  */
 
+/** Bump when the shape of serialize() output changes; older saves are rejected */
+const GAME_STATE_SAVE_VERSION = 1;
+
 class GameState {
     constructor(seed) {
+        // Rules report what happened here; the browser UI and Node scripts subscribe
+        this.events = new EventBus();
         this.seed = (seed >>> 0) || (Date.now() >>> 0);
         this.seedString = String(this.seed);
         this.rngStreams = this._createRngStreams(this.seed);
         this.resetGame();
     }
 
-    setSeed(seed, seedString) {
+    /**
+     * @param {number} seed
+     * @param {string} [seedString]
+     * @param {Object} [runOptions] - run setup (mode, archetype, perks...), applied by resetGame
+     */
+    setSeed(seed, seedString, runOptions = {}) {
         this.seed = (seed >>> 0) || (Date.now() >>> 0);
         this.seedString = seedString || String(this.seed);
         this.rngStreams = this._createRngStreams(this.seed);
-        this.resetGame();
+        this.resetGame(runOptions);
     }
 
     _deriveSeed(label) {
@@ -34,17 +44,192 @@ class GameState {
             loot: mk('loot'),
             mods: mk('mods'),
             augments: mk('augments'),
-            luck: mk('luck')
+            luck: mk('luck'),
+            bossRewards: mk('boss-rewards'),
+            // Chance rolls of augment hooks (label kept from when only shop rerolls used it, so seeds play the same)
+            augmentHooks: mk('shop-rerolls'),
+            bossRules: mk('boss-rules'),
+            biomeRules: mk('biome-rules'),
+            // Visual-only randomness; kept separate so animations never shift gameplay
+            cosmetic: mk('cosmetic')
+        };
+    }
+
+    /**
+     * Random number for visuals only (particles, name flicker, quotes)
+     * @returns {number} 0-1
+     */
+    cosmeticRandom() {
+        return this.rngStreams.cosmetic();
+    }
+
+    /**
+     * Capture the position of every seeded stream (gameplay + world)
+     * @returns {Object} { streams: { label: state }, world: { label: state } | null }
+     */
+    _getRngState() {
+        const streams = {};
+        for (const label in this.rngStreams) {
+            const stream = this.rngStreams[label];
+            if (stream && typeof stream.getState === 'function') {
+                streams[label] = stream.getState();
+            }
+        }
+        const world = (this.worldSystem && typeof this.worldSystem.getRngState === 'function')
+            ? this.worldSystem.getRngState()
+            : null;
+        return { streams, world };
+    }
+
+    /**
+     * Move every seeded stream back to a captured position
+     * @param {Object} rngState - output of _getRngState()
+     */
+    _setRngState(rngState) {
+        if (!rngState) return;
+        const streams = rngState.streams || {};
+        for (const label in streams) {
+            const stream = this.rngStreams[label];
+            if (stream && typeof stream.setState === 'function') {
+                stream.setState(streams[label]);
+            }
+        }
+        if (rngState.world && this.worldSystem && typeof this.worldSystem.setRngState === 'function') {
+            this.worldSystem.setRngState(rngState.world);
+        }
+    }
+
+    /**
+     * Serialize the in-progress run into a plain JSON-safe object
+     * Wall-clock timers are stored as elapsed durations so a resumed run does not count time spent away.
+     * @returns {Object} versioned snapshot, restore with deserialize()
+     */
+    serialize() {
+        const now = Date.now();
+        const { startTime, ...stats } = this.stats;
+        const pending = this.pendingBossReward;
+
+        return {
+            version: GAME_STATE_SAVE_VERSION,
+            savedAt: now,
+            seed: this.seed,
+            seedString: this.seedString,
+            round: this.round,
+            rollsUsed: this.rollsUsed,
+            bonusRolls: this.bonusRolls,
+            pendingNextRound: this.pendingNextRound,
+            runOptions: this.runOptions,
+            pendingBossReward: pending ? {
+                bossId: pending.bossId,
+                augmentIds: pending.augmentOptions.map(p => p.id)
+            } : null,
+            currency: {
+                cash: this.currency.cash,
+                chips: this.currency.chips
+            },
+            inventory: this.inventory,
+            vault: this.vault,
+            augmentsPurchased: this.augmentsPurchased,
+            augmentOrder: this.augmentOrder,
+            itemHistory: this.itemHistory,
+            unlockedAugments: Array.from(this.unlockedAugments),
+            world: this.world,
+            time: this.time,
+            freeRerolls: this.freeRerolls,
+            augmentCharges: this.augmentCharges,
+            lastRolledIndex: this.inventory.indexOf(this.lastRolledItem),
+            rareItemStreak: this.rareItemStreak,
+            badLuckStreak: this._badLuckStreak,
+            augmentMarks: this.augmentMarks,
+            stats: {
+                ...stats,
+                elapsedMs: now - startTime
+            },
+            roundStartMinute: this.roundStartMinute,
+            rng: this._getRngState()
         };
     }
 
-    resetGame() {
+    /**
+     * Restore a run produced by serialize()
+     * @param {Object} data - parsed snapshot
+     * @returns {boolean} false if the snapshot is missing or from another save version
+     */
+    deserialize(data) {
+        if (!data || data.version !== GAME_STATE_SAVE_VERSION) return false;
+
+        // Recreate streams from the seed first, then fast-forward them to the saved position
+        this.seed = data.seed >>> 0;
+        this.seedString = data.seedString || String(this.seed);
+        this.rngStreams = this._createRngStreams(this.seed);
+        this.resetGame();
+
+        const now = Date.now();
+        this.round = data.round;
+        this.rollsUsed = data.rollsUsed || 0;
+        this.bonusRolls = data.bonusRolls || 0;
+        this.pendingNextRound = data.pendingNextRound != null ? data.pendingNextRound : null;
+        this.runOptions = data.runOptions || {};
+        this.currency.cash = data.currency.cash;
+        this.currency.chips = data.currency.chips;
+        this.inventory = data.inventory || [];
+        this.vault = data.vault || [];
+        this.augmentsPurchased = data.augmentsPurchased || {};
+        this.augmentOrder = data.augmentOrder || [];
+        this.itemHistory = data.itemHistory || [];
+        this.unlockedAugments = new Set(data.unlockedAugments || []);
+        this.freeRerolls = data.freeRerolls || 0;
+        this.augmentCharges = data.augmentCharges || {};
+        this.lastRolledItem = this.inventory[data.lastRolledIndex] || null;
+        this.rareItemStreak = data.rareItemStreak || 0;
+        this._badLuckStreak = data.badLuckStreak || 0;
+        this.augmentMarks = data.augmentMarks || {};
+
+        const { elapsedMs, ...stats } = data.stats || {};
+        this.stats = { ...this.stats, ...stats, startTime: now - (elapsedMs || 0) };
+        this.roundStartMinute = data.roundStartMinute || 0;
+
+        if (data.world) this.world = data.world;
+        if (data.time) this.time = data.time;
+
+        if (data.pendingBossReward) {
+            const boss = (typeof getBossById === 'function' && getBossById(data.pendingBossReward.bossId)) || this.getBossForRound(this.round);
+            const augmentOptions = (data.pendingBossReward.augmentIds || [])
+                .map(id => (typeof getBossAugmentById === 'function' ? getBossAugmentById(id) : null))
+                .filter(Boolean);
+            this.pendingBossReward = boss ? { bossId: boss.id, boss, augmentOptions } : null;
+        }
+
+        // World streams are owned by WorldSystem; reseed them before restoring their position
+        if (this.worldSystem && typeof this.worldSystem.init === 'function') {
+            this.worldSystem.init();
+        }
+        // Saves from before the hook stream was renamed keep its position under 'shopRerolls'
+        const rng = data.rng;
+        if (rng && rng.streams && rng.streams.shopRerolls && !rng.streams.augmentHooks) {
+            rng.streams.augmentHooks = rng.streams.shopRerolls;
+        }
+        this._setRngState(rng);
+
+        return true;
+    }
+
+    /**
+     * Fresh run state
+     * @param {Object} [runOptions] - run setup chosen with the seed (mode, daily date, archetype...), see share-code.js
+     */
+    resetGame(runOptions = {}) {
         this.round = 1;
-        this.currency = new CurrencySystem();
+        this.runOptions = { ...runOptions };
+        this.currency = new CurrencySystem(this); // Starting cash comes from the archetype and profile perks
         this.inventory = [];
+        this.vault = []; // Items kept after the last sale, back in the inventory next round
         this.augmentsPurchased = {};
         this.augmentOrder = []; // order of augment ids for topbar display
         this.rollsUsed = 0;
+        this.bonusRolls = 0; // Rolls gained from consumables this round
+        this.augmentCharges = {}; // Charges left per active augment; missing = full
+        this.lastRolledItem = null; // Target of "last roll" active augments
         this.rareItemStreak = 0;
         this.pendingBossReward = null;
         this.pendingNextRound = null;
@@ -61,30 +246,79 @@ class GameState {
             totalItemsRolled: 0,
             totalRollsUsed: 0,
             maxChipsHeld: 0,
-            fastestRoundTime: null // ms
+            itemsUsed: 0,
+            augmentsActivated: 0,
+            fastestRoundTime: null // ms of game clock, see completeRound()
         };
         
-        // Round timing
-        this.currentRoundStartTime = Date.now();
+        // Round timing on the game clock (time.totalMinutes), which only moves on recorded ticks
+        this.roundStartMinute = 0;
         
         // History tracking for unlock requirements
         this.itemHistory = [];
 
         // Augment-specific tracking
-        this.chipEaterStartValue = 0;
+        this.augmentMarks = {}; // Per-augment values remembered by hooks (mark_stat)
         
         // Reroll System
         this.freeRerolls = 0;
+
+        // Item taken by a steal_best boss on the last roll
+        this.lastStolenItem = null;
+        // Biome rule that fired on the last roll ({ biomeId, rule, message })
+        this.lastBiomeRule = null;
         
         // Track unlocked augments to show notifications only once per run
         this.unlockedAugments = new Set();
+
+        this._grantStartingAugments();
+    }
+
+    /** Archetype of this run (archetypes.js), null where archetypes aren't loaded */
+    getArchetype() {
+        return typeof getArchetype === 'function' ? getArchetype(this.runOptions.archetype) : null;
+    }
+
+    /** Ascension stake of this run (stakes.js), 0 = base game */
+    getStake() {
+        // Clamped to a whole ladder level, so a hand-edited option can't make stake + 1 a string
+        return typeof getStake === 'function' ? getStake(this.runOptions.stake).level : (this.runOptions.stake || 0);
+    }
+
+    /** Combined rules of the run's stake, null where stakes aren't loaded */
+    getStakeRules() {
+        return typeof getStakeRules === 'function' ? getStakeRules(this.getStake()) : null;
     }
 
     /**
-     * Check for newly unlocked augments and notify
+     * True if the run's archetype keeps this augment out of the shop
+     * @param {string} augmentId
+     */
+    isAugmentRestricted(augmentId) {
+        const archetype = this.getArchetype();
+        const banned = (archetype && archetype.restrictions && archetype.restrictions.bannedAugments) || [];
+        return banned.includes(augmentId);
+    }
+
+    /**
+     * Own the archetype's starting augments and the profile's starter augment (runOptions.perks) from round 1
+     */
+    _grantStartingAugments() {
+        const archetype = this.getArchetype();
+        const perks = this.runOptions.perks || {};
+        const ids = [...((archetype && archetype.startingAugments) || []), perks.starterAugment].filter(Boolean);
+        ids.forEach(augmentId => {
+            if (typeof getAugmentById === 'function' && !getAugmentById(augmentId)) return;
+            this.augmentsPurchased[augmentId] = (this.augmentsPurchased[augmentId] || 0) + 1;
+            if (!this.augmentOrder.includes(augmentId)) this.augmentOrder.push(augmentId);
+        });
+    }
+
+    /**
+     * Check for newly unlocked augments and emit 'augmentUnlocked' for each
      */
     checkUnlockNotifications() {
-        if (typeof AUGMENTS === 'undefined' || typeof checkAugmentConditions !== 'function' || typeof game === 'undefined' || !game.ui) return;
+        if (typeof AUGMENTS === 'undefined' || typeof checkAugmentConditions !== 'function') return;
 
         for (const augmentId in AUGMENTS) {
             const augment = AUGMENTS[augmentId];
@@ -92,13 +326,12 @@ class GameState {
             
             // Only check if it has unlock conditions OR requirements (like Virus/Exodia) and we haven't unlocked it yet this run
             const hasUnlock = augment.conditions.some(c => c.type === 'unlock');
-            const hasRequirement = augment.conditions.some(c => c.type === 'requires_augment');
+            const hasRequirement = augment.conditions.some(c => c.type === 'requireAugment');
             
             if ((hasUnlock || hasRequirement) && !this.unlockedAugments.has(augmentId)) {
                 if (checkAugmentConditions(augment, this, this.augmentsPurchased)) {
                     this.unlockedAugments.add(augmentId);
-                    const color = augment.nameStyle?.color || augment.color || '#fff';
-                    game.ui.showMessage(`Unlocked <span style="color:${color}">[${augment.name}]</span>`, 'unlock');
+                    this.events.emit('augmentUnlocked', { augmentId, augment });
                 }
             }
         }
@@ -125,11 +358,55 @@ class GameState {
         }
     }
 
-    /** Reorder inventory (drag & drop) */
+    /**
+     * Reorder inventory (drag & drop); order matters for adjacency (adjacency.js)
+     * @returns {boolean} true if the item moved
+     */
     reorderInventory(fromIndex, toIndex) {
-        if (fromIndex < 0 || toIndex < 0 || fromIndex >= this.inventory.length || toIndex >= this.inventory.length) return;
+        if (fromIndex < 0 || toIndex < 0 || fromIndex >= this.inventory.length || toIndex >= this.inventory.length) return false;
+        if (fromIndex === toIndex) return false;
         const [item] = this.inventory.splice(fromIndex, 1);
         this.inventory.splice(toIndex, 0, item);
+        return true;
+    }
+
+    /** Items the vault can hold (CONFIG.VAULT_BASE_CAPACITY + vault_capacity augments) */
+    getVaultCapacity() {
+        return CONFIG.VAULT_BASE_CAPACITY + (this.getAttributes().vault_capacity || 0);
+    }
+
+    /** Value growth of kept items per round (CONFIG.VAULT_GROWTH + vault_growth augments) */
+    getVaultGrowth() {
+        return CONFIG.VAULT_GROWTH + (this.getAttributes().vault_growth || 0);
+    }
+
+    /**
+     * Mark an inventory item to be kept (not sold) at the end of the round, or unmark it
+     * @param {number} index
+     * @returns {Object} { success, message, kept }
+     */
+    toggleKeepItem(index) {
+        const thing = this.inventory[index];
+        if (!thing) return { success: false, message: 'No item there' };
+        if (thing.kept) {
+            thing.kept = false;
+            return { success: true, message: `${thing.name} will be sold`, kept: false };
+        }
+        const capacity = this.getVaultCapacity();
+        if (this.inventory.filter(t => t.kept).length >= capacity) {
+            return { success: false, message: `Vault is full (${capacity})` };
+        }
+        thing.kept = true;
+        return { success: true, message: `${thing.name} will be kept`, kept: true };
+    }
+
+    /**
+     * After a sale: move kept items into the vault until the next round
+     * @returns {Array} the vault
+     */
+    storeKeptItems() {
+        this.vault = this.inventory.filter(thing => thing.kept);
+        return this.vault;
     }
 
     /**
@@ -150,258 +427,141 @@ class GameState {
      * Get interest stacks
      */
     get interestStacks() {
-        const attrs = this.getAttributes();
-        return this.currency.getInterestStacks(attrs.max_interest_stacks);
+        return this.currency.getInterestStacks(this.getMaxInterestStacks(this.getAttributes()));
     }
 
     /**
-     * Helper to apply attributes to the stats object
-     * @param {Object} targetAttributes - The accumulator object
-     * @param {Object} sourceStats - The stats to apply (new schema)
-     * @param {number} multiplier - Multiplier for the values (usually count)
+     * Interest stack cap; boss rules and the run's stake are already applied by the caps layer
+     * @param {Object} attrs - getAttributes() result
      */
-    _applyAttributeSet(targetAttributes, sourceStats, multiplier = 1) {
-        if (!sourceStats) return;
-
-        for (const statName in sourceStats) {
-            const statDef = sourceStats[statName];
-            
-            // Handle 'modify' (modifiers) specifically
-            if (statName === 'modify') {
-                if (!targetAttributes.modifiers) targetAttributes.modifiers = {};
-                
-                for (const modName in statDef) {
-                    const modStat = statDef[modName];
-                    // modStat is like { set: 1 } or { value: -1 } (which assumes add?)
-                    // User example: 'golden': {set: 1}, 'prismatic': {value: -1}, 'ectoplasmic': {multi: 1}
-                    
-                    let currentVal = targetAttributes.modifiers[modName] || 0;
-                    
-                    if (modStat.guaranteed) {
-                        if (!targetAttributes.guaranteedMods) targetAttributes.guaranteedMods = [];
-                        if (multiplier > 0) targetAttributes.guaranteedMods.push(modName);
-                    } else if (modStat.set !== undefined) {
-                        if (multiplier > 0) targetAttributes.modifiers[modName] = modStat.set;
-                    } else if (modStat.value !== undefined) {
-                        // Assume additive if 'value' is used without type, or 'add' implied
-                        targetAttributes.modifiers[modName] = currentVal + (modStat.value * multiplier);
-                    } else if (modStat.multi !== undefined) {
-                        // Multiplier for chance/rarity?
-                        // If it's a multiplier, default base should be 1?
-                        // But modifiers map usually stores "rarity factor" or "chance weight".
-                        // If it's weight, multi makes sense.
-                        const base = currentVal === 0 ? 1 : currentVal;
-                        targetAttributes.modifiers[modName] = base * Math.pow(modStat.multi, multiplier);
-                    } else if (modStat.div !== undefined) {
-                        const base = currentVal === 0 ? 1 : currentVal;
-                        targetAttributes.modifiers[modName] = base / Math.pow(modStat.div, multiplier);
-                    }
-                }
-                continue;
-            }
-
-            // Standard Stat Handling
-            if (statDef && typeof statDef === 'object') {
-                const type = statDef.type;
-                const value = statDef.value;
-
-                switch (type) {
-                    case 'add':
-                    case 'sub':
-                        targetAttributes[statName] = (targetAttributes[statName] || 0) + (value * multiplier);
-                        break;
-                    case 'multi':
-                    case 'mult':
-                    case 'multiply':
-                        // Initialize to 1 if not present for multiplication
-                        if (targetAttributes[statName] === undefined) targetAttributes[statName] = 1;
-                        if (multiplier > 0) {
-                            targetAttributes[statName] *= Math.pow(value, multiplier);
-                        }
-                        break;
-                    case 'div':
-                    case 'divide':
-                         if (targetAttributes[statName] === undefined) targetAttributes[statName] = 1;
-                         if (multiplier > 0) {
-                            targetAttributes[statName] /= Math.pow(value, multiplier);
-                         }
-                        break;
-                    case 'set':
-                        if (multiplier > 0) targetAttributes[statName] = value;
-                        break;
-                    default:
-                        // Fallback for "legacy" style if mixed { rolls: { add: 1 } } vs { rolls: 1 }
-                        if (statDef.add !== undefined) targetAttributes[statName] = (targetAttributes[statName] || 0) + (statDef.add * multiplier);
-                        // ... other legacy checks if needed, but we are enforcing new schema
-                        break;
-                }
-            } else if (typeof statDef === 'number') {
-                // Direct number = additive (legacy support)
-                targetAttributes[statName] = (targetAttributes[statName] || 0) + (statDef * multiplier);
-            }
-        }
+    getMaxInterestStacks(attrs) {
+        return attrs.max_interest_stacks;
     }
 
     /**
-     * Calculate current attributes from purchased augments
+     * Calculate current attributes from purchased augments (layered, see attributes.js)
      * @returns {Object} calculated attributes
      */
     getAttributes() {
-        const attributes = {
-            rolls: 0,
-            luck: 0,
-            max_interest_stacks: 5, // Default max
-            modification_chance: 0,
-            
-            // Value modifiers
-            valueBonus: 0,
-            multiValue: 1,
-            addValue: 0,
-            subtractValue: 0,
-            divideValue: 1,
-            setValue: undefined,
-            // In new schema, valueBonus: { type: 'multi', value: 2.0 } implies it starts at 1?
-            // Or valueBonus: { type: 'add', value: 0.1 } implies it starts at 0?
-            // Existing logic uses valueBonus as additive percentage (0.1 = +10%).
-            // But 'multi' logic in _applyAttributeSet inits to 1.
-            // Let's ensure consistent starting values for known stats.
-            // Actually, let's let _applyAttributeSet handle initialization if undefined.
-            // But for 'valueBonus', if we mix add and multi, we need to be careful.
-            // Usually: (Base + Add) * Multi.
-            // Our simple _applyAttributeSet does operations sequentially.
-            // This might depend on order of augments.
-            // Ideally we separate add and multi. But for now let's stick to simple accumulator.
-            
-            // Chip modifiers
-            addChip: 0, subtractChip: 0, multiChip: 1, divideChip: 1, setChip: undefined,
-            chipsEndRound: 0,
-            
-            // Cash modifiers
-            addCash: 0, subtractCash: 0, multiCash: 1, divideCash: 1, setCash: undefined,
-            
-            modifiers: {}, // Initialize modifiers map
-            guaranteedMods: [] // Initialize guaranteed mods list
-        };
+        return this.getAttributeLedger().attributes;
+    }
 
+    /**
+     * Run the attribute pipeline, keeping every contribution by source
+     * @returns {Object} { attributes, ledger } - ledger.explain(stat, value) for the stats modal
+     */
+    getAttributeLedger() {
+        const ledger = new AttributeLedger();
         const activeSets = {}; // { setName: { count: 0, bonuses: {} } }
 
         for (const augmentId in this.augmentsPurchased) {
-            let count = this.augmentsPurchased[augmentId];
+            const count = this.augmentsPurchased[augmentId];
             let augment = typeof getAugmentById === 'function' ? getAugmentById(augmentId) : AUGMENTS[augmentId];
             if (!augment && typeof getBossAugmentById === 'function') augment = getBossAugmentById(augmentId);
-            
-            // Special handling for Nullification (Removed/Commented out as requested, but logic exists)
-            // User said "remove NULLIFICAT0N". It's not in AUGMENTS anymore.
-            // So we can skip special handling or leave it as dead code.
-            // But if it's in augmentsPurchased from save, we might want to ignore it?
-            // User said "remove it", implies it shouldn't exist.
-
-            // Special handling for Chip Eater
-            if (augmentId === 'chip_eater') {
-                continue;
-            }
+            if (!augment || !count) continue;
 
-            if (augment) {
-                // Standardize count
-                const maxStack = (augment.properties && augment.properties.stack) || 1;
-                // If it's a stackable augment (maxStack > 1 or specific property), count is accurate.
-                // If maxStack is 1, count should be 1.
-                // But augmentsPurchased stores count.
-                
-                // 1. Apply Base Stats
-                if (augment.stats) {
-                    this._applyAttributeSet(attributes, augment.stats, count);
-                }
+            const stacks = count === true ? 1 : count;
+            const source = { id: augmentId, name: augment.name };
 
-                // 2. Track Sets
-                if (augment.properties && augment.properties.set) {
-                    const setName = augment.properties.set;
-                    if (!activeSets[setName]) {
-                        activeSets[setName] = { count: 0, bonuses: null };
-                    }
-                    activeSets[setName].count += count; // Count stacks or instances?
-                    
-                    if (augment.properties.setBonuses) {
-                        activeSets[setName].bonuses = augment.properties.setBonuses;
-                    }
-                }
+            // 1. Base stats
+            ledger.addStats(source, augment.stats, stacks);
 
-                // 3. Apply Conditions (Bonus Triggers)
-                if (augment.conditions) {
-                    for (const condition of augment.conditions) {
-                        if (condition.type === 'bonus_trigger' && condition.condition) {
-                            const cond = condition.condition;
-                            let met = false;
-                            
-                            if (cond.type === 'stat_threshold') {
-                                const statValue = cond.stat === 'round' ? this.round : (this.stats[cond.stat] || 0);
-                                const threshold = cond.threshold || 0;
-                                
-                                if (cond.compare === 'less') {
-                                    if (statValue < threshold) met = true;
-                                } else {
-                                    if (statValue >= threshold) met = true;
-                                }
-                            }
-                            
-                            if (met && cond.bonus) {
-                                this._applyAttributeSet(attributes, cond.bonus, 1); // Trigger bonus usually applies once?
-                            }
-                        }
-                    }
+            // 2. Track sets
+            if (augment.properties && augment.properties.set) {
+                const setName = augment.properties.set;
+                if (!activeSets[setName]) {
+                    activeSets[setName] = { count: 0, bonuses: null };
                 }
-
-                // 4. Handle Special Properties (Guaranteed Mods)
-                if (augment.special) {
-                    for (const key in augment.special) {
-                        if (key.startsWith('guaranteed_mod_')) {
-                            const modId = key.replace('guaranteed_mod_', '');
-                            // Only add if not already present to avoid duplicates
-                            if (!attributes.guaranteedMods.includes(modId)) {
-                                attributes.guaranteedMods.push(modId);
-                            }
-                        }
-                    }
+                activeSets[setName].count += stacks;
+                if (augment.properties.setBonuses) {
+                    activeSets[setName].bonuses = augment.properties.setBonuses;
                 }
             }
+
+            // 3. Bonus triggers (conditions)
+            (augment.conditions || []).forEach(condition => {
+                if (condition.type !== 'bonus_trigger' || !condition.condition) return;
+                const cond = condition.condition;
+                if (cond.type !== 'stat_threshold' || !cond.bonus) return;
+                const statValue = cond.stat === 'round' ? this.round : (this.stats[cond.stat] || 0);
+                const threshold = cond.threshold || 0;
+                const met = cond.compare === 'less' ? statValue < threshold : statValue >= threshold;
+                if (met) ledger.addStats({ id: augmentId, name: `${augment.name} bonus` }, cond.bonus, 1);
+            });
+
+            // 4. Guaranteed mods (special.guaranteed_mod_<modId>)
+            for (const key in (augment.special || {})) {
+                if (!key.startsWith('guaranteed_mod_')) continue;
+                const modId = key.replace('guaranteed_mod_', '');
+                if (!ledger.guaranteedMods.includes(modId)) ledger.guaranteedMods.push(modId);
+            }
         }
 
-        // 4. Apply Set Bonuses
+        // 5. Set bonuses
         for (const setName in activeSets) {
             const set = activeSets[setName];
-            if (set.bonuses) {
-                for (const thresholdStr in set.bonuses) {
-                    const threshold = parseInt(thresholdStr);
-                    if (set.count >= threshold) {
-                        this._applyAttributeSet(attributes, set.bonuses[thresholdStr], 1);
-                    }
+            if (!set.bonuses) continue;
+            const name = `${setName.charAt(0).toUpperCase()}${setName.slice(1)} set`;
+            for (const thresholdStr in set.bonuses) {
+                if (set.count >= parseInt(thresholdStr)) {
+                    ledger.addStats({ id: `set:${setName}`, name }, set.bonuses[thresholdStr], 1);
                 }
             }
         }
 
-        if (this.augmentsPurchased["wishing_star"]) {
-            // Convert Luck to Rolls
-            const luck = attributes.luck || 0;
-            if (luck > 0) {
-                attributes.rolls = (attributes.rolls || 0) + luck;
-                attributes.luck = 0;
-            }
-        } else if (this.augmentsPurchased['transcendence']) {
-            // Convert Rolls to Luck, keep 1 Roll.
-            // Base Rolls = 3. Total Rolls = 3 + attributes.rolls.
-            // We want Total Rolls = 1.
-            const currentExtraRolls = attributes.rolls || 0;
-            const baseRolls = 3;
-            const totalRolls = baseRolls + currentExtraRolls;
-            
-            if (totalRolls > 1) {
-                const rollsToConvert = totalRolls - 1;
-                attributes.luck = (attributes.luck || 0) + rollsToConvert;
-                attributes.rolls = -2; // Sets Total Rolls to 1 (3 - 2)
-            }
+        // 6. Archetype deltas
+        const archetype = this.getArchetype();
+        if (archetype && archetype.stats) {
+            ledger.addStats({ id: `archetype:${archetype.id}`, name: archetype.name }, archetype.stats, 1);
+        }
+
+        // 7. Active world events (eventEffect.stats, e.g. Rush Hour +1 roll)
+        if (this.worldSystem) {
+            this.worldSystem.getActiveEvents().forEach(event => {
+                if (event.eventEffect && event.eventEffect.stats) {
+                    ledger.addStats({ id: `event:${event.id}`, name: event.name }, event.eventEffect.stats, 1);
+                }
+            });
+        }
+
+        // Base → set → additive → multiplicative
+        const attributes = ledger.resolve();
+
+        // Conversion: augment hooks that rework the totals (Wishing Star, Transcendence, Ȼ Eater)
+        this.runAugmentHooks('onAttributes', { attributes, ledger });
+
+        // Caps
+        ledger.applyCaps(attributes, this._getAttributeCaps());
+
+        return { attributes, ledger };
+    }
+
+    /**
+     * Caps layer of the attribute pipeline: limits set by the run rather than by augments
+     * @returns {Array} [{ stat, max?, min?, source }]
+     */
+    _getAttributeCaps() {
+        const caps = [{ stat: 'max_interest_stacks', min: 0, source: { id: 'rules', name: 'minimum' } }];
+        const stakeRules = this.getStakeRules();
+        if (stakeRules && stakeRules.interestCap !== null) {
+            caps.push({ stat: 'max_interest_stacks', max: stakeRules.interestCap, source: { id: 'stake', name: `${getStake(this.getStake()).name} stake` } });
+        }
+        if (this.getBossRule('no_interest')) {
+            const boss = this.getCurrentBoss();
+            caps.push({ stat: 'max_interest_stacks', max: 0, source: { id: 'boss', name: boss ? boss.name : 'Boss rule' } });
         }
+        return caps;
+    }
 
-        return attributes;
+    /**
+     * Explanations of the stats that have contributions, for the stats modal
+     * @returns {Array} [{ stat, value, text }]
+     */
+    explainAttributes() {
+        const { attributes, ledger } = this.getAttributeLedger();
+        return Object.keys(ledger.entries)
+            .filter(stat => !stat.startsWith('modifiers.'))
+            .map(stat => ({ stat, value: attributes[stat], text: ledger.explain(stat, attributes[stat]) }));
     }
 
     /**
@@ -409,29 +569,27 @@ class GameState {
      */
     startRound() {
         this.rollsUsed = 0;
-        this.inventory = [];
+        // Rolls gained from consumables this round, starting with the route node's (Treasure)
+        const node = this.getRouteNode();
+        this.bonusRolls = (node && node.bonusRolls) || 0;
+        // Kept items come back out of the vault, worth a little more each round (frozen ones don't grow)
+        const growth = this.getVaultGrowth();
+        this.inventory = this.vault.map(thing => ({
+            ...thing,
+            value: thing.frozen ? thing.value : Math.round(thing.value * (1 + growth)),
+            vaultRounds: (thing.vaultRounds || 0) + 1,
+            kept: true
+        }));
+        this.vault = [];
+        this.lastRolledItem = null;
+        // Clearing this round's boss recharges 'boss' actives too
+        const bossBeaten = typeof isBossRound === 'function' && isBossRound(this.round - 1);
+        this.rechargeAugments(bossBeaten ? ['round', 'boss'] : ['round']);
         this.rareItemStreak = 0; // Reset streak at round start
         this.currency.resetRoundLocalCurrency(); // Reset chips for new round
-        this.currentRoundStartTime = Date.now(); // Start timer
+        this.roundStartMinute = this.time ? this.time.totalMinutes : 0; // Start timer
         // Bad luck streak persists across rounds until a high tier item is found
 
-        // Nullification Scaling: Increment active rounds count
-        if (this.augmentsPurchased['nullificati0n']) {
-             // Store start round if not present (legacy support or first run)
-             // But actually, we need to track how many rounds passed.
-             // Let's use a specific counter for Nullification stacks.
-             // We can store it in augmentsPurchased as a value? No, augmentsPurchased is usually boolean or stack count.
-             // For Nullification, it's not "stacks" of the augment, it's "rounds active".
-             // Let's create a separate counter in stats or just use augmentsPurchased value if it's not boolean.
-             // Actually, for Nullification, we can use augmentsPurchased['nullificati0n'] as the counter.
-             // Initial purchase sets it to 1 (or 0). Each round start increments it.
-             // Wait, purchaseAugment sets it to true. Let's change purchase logic for this specific augment or check here.
-             
-             if (this.augmentsPurchased['nullificati0n'] === true) {
-                 this.augmentsPurchased['nullificati0n'] = 0; // Initialize counter
-             }
-             this.augmentsPurchased['nullificati0n']++;
-        }
     }
 
     /**
@@ -441,9 +599,21 @@ class GameState {
         const nextRound = this.round + 1;
         if (typeof isBossRound === 'function' && isBossRound(nextRound)) {
             const routeIndex = typeof getRouteIndex === 'function' ? getRouteIndex(nextRound) : 0;
-            return CONFIG.getBossChipCost(routeIndex);
+            return CONFIG.getBossChipCost(routeIndex, this.getStake());
         }
-        return CONFIG.getNormalRoundCost(nextRound);
+        const cost = CONFIG.getNormalRoundCost(nextRound, this.getStake());
+        const node = this.getRouteNode(nextRound);
+        return node && node.costMultiplier ? Math.round(cost * node.costMultiplier) : cost;
+    }
+
+    /**
+     * Route map node of the chosen path for a round (route-map.js)
+     * @param {number} [round] - defaults to the current round
+     * @returns {Object|null}
+     */
+    getRouteNode(round = this.round) {
+        if (!this.worldSystem || typeof this.worldSystem.getRouteNode !== 'function') return null;
+        return this.worldSystem.getRouteNode(round);
     }
 
     /** True if current round is a boss round */
@@ -458,7 +628,31 @@ class GameState {
 
     /** Boss for current round, or null */
     getCurrentBoss() {
-        return typeof getBossByRound === 'function' ? getBossByRound(this.round) : null;
+        return this.getBossForRound(this.round);
+    }
+
+    /**
+     * Boss fought on a round: a BOSSES entry, or a generated one past the last in endless runs
+     * @param {number} round
+     * @returns {Object|null}
+     */
+    getBossForRound(round) {
+        const boss = typeof getBossByRound === 'function' ? getBossByRound(round) : null;
+        if (boss || !this.runOptions.endless || typeof generateEndlessBoss !== 'function') return boss;
+        if (typeof isBossRound !== 'function' || !isBossRound(round)) return null;
+        // Own seed per round, so generating a boss never shifts the other streams
+        return generateEndlessBoss(round, this._deriveSeed(`endless-boss:${round}`));
+    }
+
+    /** Rules of the boss fought this round (empty outside boss rounds), see BOSSES in bosses.js */
+    getActiveBossRules() {
+        const boss = this.isBossRound() ? this.getCurrentBoss() : null;
+        return (boss && Array.isArray(boss.rules)) ? boss.rules : [];
+    }
+
+    /** Active boss rule of the given type, or null */
+    getBossRule(type) {
+        return this.getActiveBossRules().find(rule => rule.type === type) || null;
     }
 
     /** True if player has auto-roll common augment */
@@ -473,7 +667,7 @@ class GameState {
         const baseRolls = 3;
         const attrs = this.getAttributes();
         const extraRolls = attrs.rolls;
-        return baseRolls + extraRolls;
+        return baseRolls + extraRolls + (this.bonusRolls || 0);
     }
 
     /**
@@ -503,6 +697,7 @@ class GameState {
         }
 
         this.inventory.push(thing);
+        this.lastRolledItem = thing;
         
         // Add to history for unlock requirements and end-of-run summary
         if (this.itemHistory) {
@@ -510,16 +705,244 @@ class GameState {
             this.itemHistory.push(thing);
             this.checkUnlockNotifications();
         }
+
+        this.lastBiomeRule = this.worldSystem ? this.worldSystem.applyBiomeRule({ thing }) : null;
+        this.lastStolenItem = this._applyBossSteal();
         
         return thing;
     }
 
-    _doOneRoll(modChanceBoost) {
+    /**
+     * Use a consumable from the inventory (ITEMS[].onUse, see things.js) instead of selling it
+     * @param {number} index
+     * @returns {Object} { success, message, thing, destroyed?, rolled? }
+     */
+    useItem(index) {
+        const thing = this.inventory[index];
+        const onUse = getItemUse(thing);
+        if (!onUse) return { success: false, message: thing ? `${thing.name} can't be used` : 'No item there' };
+
+        const hasMod = (t, modId) => (t.mods || []).some(mod => mod.id === modId);
+        if (onUse.type === 'destroy_item' && !this.inventory.some((t, i) => i !== index && hasMod(t, onUse.modId))) {
+            return { success: false, message: `No ${MODS[onUse.modId] ? MODS[onUse.modId].name : onUse.modId} item to destroy` };
+        }
+
+        this.inventory.splice(index, 1);
+        const result = { success: true, message: `Used ${thing.name}: ${describeItemUse(onUse)}`, thing };
+
+        switch (onUse.type) {
+            case 'extra_rolls':
+                this.bonusRolls += onUse.amount;
+                break;
+            case 'destroy_item': {
+                const target = this.inventory.findIndex(t => hasMod(t, onUse.modId));
+                result.destroyed = this.inventory.splice(target, 1)[0];
+                this._markHistory(result.destroyed, { destroyedOn: this.round, destroyedBy: thing.id });
+                if (onUse.refundRoll) this.bonusRolls += 1;
+                break;
+            }
+            case 'bonus_roll': {
+                const attrs = this.getAttributes();
+                const rolled = this._doOneRoll(1.0 + (attrs.modification_chance || 0), { minMods: onUse.guaranteedMod ? 1 : 0 });
+                rolled.source = thing.id;
+                this.inventory.push(rolled);
+                this.lastRolledItem = rolled;
+                this.itemHistory.push(rolled);
+                this.checkUnlockNotifications();
+                result.rolled = rolled;
+                break;
+            }
+        }
+
+        // The run summary shows what each consumable did
+        this._markHistory(thing, { usedOn: this.round, useEffect: describeItemUse(onUse) });
+        this.addStat('itemsUsed', 1);
+        return result;
+    }
+
+    /**
+     * Run the effects every owned augment declares for a lifecycle hook (see augment-hooks.js)
+     * @param {string} hook - e.g. 'onRoundStart'
+     * @param {Object} [context] - hook payload; onAttributes edits context.attributes
+     * @returns {Array} [{ augmentId, type, n, message }] effects that fired
+     */
+    runAugmentHooks(hook, context = {}) {
+        if (typeof AUGMENT_HOOK_EFFECTS === 'undefined') return [];
+        const fired = [];
+        for (const augmentId of Object.keys(this.augmentsPurchased)) {
+            const count = this.augmentsPurchased[augmentId];
+            if (!count) continue;
+            const augment = AUGMENTS[augmentId] || (typeof getBossAugmentById === 'function' ? getBossAugmentById(augmentId) : null);
+            for (const effect of getAugmentHookEffects(augment, hook)) {
+                const handler = AUGMENT_HOOK_EFFECTS[effect.type];
+                if (!handler) continue;
+                if (effect.self && context.augmentId !== augmentId) continue;
+                // onAttributes runs on every render, so it must never draw from a gameplay stream
+                if (effect.chance != null && hook !== 'onAttributes' && this.rngStreams.augmentHooks() >= effect.chance) continue;
+                const stacks = count === true ? 1 : count;
+                const base = effect.count != null ? effect.count : (effect.amount != null ? effect.amount : 1);
+                const n = effect.perStack ? base * stacks : base;
+                const before = context.ledger ? { ...context.attributes } : null;
+                const result = handler(this, effect, { augmentId, augment, n, context });
+                if (!result) continue;
+                // Attribute conversions are recorded so the stats modal can explain them
+                if (before) context.ledger.recordConversion(before, context.attributes, { id: augmentId, name: augment.name });
+                const message = effect.message ? effect.message.replace('{n}', result.n) : result.message;
+                fired.push({ augmentId, type: effect.type, n: result.n, message });
+                if (message && hook !== 'onAttributes') {
+                    this.events.emit('augmentTriggered', { augmentId, hook, type: effect.type, n: result.n, message });
+                }
+            }
+        }
+        return fired;
+    }
+
+    /**
+     * True if an owned augment sets this flag in its properties (e.g. skipRollAnimation)
+     * @param {string} property
+     * @returns {boolean}
+     */
+    hasAugmentProperty(property) {
+        return Object.keys(this.augmentsPurchased).some(augmentId => {
+            const augment = this.augmentsPurchased[augmentId] && AUGMENTS[augmentId];
+            return !!(augment && augment.properties && augment.properties[property]);
+        });
+    }
+
+    /**
+     * Owned active augments (AUGMENTS[].active) in topbar order
+     * @returns {Array<string>} augment ids
+     */
+    getActiveAugmentIds() {
+        return this.augmentOrder.filter(id => this.augmentsPurchased[id] && getAugmentActive(id));
+    }
+
+    /**
+     * @param {string} augmentId
+     * @returns {number} charges left this round/boss cycle
+     */
+    getAugmentCharges(augmentId) {
+        const active = getAugmentActive(augmentId);
+        if (!active) return 0;
+        return this.augmentCharges[augmentId] != null ? this.augmentCharges[augmentId] : active.charges;
+    }
+
+    /**
+     * Refill the charges of owned actives with one of these recharge types
+     * @param {Array<string>} recharges - e.g. ['round', 'boss']
+     */
+    rechargeAugments(recharges) {
+        Object.keys(this.augmentCharges).forEach(augmentId => {
+            const active = getAugmentActive(augmentId);
+            if (!active || recharges.includes(active.recharge)) delete this.augmentCharges[augmentId];
+        });
+    }
+
+    /**
+     * Spend a charge of an active augment and apply its effect (see augments.js)
+     * @param {string} augmentId
+     * @returns {Object} { success, message, augmentId, charges, thing?, rolled? } - rolled: a new item was rolled
+     */
+    activateAugment(augmentId) {
+        const active = getAugmentActive(augmentId);
+        if (!active || !this.augmentsPurchased[augmentId]) return { success: false, message: 'No active augment to use' };
+        const name = AUGMENTS[augmentId].name;
+        if (this.getAugmentCharges(augmentId) <= 0) return { success: false, message: `${name} has no charges left` };
+
+        const lastIndex = this.inventory.indexOf(this.lastRolledItem);
+        if ((active.type === 'double_last_value' || active.type === 'reroll_last_item') && lastIndex === -1) {
+            return { success: false, message: 'Roll an item first' };
+        }
+        if (active.type === 'double_last_value' && this.lastRolledItem.frozen) {
+            return { success: false, message: `${this.lastRolledItem.name} is frozen` };
+        }
+        if (active.type === 'buy_roll' && this.cash < active.cash) {
+            return { success: false, message: `Need $${active.cash}` };
+        }
+
+        const result = { success: true, augmentId };
+        switch (active.type) {
+            case 'double_last_value': {
+                const thing = this.lastRolledItem;
+                thing.value *= 2;
+                // Value Guardian's cap still holds after doubling
+                const valueCap = this.getBossRule('value_cap');
+                if (valueCap) thing.value = Math.min(thing.value, valueCap.max);
+                result.thing = thing;
+                result.message = `${name}: ${thing.name} is now worth ${thing.value}Ȼ`;
+                break;
+            }
+            case 'reroll_last_item': {
+                const old = this.lastRolledItem;
+                // No random mods on top: the new item gets exactly the old item's mods
+                const thing = this._doOneRoll(0, { keepMods: (old.mods || []).map(mod => mod.id) });
+                thing.source = augmentId;
+                this.inventory.splice(lastIndex, 1, thing);
+                this._markHistory(old, { replacedOn: this.round });
+                this.itemHistory.push(thing);
+                this.checkUnlockNotifications();
+                this.lastRolledItem = thing;
+                result.thing = thing;
+                result.rolled = thing;
+                result.message = `${name}: ${old.name} became ${thing.name}`;
+                break;
+            }
+            case 'buy_roll':
+                this.currency.spendCash(active.cash);
+                this.bonusRolls += 1;
+                result.message = `${name}: +1 roll for $${active.cash}`;
+                break;
+            default:
+                return { success: false, message: `Unknown active effect '${active.type}'` };
+        }
+
+        this.augmentCharges[augmentId] = this.getAugmentCharges(augmentId) - 1;
+        result.charges = this.augmentCharges[augmentId];
+        this.addStat('augmentsActivated', 1);
+        return result;
+    }
+
+    /**
+     * Annotate the itemHistory entry of an inventory item (the same object, or its saved copy)
+     * @param {Object} thing
+     * @param {Object} fields
+     */
+    _markHistory(thing, fields) {
+        Object.assign(thing, fields);
+        if (this.itemHistory.includes(thing)) return;
+        const entry = [...this.itemHistory].reverse()
+            .find(h => h.id === thing.id && h.value === thing.value && !h.usedOn && !h.destroyedOn);
+        if (entry) Object.assign(entry, fields);
+    }
+
+    /**
+     * steal_best boss rule: maybe take the most valuable item out of the inventory
+     * @returns {Object|null} the stolen item
+     */
+    _applyBossSteal() {
+        const rule = this.getBossRule('steal_best');
+        if (!rule || this.inventory.length === 0) return null;
+        if (this.rngStreams.bossRules() >= rule.chance) return null;
+
+        let bestIndex = 0;
+        this.inventory.forEach((thing, i) => {
+            if (thing.value > this.inventory[bestIndex].value) bestIndex = i;
+        });
+        return this.inventory.splice(bestIndex, 1)[0];
+    }
+
+    /**
+     * @param {number} modChanceBoost
+     * @param {Object} [options] - { minMods } forwarded to the mod roll, { keepMods } mod ids to carry over
+     */
+    _doOneRoll(modChanceBoost, options = {}) {
         // Calculate adjusted weights based on Luck and Bad Luck Streak
         const baseWeights = typeof getRoundBasedRarityWeights === 'function' ? getRoundBasedRarityWeights(this.round) : {};
         const attrs = this.getAttributes();
-        const luck = attrs.luck || 0;
-        const badLuck = this._badLuckStreak || 0;
+        // no_luck boss rule switches off luck and bad-luck mitigation
+        const noLuck = !!this.getBossRule('no_luck');
+        const luck = noLuck ? 0 : (attrs.luck || 0);
+        const badLuck = noLuck ? 0 : (this._badLuckStreak || 0);
         
         // Luck Mitigation: Boost chances for higher tiers
         // Every 4 bad rolls adds effective luck, plus base luck
@@ -542,49 +965,40 @@ class GameState {
         };
 
         if (effectiveLuck !== 0) {
-            // Boost Tiers based on effective luck
+            // Boost Tiers based on effective luck (ITEM_TIERS luckBoost)
             // We DIVIDE the rarity score to make them MORE common (lower score = higher probability)
-            // Tiers: significant, rare, master, surreal, mythic, etc.
-            
-            const tiers = [
-                { id: 'significant', boost: 0.1 },
-                { id: 'rare', boost: 0.15 },
-                { id: 'master', boost: 0.2 },
-                { id: 'surreal', boost: 0.25 },
-                { id: 'mythic', boost: 0.3 },
-                // suppernatural
-                { id: 'exotic', boost: 0.4 },
-                { id: 'exquisite', boost: 0.45 },
-                { id: 'transcendent', boost: 0.5 },
-                { id: 'enigmatic', boost: 0.55 },
-                { id: 'unfathomable', boost: 0.6 },
-                { id: 'otherworldly', boost: 0.65 },
-                { id: 'imaginary', boost: 0.7 },
-                { id: 'zenith', boost: 0.75 }
-            ];
-
-            tiers.forEach(({ id, boost }) => {
-                if (adjustedWeights[id]) {
+            ITEM_TIERS.forEach(({ id, luckBoost }) => {
+                if (luckBoost && adjustedWeights[id]) {
                     // Divide rarity score by luck factor to increase probability
                     // Ensure factor doesn't go below 0.1 (10x rarity penalty max)
-                    const factor = Math.max(0.1, 1 + effectiveLuck * boost);
+                    const factor = Math.max(0.1, 1 + effectiveLuck * luckBoost);
                     adjustedWeights[id] /= factor;
                 }
             });
         }
 
+        // Biome luck makes Rare-or-better tiers (those with a pity class) more likely
+        const biome = this.worldSystem ? this.worldSystem.getCurrentBiome() : null;
+        const biomeLuck = (!noLuck && biome && biome.modifiers && biome.modifiers.luck) || 1;
+        if (biomeLuck !== 1) {
+            ITEM_TIERS.forEach(({ id, pity }) => {
+                if (pity !== 'none' && adjustedWeights[id]) adjustedWeights[id] /= biomeLuck;
+            });
+        }
+
         let thing = rollThing(this.round, this.rngStreams.loot, adjustedWeights, worldEffects, context);
         
         // Update Bad Luck Streak
-        // Reset on Rare or better
-        if (thing.tier === 'rare' || thing.tier === 'epic' || thing.tier === 'legendary') {
+        // Reset on tiers with a pity class (Rare or better)
+        const tier = getItemTier(thing.tier);
+        if (tier && tier.pity !== 'none') {
             this._badLuckStreak = 0;
         } else {
             this._badLuckStreak++;
         }
 
         // Prepare modification options
-        const guaranteedMods = attrs.guaranteedMods || [];
+        const guaranteedMods = [...new Set([...(attrs.guaranteedMods || []), ...(options.keepMods || [])])];
         const rarityMultipliers = {};
         
         // Use calculated modifiers from attributes (populated via augment.stats.modify)
@@ -592,6 +1006,14 @@ class GameState {
             Object.assign(rarityMultipliers, attrs.modifiers);
         }
 
+        // Higher stakes make some mods (cursed, corrupted) more common
+        const stakeRules = this.getStakeRules();
+        if (stakeRules) {
+            Object.entries(stakeRules.modRarity).forEach(([modId, multiplier]) => {
+                rarityMultipliers[modId] = (rarityMultipliers[modId] || 1) * multiplier;
+            });
+        }
+
         const modOptions = {
             modChanceBoost: modChanceBoost,
             rng: this.rngStreams.mods,
@@ -601,13 +1023,14 @@ class GameState {
             valueBonus: attrs.valueBonus || 0,
             ownedAugments: this.augmentsPurchased,
             worldEffects: worldEffects,
-            routeIndex: this.getRouteIndex()
+            routeIndex: this.getRouteIndex(),
+            minMods: options.minMods || 0
         };
 
         thing = applyModifications(thing, modOptions);
         
         // Luck-based extra roll (chance to reroll entirely if lucky)
-        if (this.rngStreams.luck() < (attrs.luck || 0) * 0.05) {
+        if (this.rngStreams.luck() < luck * 0.05) {
             let newThing = rollThing(this.round, this.rngStreams.loot, adjustedWeights, worldEffects, context);
             newThing = applyModifications(newThing, modOptions);
             
@@ -626,14 +1049,18 @@ class GameState {
         if (attrs.divideValue > 0) val /= attrs.divideValue;
         thing.value = Math.max(0, Math.round(val));
 
+        const valueCap = this.getBossRule('value_cap');
+        if (valueCap) thing.value = Math.min(thing.value, valueCap.max);
+
         return thing;
     }
 
     /**
-     * Update rare item streak for dopamine rewards
+     * Update rare item streak for dopamine rewards (tiers with the 'streak' pity class)
      */
     updateRareStreak(rarity) {
-        if (rarity === 'epic' || rarity === 'legendary') {
+        const tier = getItemTier(rarity);
+        if (tier && tier.pity === 'streak') {
             this.rareItemStreak++;
         } else {
             this.rareItemStreak = 0;
@@ -667,12 +1094,67 @@ class GameState {
         return Math.max(0, Math.round(chips));
     }
 
+    /** Inventory value as it sells this round (adjacency, required_tags boss rule and item synergies applied) */
+    getSaleValue() {
+        return this.getSaleBreakdown().value;
+    }
+
+    /**
+     * How the inventory's sale value is built up
+     * Kept items still count as neighbors but are not sold.
+     * @returns {Object} { items: per-item adjacency values (adjacency.js), positionalBonus, keptValue, itemValue,
+     *   synergies: [{ id, name, effect, bonus }], value }
+     */
+    getSaleBreakdown() {
+        // Adjacency (adjacency.js): items are valued left to right next to their neighbors
+        const items = typeof computePositionalValues === 'function'
+            ? computePositionalValues(this.inventory)
+            : this.inventory.map((thing, index) => ({ index, thing, baseValue: thing.value, value: thing.value, contributions: [] }));
+        const sold = items.filter(entry => !entry.thing.kept);
+        const positionalBonus = sold.reduce((sum, entry) => sum + entry.value - entry.baseValue, 0);
+        const keptValue = items.filter(entry => entry.thing.kept).reduce((sum, entry) => sum + entry.value, 0);
+
+        const rule = this.getBossRule('required_tags');
+        const itemValue = sold.reduce((sum, { thing, value }) => {
+            if (!rule || thing.frozen) return sum + value;
+            const tags = (ITEMS[thing.id] && ITEMS[thing.id].tags) || [];
+            const wanted = rule.tags.some(tag => tags.includes(tag));
+            return sum + (wanted ? value : Math.round(value * rule.penalty));
+        }, 0);
+
+        // Synergies (synergies.js): multipliers on the item value, then flat chips
+        const active = typeof evaluateSynergies === 'function'
+            ? evaluateSynergies(sold.map(entry => entry.thing)).filter(entry => entry.active).map(entry => entry.synergy)
+            : [];
+        const synergies = active.map(synergy => ({ id: synergy.id, name: synergy.name, effect: describeSynergyEffect(synergy.effect), bonus: 0 }));
+        let value = itemValue;
+        active.forEach((synergy, i) => {
+            if (!synergy.effect.multiplier) return;
+            const bonus = Math.round(value * (synergy.effect.multiplier - 1));
+            value += bonus;
+            synergies[i].bonus += bonus;
+        });
+        active.forEach((synergy, i) => {
+            if (!synergy.effect.chips) return;
+            value += synergy.effect.chips;
+            synergies[i].bonus += synergy.effect.chips;
+        });
+
+        return { items, positionalBonus, keptValue, itemValue, synergies, value };
+    }
+
+    /** Chips the inventory sells for right now (chip modifiers and sale_tax boss rule applied) */
+    calculateSaleChips() {
+        const chips = this.calculateEarnedChipsForValue(this.getSaleValue());
+        const tax = this.getBossRule('sale_tax');
+        return tax ? Math.round(chips * (1 - tax.percent / 100)) : chips;
+    }
+
     /**
      * Sell inventory and earn chips for this round
      */
     sellInventory() {
-        const value = this.getInventoryValue();
-        const earnedChips = this.calculateEarnedChipsForValue(value);
+        const earnedChips = this.calculateSaleChips();
         this.currency.addChips(earnedChips);
         return earnedChips;
     }
@@ -683,10 +1165,13 @@ class GameState {
      * @returns {Object} rewards breakdown
      */
     completeRound() {
-        // Calculate Round Time
-        const duration = Date.now() - (this.currentRoundStartTime || Date.now());
-        if (this.stats.fastestRoundTime === null || duration < this.stats.fastestRoundTime) {
-            this.stats.fastestRoundTime = duration;
+        // Calculate Round Time from the game clock (1 game minute = 1 real second) rather than
+        // wall-clock time, so a replay unlocks the same augments and achievements
+        if (this.time) {
+            const duration = (this.time.totalMinutes - this.roundStartMinute) * 1000;
+            if (this.stats.fastestRoundTime === null || duration < this.stats.fastestRoundTime) {
+                this.stats.fastestRoundTime = duration;
+            }
         }
 
         const attrs = this.getAttributes();
@@ -698,7 +1183,7 @@ class GameState {
             this.currency.addChips(chipsBonus);
         }
 
-        const maxStacks = attrs.max_interest_stacks || 5;
+        const maxStacks = this.getMaxInterestStacks(attrs);
         const modifiers = {
             multiCash: (attrs.multiCash || 1) + (attrs.cashBonus || 0),
             addCash: attrs.addCash,
@@ -711,6 +1196,15 @@ class GameState {
         if (chipsBonus > 0) {
             rewards.chipsBonus = chipsBonus;
         }
+
+        // Elite route nodes pay extra cash
+        const node = this.getRouteNode();
+        if (node && node.cashReward) {
+            this.currency.addCash(node.cashReward);
+            rewards.cashBonus += node.cashReward;
+            rewards.totalReward += node.cashReward;
+            rewards.totalCash = this.cash;
+        }
         
         return rewards;
     }
@@ -730,7 +1224,7 @@ class GameState {
             if (boss) {
                 const owned = Object.keys(this.augmentsPurchased).filter(id => this.augmentsPurchased[id]);
                 const options = typeof getBossAugmentOptions === 'function'
-                    ? getBossAugmentOptions(boss.id, CONFIG.BOSS_AUGMENT_OFFER_COUNT, owned)
+                    ? getBossAugmentOptions(boss.id, CONFIG.BOSS_AUGMENT_OFFER_COUNT, owned, this.rngStreams.bossRewards)
                     : [];
                 this.pendingBossReward = { bossId: boss.id, boss, augmentOptions: options };
                 this.startRound();
@@ -741,12 +1235,28 @@ class GameState {
         return { success: true, message: `Advanced to round ${this.round}` };
     }
 
-    /** After confirming 3 boss augments, advance to next round and clear pending */
+    /**
+     * Offer the exclusive augments of the boss beaten this round (sets pendingBossReward)
+     * @returns {boolean} true if there is a reward to pick from
+     */
+    openBossReward() {
+        const boss = this.isBossRound() ? this.getCurrentBoss() : null;
+        if (!boss) return false;
+        const owned = Object.keys(this.augmentsPurchased).filter(id => this.augmentsPurchased[id]);
+        const options = typeof getBossAugmentOptions === 'function'
+            ? getBossAugmentOptions(boss, CONFIG.BOSS_AUGMENT_OFFER_COUNT, owned, this.rngStreams.bossRewards)
+            : [];
+        // confirmBossReward needs BOSS_AUGMENT_PICK_COUNT picks, so a short offer would leave the player stuck
+        if (options.length < CONFIG.BOSS_AUGMENT_PICK_COUNT) return false;
+        this.pendingBossReward = { bossId: boss.id, boss, augmentOptions: options };
+        return true;
+    }
+
+    /** After confirming 3 boss augments, clear pending and queue the next round (entered from the shop) */
     confirmBossReward() {
         if (!this.pendingBossReward) return;
         this.pendingBossReward = null;
-        this.round += 1;
-        this.startRound();
+        this.pendingNextRound = this.round + 1;
     }
 
     /** After defeating boss: pick a augment from boss reward (call 3 times). Returns false if already picked 3 or invalid. */
@@ -760,6 +1270,7 @@ class GameState {
         if (picked >= CONFIG.BOSS_AUGMENT_PICK_COUNT) return false;
         this.augmentsPurchased[augmentId] = true;
         if (!this.augmentOrder.includes(augmentId)) this.augmentOrder.push(augmentId);
+        this.runAugmentHooks('onPurchase', { augmentId });
         return true;
     }
 
@@ -899,10 +1410,7 @@ class GameState {
             }
         }
 
-        // Initialize Chip Eater tracking
-        if (augmentId === 'chip_eater') {
-            this.chipEaterStartValue = this.stats.totalChipsEarned || 0;
-        }
+        this.runAugmentHooks('onPurchase', { augmentId });
 
         // Add to order for UI (unless hidden or already there)
         if (!props.hidden && !this.augmentOrder.includes(augmentId)) {
@@ -971,10 +1479,29 @@ class GameState {
                 }
             }
         }
+
+        if (Array.isArray(forgeCondition.vaultItems) && !this._findVaultItems(forgeCondition.vaultItems)) {
+            return { canForge: false, reason: 'Missing vault items' };
+        }
         
         return { canForge: true, reason: null };
     }
 
+    /**
+     * Vault indexes holding one item per id (repeat an id to need it twice)
+     * @param {Array} itemIds
+     * @returns {Array|null} indexes, or null if the vault lacks any of them
+     */
+    _findVaultItems(itemIds) {
+        const used = [];
+        for (const itemId of itemIds) {
+            const index = this.vault.findIndex((thing, i) => thing.id === itemId && !used.includes(i));
+            if (index === -1) return null;
+            used.push(index);
+        }
+        return used;
+    }
+
     getForgeableOptions() {
         const options = [];
         for (const [id, augment] of Object.entries(AUGMENTS)) {
@@ -992,6 +1519,7 @@ class GameState {
                     icon: augment.icon,
                     nameStyle: augment.nameStyle,
                     recipe: forgeCondition.recipe,
+                    vaultItems: forgeCondition.vaultItems || [],
                     canForge: check.canForge,
                     reason: check.reason
                 });
@@ -1023,6 +1551,12 @@ class GameState {
             // "idh enough money to do it" -> "still be able to forge".
         }
 
+        // Kept items named by the recipe are consumed from the vault
+        if (Array.isArray(forgeCondition.vaultItems)) {
+            const used = this._findVaultItems(forgeCondition.vaultItems);
+            this.vault = this.vault.filter((thing, i) => !used.includes(i));
+        }
+
         const recipe = forgeCondition.recipe;
         
         if (Array.isArray(recipe)) {
@@ -1053,9 +1587,7 @@ class GameState {
         if (!augment.properties?.hidden && !this.augmentOrder.includes(augmentId)) {
             this.augmentOrder.push(augmentId);
         }
-        if (augmentId === 'chip_eater') {
-            this.chipEaterStartValue = this.stats.totalChipsEarned || 0;
-        }
+        this.runAugmentHooks('onPurchase', { augmentId });
         
         this.checkUnlockNotifications();
 
@@ -1070,8 +1602,7 @@ class GameState {
      * Check if player has enough chips (potential) to advance
      */
     hasReachedRoundGoal() {
-        const value = this.getInventoryValue();
-        const earned = this.calculateEarnedChipsForValue(value);
+        const earned = this.calculateSaleChips();
         const cost = this.getRoundEntryCost();
         // Check total potential chips (current + earned) vs cost
         return (this.chips + earned) >= cost;
@@ -1147,3 +1678,7 @@ class GameState {
         this.resetLootPage();
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_STATE_SAVE_VERSION, GameState };
+}
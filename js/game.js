@@ -12,17 +12,104 @@
  */
 class Game {
     constructor(seed) {
-        this.gameState = new GameState(seed);
-        this.timeSystem = new TimeSystem(this.gameState);
-        this.worldSystem = new WorldSystem(this.gameState);
-        this.inventory = new Inventory(this.gameState);
-        this.shop = new Shop(this.gameState);
+        // Rules live in the engine; Game only handles input, animation and rendering
+        this.engine = new GameEngine(seed);
+        this.gameState = this.engine.gameState;
+        this.timeSystem = this.engine.timeSystem;
+        this.worldSystem = this.engine.worldSystem;
+        this.inventory = this.engine.inventory;
+        this.shop = this.engine.shop;
         this.ui = new UI(this.gameState, this.shop, this.inventory);
+        this.saveSystem = new SaveSystem();
+        this.dailyScores = new DailyScores();
+        this.endlessScores = new EndlessScores();
+        this.profile = new PlayerProfile();
+        this.achievements = new AchievementTracker();
+        this.selectedArchetype = DEFAULT_ARCHETYPE_ID; // Start screen pick, see archetypes.js
+        this.selectedStake = 0; // Start screen pick, see stakes.js
+        this.contentPacks = new ContentPackManager();
         this.gameRunning = false;
         this._rollTimeoutId = null;
         this._animationInProgress = false;
         this.selectedShopAugmentId = null;
-        this.shopRerollCost = 5; // Starting reroll cost
+        this._bindEngineEvents();
+    }
+
+    /** Current shop reroll price (owned by the engine) */
+    get shopRerollCost() {
+        return this.engine.shopRerollCost;
+    }
+
+    /**
+     * Turn engine/system events into notifications
+     */
+    _bindEngineEvents() {
+        const events = this.engine.events;
+
+        events.on('augmentUnlocked', ({ augment }) => {
+            const color = augment.nameStyle?.color || augment.color || '#fff';
+            this.ui.showMessage(`Unlocked <span style="color:${color}">[${augment.name}]</span>`, 'unlock');
+        });
+
+        events.on('biomeChanged', ({ biome, manual }) => {
+            this.ui.showMessage(manual ? `Biome changed to [${biome.name}]` : `Entering [${biome.name}]`, 'system');
+        });
+
+        events.on('worldEventStarted', () => {
+            // Show flavor text in header
+            this.ui.updateTimeDisplay();
+        });
+
+        events.on('worldEventEnded', ({ event }) => {
+            this.ui.showMessage(`Event Ended: ${event.name}`, 'system');
+        });
+
+        events.on('biomeRuleTriggered', ({ message }) => {
+            this.ui.showMessage(escapeHtml(message), 'system');
+        });
+
+        events.on('bossStoleItem', ({ thing, boss }) => {
+            this.ui.showMessage(`${escapeHtml(boss ? boss.name : 'The boss')} stole your ${escapeHtml(thing.name)} (${thing.value})`, 'error');
+        });
+
+        // Player profile: lifetime stats, collection and milestones (profile.js)
+        events.on('runStarted', () => this.profile.recordRunStarted());
+        events.on('roundStarted', ({ round }) => this.profile.recordRoundReached(round));
+        events.on('itemRolled', ({ thing }) => this.profile.recordItem(thing));
+        events.on('augmentUnlocked', ({ augmentId }) => this.profile.recordAugmentUnlocked(augmentId));
+        events.on('roundEnded', (summary) => {
+            const boss = this.gameState.isBossRound() ? this.gameState.getCurrentBoss() : null;
+            this.profile.recordRoundEnded(summary, boss);
+            // Beating the last boss at a stake unlocks the next one (stakes.js)
+            if (boss && summary.canAdvance && boss.id === BOSSES[BOSSES.length - 1].id) {
+                const unlocked = this.profile.recordStakeCleared(this.gameState.getStake());
+                if (unlocked !== null) {
+                    this.ui.showMessage(`Stake unlocked: ${getStake(unlocked).name}`, 'unlock');
+                }
+            }
+            this.profile.checkMilestones().forEach(milestone => {
+                this.ui.showMessage(`Milestone: ${milestone.name} · ${describeProfileReward(milestone.reward)}`, 'unlock');
+            });
+            this.profile.save();
+        });
+
+        // Achievements read run stats and itemHistory, which change on these events
+        ['roundStarted', 'itemRolled', 'itemsSold', 'roundEnded'].forEach(name => {
+            events.on(name, () => this.checkAchievements());
+        });
+
+        events.on('augmentTriggered', ({ message }) => {
+            this.ui.showMessage(message, 'success');
+        });
+    }
+
+    /**
+     * Earn achievements the run now meets and toast each one
+     */
+    checkAchievements() {
+        this.achievements.check(this.gameState).forEach(achievement => {
+            this.ui.showMessage(`Achievement unlocked: ${achievement.icon} [${escapeHtml(achievement.name)}]`, 'unlock');
+        });
     }
 
     /**
@@ -95,8 +182,10 @@ class Game {
      * Initialize the game and show start screen
      */
     init() {
+        this.applyContentPacks();
+        if (this.isDevMode()) this.reportDataProblems();
         this.worldSystem.init(); // Initialize world PRNG
-        this.particles = new BackgroundParticles();
+        this.particles = new BackgroundParticles(() => this.gameState.cosmeticRandom());
         this.ui.renderStartScreen();
         
         // Start Time Loop
@@ -107,8 +196,7 @@ class Game {
                 const delta = (now - this._lastTime) / 1000;
                 this._lastTime = now;
                 
-                this.timeSystem.update(delta);
-                this.worldSystem.tickEvents();
+                this.engine.tick(delta);
                 this.ui.updateTimeDisplay(); // We need to add this method to UI
             } else {
                 this._lastTime = Date.now(); // Keep updating last time so we don't jump when unpaused
@@ -118,8 +206,10 @@ class Game {
 
     /**
      * Handle start game transition
+     * @param {HTMLElement} btn
+     * @param {string} [mode] - 'standard' (seed input / share code), 'endless' or 'daily'
      */
-    handleStartTransition(btn) {
+    handleStartTransition(btn, mode = 'standard') {
         if (this._transitioning) return;
         this._transitioning = true;
         
@@ -135,42 +225,401 @@ class Game {
 
         // Wait for animation then start
         setTimeout(() => {
-            this.handleStartGame();
+            if (mode === 'daily') {
+                this.handleStartDaily();
+            } else {
+                this.handleStartGame(mode === 'endless' ? { endless: true } : {});
+            }
             this._transitioning = false;
         }, 800);
     }
 
     /**
      * Handle start game button
+     * @param {Object} [extraOptions] - run options added on top of a share code's (e.g. { endless: true })
      */
-    handleStartGame() {
+    handleStartGame(extraOptions = {}) {
         const seedInput = document.getElementById('seed-input');
         let seedString;
+        let options = {};
         
         if (seedInput && seedInput.value.trim()) {
             seedString = seedInput.value.trim();
-        } else {
-            // Generate complex random seed if not provided
-            seedString = Math.generateRandomSeed ? Math.generateRandomSeed() : String(Date.now());
         }
-        
-        const seedHash = Math.seed(seedString);
-        
-        if (this.gameState.setSeed) {
-            this.gameState.setSeed(seedHash, seedString);
-        } else {
-            this.gameState.resetGame();
+
+        // Share codes carry the seed plus run options
+        const fromShareCode = isShareCode(seedString);
+        if (fromShareCode) {
+            const shared = decodeShareCode(seedString);
+            if (!shared.success) {
+                this.ui.showMessage(shared.message, 'error');
+                this.ui.renderStartScreen();
+                return;
+            }
+            seedString = shared.seedString;
+            options = shared.options;
+
+            // Daily codes only play on their day, so old dailies can't be replayed into their score table
+            const today = getLocalDateKey();
+            if (options.mode === 'daily' && (options.date !== today || seedString !== getDailySeedString(today))) {
+                this.ui.showMessage(`That daily challenge (${options.date || 'unknown date'}) has expired. Play today's daily instead.`, 'error');
+                this.ui.renderStartScreen();
+                return;
+            }
+
+            // A code can't skip the stake ladder: it only plays at a stake this profile has unlocked
+            if (options.stake !== undefined) {
+                const stake = getStake(options.stake);
+                if (stake.level > this.profile.data.stakeUnlocked) {
+                    this.ui.showMessage(`This code is played at the ${stake.name} stake, which you haven't unlocked yet`, 'error');
+                    this.ui.renderStartScreen();
+                    return;
+                }
+                options = { ...options, stake: stake.level };
+            }
+
+            // Same for archetypes: locked ones stay locked, unknown ones fall back to the start screen pick
+            if (options.archetype !== undefined) {
+                const archetype = ARCHETYPES[options.archetype];
+                if (!archetype) {
+                    options = { ...options };
+                    delete options.archetype;
+                } else if (!isArchetypeUnlocked(archetype, this.achievements)) {
+                    this.ui.showMessage(`This code plays as ${archetype.name}, which you haven't unlocked yet`, 'error');
+                    this.ui.renderStartScreen();
+                    return;
+                }
+            }
+        }
+
+        // A share code's archetype wins over the start screen pick; dailies use the default
+        if (!options.archetype && options.mode !== 'daily' && this.selectedArchetype !== DEFAULT_ARCHETYPE_ID) {
+            options = { ...options, archetype: this.selectedArchetype };
         }
 
-        // Re-initialize WorldSystem to ensure it uses the new seed
-        if (this.worldSystem && typeof this.worldSystem.init === 'function') {
-            this.worldSystem.init();
+        // Same for the stake; dailies are always played at the base stake
+        if (options.stake === undefined && options.mode !== 'daily' && this.selectedStake > 0) {
+            options = { ...options, stake: this.selectedStake };
         }
 
+        // Profile milestones give a head start (not in dailies or shared runs, which must play the same
+        // on every profile); recorded with the run so replays match
+        const perks = this.profile.getRunPerks();
+        if (perks && options.mode !== 'daily' && !fromShareCode) options = { ...options, perks };
+
+        // Engine generates a complex random seed if not provided
+        this.engine.newRun(seedString, { ...options, ...extraOptions });
+
+        this.gameRunning = true;
+        this.handleStartRound();
+    }
+
+    /**
+     * Start today's daily challenge (seed from the local date)
+     */
+    handleStartDaily() {
+        const date = getLocalDateKey();
+        this.engine.newRun(getDailySeedString(date), { mode: 'daily', date });
+
         this.gameRunning = true;
         this.handleStartRound();
     }
 
+    /**
+     * Submit a finished daily run to the local best-score table
+     * @returns {Object|null} { date, rank, scores } for the breakdown screen, null if not a daily run
+     */
+    recordDailyResult() {
+        const options = this.gameState.runOptions || {};
+        if (options.mode !== 'daily' || !options.date) return null;
+
+        const { rank, scores } = this.dailyScores.submit(options.date, {
+            round: this.gameState.round,
+            chipsEarned: this.gameState.stats.totalChipsEarned || 0,
+            cash: this.gameState.cash
+        });
+        return { date: options.date, rank, scores };
+    }
+
+    /**
+     * Submit a finished endless run to the local depth table
+     * @returns {Object|null} { depth, rank, scores } for the breakdown screen, null if not an endless run
+     */
+    recordEndlessResult() {
+        const options = this.gameState.runOptions || {};
+        if (!options.endless) return null;
+
+        const depth = getEndlessDepth(this.gameState.round);
+        const { rank, scores } = this.endlessScores.submit({
+            round: this.gameState.round,
+            depth,
+            chipsEarned: this.gameState.stats.totalChipsEarned || 0,
+            seedString: this.gameState.seedString
+        });
+        return { depth, rank, scores };
+    }
+
+    /**
+     * Start screen: pick the archetype for the next standard or endless run
+     * @param {string} archetypeId
+     */
+    handleSelectArchetype(archetypeId) {
+        const archetype = ARCHETYPES[archetypeId];
+        if (!archetype || !isArchetypeUnlocked(archetype, this.achievements)) return;
+        this.selectedArchetype = archetypeId;
+        this._rerenderStartScreen();
+    }
+
+    /**
+     * Start screen: pick the stake for the next standard or endless run
+     * @param {number} stake
+     */
+    handleSelectStake(stake) {
+        if (!(stake >= 0 && stake <= this.profile.data.stakeUnlocked)) return;
+        this.selectedStake = stake;
+        this._rerenderStartScreen();
+    }
+
+    /** Re-render the start screen, keeping whatever was typed in the seed box */
+    _rerenderStartScreen() {
+        const seedInput = document.getElementById('seed-input');
+        const seed = seedInput ? seedInput.value : '';
+        this.ui.renderStartScreen();
+        const newSeedInput = document.getElementById('seed-input');
+        if (newSeedInput) newSeedInput.value = seed;
+    }
+
+    /**
+     * Profile screen: pick the augment new runs start with
+     * @param {string|null} augmentId
+     */
+    handleSelectStarterAugment(augmentId) {
+        const result = this.profile.setStarterAugment(augmentId);
+        this.ui.showMessage(result.message, result.success ? 'success' : 'error');
+        this.ui.renderProfileScreen();
+    }
+
+    /**
+     * Copy the current run's share code (seed + run options)
+     */
+    handleCopyShareCode() {
+        const code = encodeShareCode(this.gameState.seedString, this.gameState.runOptions);
+        this.ui.copyToClipboard(code)
+            .then(() => this.ui.showMessage('Share code copied', 'success'))
+            .catch(() => this.ui.showMessage(`Share code: ${escapeHtml(code)}`, 'info'));
+    }
+
+    /**
+     * Autosave the run, tagged with the screen to resume on
+     * @param {string} screen - 'game' | 'rewards' | 'shop' | 'boss_reward'
+     */
+    saveRun(screen) {
+        if (!this.gameRunning || !this.saveSystem) return;
+        const data = this.engine.snapshot();
+        data.screen = screen;
+        this.saveSystem.save(data);
+    }
+
+    /**
+     * Saved run that this build can resume, or null
+     */
+    getResumableRun() {
+        if (!this.saveSystem) return null;
+        const data = this.saveSystem.load();
+        if (!data || data.version !== GAME_STATE_SAVE_VERSION) return null;
+        return data;
+    }
+
+    /**
+     * Handle "Continue run" on the start screen
+     */
+    handleContinueRun() {
+        const data = this.getResumableRun();
+        if (!data) {
+            this.ui.showMessage('No saved run found', 'error');
+            this.ui.renderStartScreen();
+            return;
+        }
+
+        const packProblem = checkContentPacksMatch(data.contentPacks);
+        if (packProblem) {
+            this.ui.showMessage(`Enable the same content packs to continue this run. ${packProblem}`, 'error');
+            this.ui.renderStartScreen();
+            return;
+        }
+
+        try {
+            if (!this.engine.resume(data)) {
+                throw new Error('Save version mismatch');
+            }
+            this.selectedShopAugmentId = null;
+            this.gameRunning = true;
+
+            switch (data.screen) {
+                case 'rewards':
+                    this.handleContinueFromRewards();
+                    break;
+                case 'shop':
+                    this.ui.renderShopScreen();
+                    break;
+                case 'boss_reward':
+                    this.ui.renderBossRewardScreen();
+                    break;
+                default:
+                    this.gameState.resetLootPage();
+                    this.ui.renderGameScreen();
+                    break;
+            }
+            this.ui.showMessage(`Resumed run at round ${this.gameState.pendingNextRound || this.gameState.round}`, 'success');
+        } catch (error) {
+            console.error('Error resuming run:', error);
+            this.saveSystem.clear();
+            this.gameRunning = false;
+            this.gameState.resetGame();
+            this.ui.showMessage('Saved run could not be loaded', 'error');
+            this.ui.renderStartScreen();
+        }
+    }
+
+    /**
+     * Download the current run's replay (seed + action log) as JSON
+     */
+    handleDownloadReplay() {
+        const replay = this.engine.recorder.toReplay();
+        if (!replay.seedString) {
+            this.ui.showMessage('Nothing to replay yet', 'error');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `thingamajig-replay-${replay.seedString.replace(/[^a-z0-9_-]/gi, '_')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        if (!replay.complete) {
+            this.ui.showMessage('This run was resumed from an older save, the replay may not match', 'info');
+        }
+    }
+
+    /**
+     * Load a replay file (start screen file input) and show what it reproduces
+     * @param {HTMLInputElement} input
+     */
+    handleLoadReplay(input) {
+        const file = input && input.files && input.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const replay = JSON.parse(reader.result);
+                const check = ReplayPlayer.validate(replay);
+                if (!check.success) {
+                    this.ui.showMessage(check.message, 'error');
+                    return;
+                }
+                const report = new ReplayPlayer(replay).run();
+                this.ui.renderReplayScreen(report);
+            } catch (error) {
+                console.error('Error playing replay:', error);
+                this.ui.showMessage('Replay file could not be read', 'error');
+            }
+        };
+        reader.onerror = () => this.ui.showMessage('Replay file could not be read', 'error');
+        reader.readAsText(file);
+        input.value = ''; // Allow picking the same file again
+    }
+
+    /**
+     * Merge enabled content packs into the registries
+     * @returns {Object} { applied, errors }
+     */
+    applyContentPacks() {
+        const result = this.contentPacks.applyEnabled();
+        if (result.errors.length > 0) {
+            console.warn('[ContentPacks] Skipped invalid packs:', result.errors);
+            this.ui.showMessage('Some content packs are invalid and were skipped', 'error');
+        }
+        return result;
+    }
+
+    /**
+     * @returns {boolean} true if CONFIG.DEV_MODE is set or the page was opened with ?dev
+     */
+    isDevMode() {
+        if (CONFIG.DEV_MODE) return true;
+        return typeof location !== 'undefined' && new URLSearchParams(location.search).has('dev');
+    }
+
+    /**
+     * Dev mode: log problems in the loaded augment/mod data (content packs included)
+     */
+    reportDataProblems() {
+        const result = validateGameData();
+        if (result.errors.length === 0 && result.warnings.length === 0) return;
+
+        console.groupCollapsed(`[DataValidator] ${result.errors.length} errors, ${result.warnings.length} warnings`);
+        result.errors.forEach(error => console.error(error));
+        result.warnings.forEach(warning => console.warn(warning));
+        console.groupEnd();
+        if (result.errors.length > 0) {
+            this.ui.showMessage(`Game data has ${result.errors.length} errors (see console)`, 'error');
+        }
+    }
+
+    /**
+     * Install a content pack from a JSON file picked in the packs menu
+     * @param {HTMLInputElement} input
+     */
+    handleInstallContentPack(input) {
+        const file = input && input.files && input.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let result;
+            try {
+                result = this.contentPacks.install(JSON.parse(reader.result));
+            } catch (error) {
+                result = { success: false, message: 'Content pack is not valid JSON', errors: [] };
+            }
+            if (result.success) {
+                this.applyContentPacks();
+                this.ui.showMessage(escapeHtml(result.message), 'success');
+            } else {
+                this.ui.showMessage(escapeHtml(result.message), 'error');
+            }
+            this.ui.renderContentPacksScreen(result.errors);
+        };
+        reader.onerror = () => this.ui.showMessage('Content pack could not be read', 'error');
+        reader.readAsText(file);
+        input.value = ''; // Allow picking the same file again
+    }
+
+    /**
+     * @param {string} packId
+     * @param {boolean} enabled
+     */
+    handleToggleContentPack(packId, enabled) {
+        this.contentPacks.setEnabled(packId, enabled);
+        this.applyContentPacks();
+        this.ui.renderContentPacksScreen();
+    }
+
+    /**
+     * @param {string} packId
+     */
+    handleRemoveContentPack(packId) {
+        this.contentPacks.remove(packId);
+        this.applyContentPacks();
+        this.ui.renderContentPacksScreen();
+    }
+
     /**
      * Handle next loot page
      */
@@ -187,6 +636,99 @@ class Game {
         this.refreshLootDisplay();
     }
 
+    /**
+     * Loot list drag & drop: move an item (order matters for adjacency, see adjacency.js)
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     */
+    handleReorderInventory(fromIndex, toIndex) {
+        if (!this.gameRunning || this.ui.currentScreen !== 'game') return;
+        if (!this.engine.reorderInventory(fromIndex, toIndex)) return;
+        this.refreshLootDisplay();
+        const synergyList = document.getElementById('synergy-list');
+        if (synergyList) synergyList.outerHTML = this.ui.renderSynergyList();
+        // A better order can be enough to reach the goal
+        if (this.gameState.hasReachedRoundGoal()) this.triggerRoundCompletion();
+    }
+
+    /**
+     * Loot list: keep an item in the vault instead of selling it, or sell it again
+     * @param {number} index
+     */
+    handleToggleKeep(index) {
+        if (!this.gameRunning || this.ui.currentScreen !== 'game') return;
+        const result = this.engine.toggleKeepItem(index);
+        if (!result.success) {
+            this.ui.showMessage(result.message, 'error');
+            return;
+        }
+        this.refreshLootDisplay();
+        const synergyList = document.getElementById('synergy-list');
+        if (synergyList) synergyList.outerHTML = this.ui.renderSynergyList();
+        const vaultSummary = document.getElementById('vault-summary');
+        if (vaultSummary) vaultSummary.outerHTML = this.ui.renderVaultSummary();
+        // Selling a kept item again can be enough to reach the goal
+        if (this.gameState.hasReachedRoundGoal()) this.triggerRoundCompletion();
+    }
+
+    /**
+     * Use a consumable from the loot list (click or E)
+     * @param {number} index - inventory index
+     */
+    handleUseItem(index) {
+        if (!this.gameRunning || this.ui.currentScreen !== 'game') return;
+        const result = this.engine.useItem(index);
+        if (!result.success) {
+            this.ui.showMessage(result.message, 'error');
+            return;
+        }
+        this.refreshRoundDisplay();
+        this.ui.showMessage(result.rolled ? `${result.message} [${result.rolled.name}]` : result.message, 'success');
+        if (this.gameState.hasReachedRoundGoal()) this.triggerRoundCompletion();
+    }
+
+    /**
+     * Use a charge of an active augment (topbar button or number keys)
+     * @param {string} augmentId
+     */
+    handleActivateAugment(augmentId) {
+        if (!this.gameRunning || this.ui.currentScreen !== 'game' || this._rollTimeoutId) return;
+        if (this.gameState.hasReachedRoundGoal()) return;
+        const result = this.engine.activateAugment(augmentId);
+        if (!result.success) {
+            this.ui.showMessage(result.message, 'error');
+            return;
+        }
+        this.refreshRoundDisplay();
+        this.ui.showMessage(result.message, 'success');
+        if (this.gameState.hasReachedRoundGoal()) this.triggerRoundCompletion();
+    }
+
+    /**
+     * Refresh everything a mid-round action can change: loot, rolls, total, synergies, vault, topbar charges
+     */
+    refreshRoundDisplay() {
+        this.refreshLootDisplay();
+        const rollsDiv = document.querySelector('.rolls-remaining');
+        if (rollsDiv) rollsDiv.textContent = `Rolls: ${this.gameState.getRemainingRolls()}`;
+        const rollBtn = document.querySelector('.roll-button');
+        if (rollBtn) rollBtn.disabled = !this.engine.canRoll();
+        const totalValue = document.querySelector('.total-value');
+        if (totalValue) totalValue.textContent = `${new Inventory(this.gameState).getDisplay().totalValue}Ȼ`;
+        const cashValue = document.querySelector('.stat-cash');
+        if (cashValue) cashValue.textContent = `$${this.gameState.cash}`;
+        const synergyList = document.getElementById('synergy-list');
+        if (synergyList) synergyList.outerHTML = this.ui.renderSynergyList();
+        const vaultSummary = document.getElementById('vault-summary');
+        if (vaultSummary) vaultSummary.outerHTML = this.ui.renderVaultSummary();
+        const topbar = document.getElementById('topbar-augments');
+        if (topbar) {
+            topbar.innerHTML = this.ui.renderTopbarAugments();
+            this.ui.attachAugmentTooltips();
+            this.ui.attachTopbarAugmentDrag();
+        }
+    }
+
     /**
      * Refresh loot display after pagination
      */
@@ -207,44 +749,45 @@ class Game {
 
     /**
      * Start a new round
+     * @param {boolean} [skipBossIntro] - true when coming from the boss intro screen
      */
-    handleStartRound() {
+    handleStartRound(skipBossIntro = false) {
         try {
-            const targetRound = this.gameState.pendingNextRound;
-            if (targetRound != null) {
-                const entryCost = this.gameState.getRoundEntryCost();
-                if (this.gameState.chips < entryCost) {
-                    this.ui.showMessage('Game Over: Insufficient Chips!', 'error');
-                    this.ui.renderBreakdownScreen({
-                        type: 'game_over',
-                        reason: `You didn't earn enough Ȼ!<br>` +
-                                `Needed ${entryCost}Ȼ for round ${targetRound}<br>`
-                    });
-                    return;
-                }
-                this.gameState.round = targetRound;
-                this.gameState.pendingNextRound = null;
+            // A new route starts with picking its path (only if the player can afford to enter)
+            const routeMap = this.engine.getPendingRouteChoice();
+            const canEnter = this.gameState.pendingNextRound == null || this.gameState.chips >= this.gameState.getRoundEntryCost();
+            if (routeMap && canEnter) {
+                this.ui.renderRouteMapScreen(routeMap);
+                return;
             }
-            this.gameState.startRound();
-            
-            // Add Free Rerolls from Augments
-            const solCount = this.gameState.augmentsPurchased['sol'] || 0;
-            if (solCount > 0) {
-                this.gameState.freeRerolls = (this.gameState.freeRerolls || 0) + solCount;
-                if (this.ui) this.ui.showMessage(`Solar power granted you ${solCount} free reroll!`, 'success');
+
+            // Bosses introduce their rules before the round starts (only if the player can afford to enter)
+            const boss = this.engine.getUpcomingBoss();
+            if (boss && !skipBossIntro && this.gameState.chips >= this.gameState.getRoundEntryCost()) {
+                this.ui.renderBossIntroScreen(boss);
+                return;
             }
-            
-            // Only generate new biome at start of a Route (every 5 rounds)
-            // Round 1, 6, 11, etc.
-            if ((this.gameState.round - 1) % 5 === 0) {
-                this.worldSystem.generateBiome(); 
+
+            const result = this.engine.startRound();
+            if (result.gameOver) {
+                this.saveSystem.clear();
+                this.ui.showMessage('Game Over: Insufficient Chips!', 'error');
+                this.ui.renderBreakdownScreen({
+                    type: 'game_over',
+                    reason: `You didn't earn enough Ȼ!<br>` +
+                            `Needed ${result.entryCost}Ȼ for round ${result.targetRound}<br>`,
+                    daily: this.recordDailyResult(),
+                    endless: this.recordEndlessResult()
+                });
+                return;
             }
             
             this.gameState.resetLootPage(); // Reset loot pagination when starting new round
             this.ui.renderGameScreen();
+            this.saveRun('game');
 
             // Check if goal is already met (e.g. via augments or carry-over)
-            if (this.gameState.hasReachedRoundGoal()) {
+            if (result.goalReached) {
                 this.triggerRoundCompletion();
             }
         } catch (error) {
@@ -253,6 +796,19 @@ class Game {
         }
     }
 
+    /**
+     * Route map: take a path, then enter its first round
+     * @param {number} pathIndex
+     */
+    handleChooseRoute(pathIndex) {
+        const result = this.engine.chooseRoute(pathIndex);
+        if (!result.success) {
+            this.ui.showMessage(result.message, 'error');
+            return;
+        }
+        this.handleStartRound();
+    }
+
     /**
      * Trigger round completion sequence with countdown
      */
@@ -309,7 +865,7 @@ class Game {
      * - Animated dice rolling with visual feedback
      * - Space key spamming skips animation for faster gameplay
      * - Automatic round completion when chip goal is met
-     * - Rare item celebration effects for epic/legendary items
+     * - Rare item celebration effects by tier (ITEM_TIERS celebration)
      * 
      * @returns {void}
      */
@@ -330,9 +886,6 @@ class Game {
             return;
         }
 
-        // Track stats
-        this.gameState.addStat('totalRollsUsed', 1);
-
         const rollBtn = document.querySelector('.roll-button');
         const lastRolledDiv = document.getElementById('last-rolled');
         if (rollBtn) rollBtn.disabled = true;
@@ -354,12 +907,12 @@ class Game {
             this._rollIntervalId = setInterval(() => {
                 if (nameEl) {
                     try {
-                        // Pick a random item from ITEMS for visual flair without consuming RNG
+                        // Pick a random item from ITEMS for visual flair (cosmetic stream only)
                         let tempThing = { name: '...', rarity: 'common' };
                         if (typeof ITEMS !== 'undefined') {
                             const keys = Object.keys(ITEMS);
                             if (keys.length > 0) {
-                                const k = keys[Math.floor(Math.random() * keys.length)];
+                                const k = keys[Math.floor(this.gameState.cosmeticRandom() * keys.length)];
                                 tempThing = ITEMS[k];
                             }
                         }
@@ -393,7 +946,8 @@ class Game {
                 this._rollIntervalId = null;
             }
             
-            const thing = this.gameState.rollThing();
+            const rolled = this.engine.roll();
+            const thing = rolled ? rolled.thing : null;
             if (lastRolledDiv) lastRolledDiv.classList.remove('is-rolling');
 
             if (thing === null) {
@@ -405,10 +959,9 @@ class Game {
 
             let goalReached = false;
             try {
-                this.gameState.addStat('totalItemsRolled', 1);
-                const streak = this.gameState.updateRareStreak(thing.tier);
-                const streakMessage = this.gameState.getRareStreakMessage();
-                if (thing.tier === 'epic' || thing.tier === 'legendary') {
+                const streakMessage = rolled.streakMessage;
+                const celebration = getTierCelebration(thing.tier);
+                if (celebration >= CELEBRATION.TOAST) {
                     this.celebrateRareItem(thing);
                 }
                 if (streakMessage) this.ui.showMessage(streakMessage, 'epic');
@@ -426,10 +979,10 @@ class Game {
                     safeName = typeof escapeHtml === 'function' ? escapeHtml(displayName) : displayName;
                 }
                 const nameHtml = `<span class="rolled-thing-name"${nameCss}>${safeName}</span>`;
-                const wrapClass = thing.tier === 'legendary' ? 'rolled-thing-name-wrap legendary-particle-wrap' : 'rolled-thing-name-wrap';
+                const wrapClass = celebration >= CELEBRATION.PARTICLES ? 'rolled-thing-name-wrap legendary-particle-wrap' : 'rolled-thing-name-wrap';
                 if (lastRolledDiv) {
                     lastRolledDiv.innerHTML = `
-                        <div class="rolled-thing rolled-thing-holder rarity-${thing.tier} ${thing.tier === 'epic' || thing.tier === 'legendary' ? 'rare-celebration' : ''}">
+                        <div class="rolled-thing rolled-thing-holder rarity-${thing.tier} ${celebration >= CELEBRATION.TOAST ? 'rare-celebration' : ''}">
                             <div class="${wrapClass}">${nameHtml}</div>
                             <div class="rolled-thing-rarity">${(thing.tier || 'common').toString().toUpperCase()} </div>
                             ${modBadges ? `<div class="rolled-thing-mods">${modBadges}</div>` : ''}
@@ -455,7 +1008,11 @@ class Game {
                 const invDisplay = inventory.getDisplay();
                 const totalValue = document.querySelector('.total-value');
                 if (totalValue) totalValue.textContent = `${invDisplay.totalValue}Ȼ`;
-                goalReached = this.gameState.hasReachedRoundGoal();
+                const synergyList = document.getElementById('synergy-list');
+                if (synergyList) synergyList.outerHTML = this.ui.renderSynergyList();
+                const vaultSummary = document.getElementById('vault-summary');
+                if (vaultSummary) vaultSummary.outerHTML = this.ui.renderVaultSummary();
+                goalReached = rolled.goalReached;
                 if ((this.gameState.getRemainingRolls() <= 0 || goalReached) && rollBtn) {
                     rollBtn.disabled = true;
                 } else if (rollBtn) {
@@ -513,15 +1070,15 @@ class Game {
 
     /**
      * Celebrate rare item roll with visual effects
-     * Creates dopamine reward for epic/legendary items
+     * Creates dopamine reward for tiers with a celebration level (ITEM_TIERS)
      */
     celebrateRareItem(thing) {
-        const rarity = thing.tier;
+        const level = getTierCelebration(thing.tier);
 
-        // Spawn Message Logic (Legendary+)
+        // Spawn Message Logic (CELEBRATION.SPAWN and up)
         // Overrides the event header temporarily
         const headerEventText = document.querySelector('.header-event-text');
-        if (headerEventText && ( rarity === 'exquisite' || rarity === 'exotic'  || rarity === 'zenith' || rarity === 'unfathomable' || rarity === 'otherworldly' || rarity === 'transcendent' || rarity === 'enigmatic')) {
+        if (headerEventText && level >= CELEBRATION.SPAWN) {
             const originalText = headerEventText.textContent;
             const originalStyle = headerEventText.getAttribute('style');
             
@@ -557,25 +1114,12 @@ class Game {
             }, 12000);
         }
 
-        let message = '';
-        let emoji = '';
-        
-        if (rarity === 'ultimate') {
-        message = `🌌 ULTIMATE ${thing.name} 🌌`;
-        emoji = '🌌';
-    } else if (rarity === 'godlike') {
-        message = `⚡ GODLIKE ${thing.name} ⚡`;
-        emoji = '⚡';
-    } else if (rarity === 'legendary') {
-            message = `🌟 LEGENDARY ${thing.name} 🌟`;
-            emoji = '✨';
-        } else if (rarity === 'epic') {
-            message = `⭐ EPIC ${thing.name}`;
-            emoji = '⭐';
-        }
+        const emoji = level >= CELEBRATION.PARTICLES ? '🌌' : level >= CELEBRATION.SPAWN ? '🌟' : '⭐';
+        const tierName = (thing.tier || '').toUpperCase();
+        const message = level >= CELEBRATION.SPAWN ? `${emoji} ${tierName} ${thing.name} ${emoji}` : `${emoji} ${tierName} ${thing.name}`;
 
         // Show prominent message
-        if (message) {
+        if (level >= CELEBRATION.TOAST) {
             this.ui.showMessage(message, 'epic');
             
             // Add floating effect
@@ -600,57 +1144,34 @@ class Game {
      * Handle end of round - sell inventory, earn rewards, advance
      */
     handleEndRound() {
-        const rollsRemaining = this.gameState.getRemainingRolls();
-        const rollsToCash = Math.max(0, rollsRemaining);
-
-        // Convert remaining rolls to cash before selling/finishing round.
-        if (rollsToCash > 0) this.gameState.currency.addCash(rollsToCash);
-
-        const earnedChips = this.gameState.inventory.length === 0 ? 0 : this.gameState.sellInventory();
-        if (this.gameState.inventory.length === 0) {
+        const sale = this.engine.sellRound();
+        if (sale.soldCount === 0) {
             this.ui.showMessage('No items to sell.', 'info');
         } else {
-            this.ui.showMessage(`Sold items for ${earnedChips}Ȼ`, 'sold');
+            this.ui.showMessage(`Sold items for ${sale.earnedChips}Ȼ`, 'sold');
         }
 
         setTimeout(() => {
             try {
                 // Complete the round and earn cash rewards + interest
-                const rewards = this.gameState.completeRound();
-                
-                // Check if can afford next round
-                const nextRound = this.gameState.round + 1;
-
-                const cost = this.gameState.getRoundEntryCost();
-                const canAdvance = this.gameState.chips >= cost;
-
-                const nextCost = cost;
-                const isBossNext = typeof isBossRound === 'function' && isBossRound(nextRound);
+                const summary = this.engine.finishRound(sale);
 
                 // If player cannot advance, it's game over.
-                const type = canAdvance ? 'round_complete' : 'game_over';
-                const reason = canAdvance ? '' : 
+                let daily = null;
+                let endless = null;
+                if (summary.canAdvance) {
+                    this.saveRun('rewards');
+                } else {
+                    this.saveSystem.clear();
+                    daily = this.recordDailyResult();
+                    endless = this.recordEndlessResult();
+                }
+                const reason = summary.canAdvance ? '' : 
                     `You didn't earn enough Ȼ!<br>` +
-                    `Needed ${nextCost}Ȼ for round ${this.gameState.round + 1}<br>` +
-                    `Had ${this.gameState.chips}Ȼ (earned ${earnedChips}Ȼ this round)`;
+                    `Needed ${summary.nextCost}Ȼ for round ${summary.round + 1}<br>` +
+                    `Had ${summary.chips}Ȼ (earned ${summary.chipsEarned}Ȼ this round)`;
 
-                this.ui.renderBreakdownScreen({
-                    type,
-                    reason,
-                    round: this.gameState.round,
-                    chipsEarned: earnedChips,
-                    rollsRemaining,
-                    rollsToCash,
-                    baseReward: rewards.baseReward,
-                    interestReward: rewards.interestReward,
-                    cashBonus: rewards.cashBonus,
-                    chipsBonus: rewards.chipsBonus, // Pass chips bonus
-                    totalReward: rewards.totalReward + rollsToCash,
-                    totalCash: this.gameState.cash,
-                    canAdvance,
-                    nextCost,
-                    isBossNext
-                });
+                this.ui.renderBreakdownScreen({ ...summary, reason, daily, endless });
             } catch (error) {
                 console.error('Error in handleEndRound timeout:', error);
                 if (this.ui && this.ui.showMessage) {
@@ -706,7 +1227,7 @@ class Game {
             const isSubaugment = card && (card.querySelector('.rarity-special') || card.querySelector('.rarity-subaugment') || augmentId === 'virus');
 
             // Use shop.purchaseAugment to ensure it gets removed from the shop list if it's a subaugment
-            const result = this.shop.purchaseAugment(augmentId, instanceId);
+            const result = this.engine.buyAugment(augmentId, instanceId);
             
             if (result.success) {
                 this.ui.showMessage(result.message, 'success');
@@ -719,6 +1240,7 @@ class Game {
                 
                 this.updateShopDisplays();
                 this.selectedShopAugmentId = null;
+                this.saveRun('shop');
             } else {
                 this.ui.showMessage(result.message, 'error');
             }
@@ -737,15 +1259,15 @@ class Game {
             p.classList.add('subaugment-particle');
             
             // Random start position within card
-            const x = Math.random() * rect.width;
-            const y = Math.random() * rect.height;
+            const x = this.gameState.cosmeticRandom() * rect.width;
+            const y = this.gameState.cosmeticRandom() * rect.height;
             
             p.style.left = `${rect.left + x}px`;
             p.style.top = `${rect.top + y}px`;
             
             // Random direction (float up and spread)
-            const tx = (Math.random() - 0.5) * 100; // Spread X
-            const ty = -Math.random() * 80 - 40; // Float up
+            const tx = (this.gameState.cosmeticRandom() - 0.5) * 100; // Spread X
+            const ty = -this.gameState.cosmeticRandom() * 80 - 40; // Float up
             
             p.style.setProperty('--tx', `${tx}px`);
             p.style.setProperty('--ty', `${ty}px`);
@@ -871,7 +1393,7 @@ class Game {
         if (!this.ui) return;
         if (!augmentId) return;
         try {
-            const result = this.gameState.forgeAugment(augmentId);
+            const result = this.engine.forgeAugment(augmentId);
             if (result.success) {
                 this.ui.showMessage(result.message, 'success');
                 const stats = document.querySelector('.game-stats');
@@ -883,6 +1405,7 @@ class Game {
                     topbar.innerHTML = this.ui.renderTopbarAugments();
                 }
                 this.ui.renderForgingScreen();
+                this.saveRun('shop');
             } else {
                 this.ui.showMessage(result.message, 'error');
                 this.ui.renderForgingScreen();
@@ -958,14 +1481,14 @@ class Game {
             square.style.boxShadow = `0 0 5px ${color}`;
             
             // Random direction and distance
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 50 + Math.random() * 100;
+            const angle = this.gameState.cosmeticRandom() * Math.PI * 2;
+            const distance = 50 + this.gameState.cosmeticRandom() * 100;
             const tx = Math.cos(angle) * distance;
             const ty = Math.sin(angle) * distance;
             
             // Random rotation
-            const rotStart = Math.random() * 360;
-            const rotEnd = rotStart + (Math.random() * 180 - 90); // Spin between -90 and +90 degrees relative to start
+            const rotStart = this.gameState.cosmeticRandom() * 360;
+            const rotEnd = rotStart + (this.gameState.cosmeticRandom() * 180 - 90); // Spin between -90 and +90 degrees relative to start
 
             square.style.setProperty('--tx', `${tx}px`);
             square.style.setProperty('--ty', `${ty}px`);
@@ -974,7 +1497,7 @@ class Game {
             square.style.animation = `square-spread 0.6s ease-out forwards`;
             
             // Random delay for a bit of variation
-            square.style.animationDelay = `${Math.random() * 0.1}s`;
+            square.style.animationDelay = `${this.gameState.cosmeticRandom() * 0.1}s`;
             
             document.body.appendChild(square);
             setTimeout(() => square.remove(), 700);
@@ -988,45 +1511,22 @@ class Game {
         if (!this.ui || this.ui.currentScreen !== 'shop') return;
         
         try {
-            const cost = this.shopRerollCost;
-            let isFreeReroll = false;
-
-            if (this.gameState.freeRerolls > 0) {
-                this.gameState.freeRerolls--;
-                isFreeReroll = true;
-            } else if (this.gameState.cash < cost) {
-                this.ui.showMessage(`Need ${cost}$ to reroll`, 'error');
+            // Spends a free reroll or cash, generates new augments, checks Prismaticket
+            const result = this.engine.rerollShop();
+            if (!result.success) {
+                this.ui.showMessage(result.message, 'error');
                 return;
-            } else {
-                // Spend cash only if not free
-                this.gameState.currency.spendCash(cost);
-                this.shopRerollCost += 2; // Increase cost for next time
             }
-            
-            // Generate new augments
-            this.shop.generateShopAugments();
             this.selectedShopAugmentId = null;
             
             // Trigger text rolling for subaugments
             this.ui.startTextRollingAnimation();
-            
-            // Check for Prismaticket (50% chance for free reroll)
-            const prismaticketCount = this.gameState.augmentsPurchased['prismaticket'] || 0;
-            if (prismaticketCount > 0) {
-                if (Math.random() < 0.5) {
-                    this.gameState.freeRerolls = (this.gameState.freeRerolls || 0) + 1;
-                    this.ui.showMessage('You rolled a Prismatic Ticket', 'success');
-                }
-            }
 
-            if (isFreeReroll) {
-                this.ui.showMessage('Rerolled', 'success');
-            } else {
-                this.ui.showMessage('Rerolled', 'success');
-            }
+            this.ui.showMessage(result.message, 'success');
             
             // Update shop display (must be after free reroll logic to show correct button state)
             this.refreshShopDisplay();
+            this.saveRun('shop');
             
         } catch (error) {
             console.error('Error rerolling shop:', error);
@@ -1083,17 +1583,6 @@ class Game {
         }
     }
 
-    /**
-     * Reset reroll cost when entering new shop
-     */
-    resetRerollCost() {
-        if (this.gameState && this.gameState.augmentsPurchased && this.gameState.augmentsPurchased['vip_card']) {
-            this.shopRerollCost = 0;
-        } else {
-            this.shopRerollCost = 5;
-        }
-    }
-
     /**
      * Handle continue after round transition
      */
@@ -1106,12 +1595,17 @@ class Game {
      */
     handleContinueFromRewards() {
         try {
-            this.gameState.pendingNextRound = this.gameState.round + 1;
-            this.resetRerollCost();
-            this.shop.generateShopAugments();
+            // Beaten bosses hand out their exclusive augments before the shop
+            if (this.engine.openBossReward()) {
+                this.ui.renderBossRewardScreen();
+                this.saveRun('boss_reward');
+                return;
+            }
+            this.engine.enterShop();
             this.ui.renderShopScreen();
             // Trigger text rolling for subaugments
             this.ui.startTextRollingAnimation();
+            this.saveRun('shop');
         } catch (error) {
             console.error('Error in handleContinueFromRewards:', error);
             if (this.ui) this.ui.showMessage('Error continuing: ' + error.message, 'error');
@@ -1130,23 +1624,23 @@ class Game {
 
     /** Boss reward: select a augment (call when clicking a augment card) */
     handleBossAugmentSelect(augmentId) {
-        const result = this.gameState.chooseBossAugment(augmentId);
+        const result = this.engine.chooseBossAugment(augmentId);
         if (result) {
             this.ui.showMessage('Augment acquired', 'success');
             this.ui.updateBossRewardScreen();
+            this.saveRun('boss_reward');
         }
     }
 
     /** Boss reward: confirm after picking 3 augments */
     handleConfirmBossReward() {
-        if (this.gameState.getBossAugmentsPickedCount() < CONFIG.BOSS_AUGMENT_PICK_COUNT) {
-            this.ui.showMessage(`Pick ${CONFIG.BOSS_AUGMENT_PICK_COUNT} augments first`, 'error');
+        const result = this.engine.confirmBossReward();
+        if (!result.success) {
+            this.ui.showMessage(result.message, 'error');
             return;
         }
-        this.gameState.confirmBossReward();
-        this.resetRerollCost();
-        this.shop.generateShopAugments();
         this.ui.renderShopScreen();
+        this.saveRun('shop');
     }
 
     /**
@@ -1223,25 +1717,41 @@ var game;
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    let seed = Date.now() >>> 0;
-    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-        const buf = new Uint32Array(1);
-        crypto.getRandomValues(buf);
-        seed = buf[0] >>> 0;
-    }
-    game = new Game(seed);
+    // The run seed comes from the start screen (or a generated seed string) in handleStartGame
+    game = new Game();
     window.game = game;
     game.init();
 });
 
 // Keyboard shortcuts
+// 1-9 activate active augments in topbar order
+document.addEventListener('keydown', (e) => {
+    if (!game || e.repeat || !/^Digit[1-9]$/.test(e.code)) return;
+    if (!game.gameRunning || !game.ui || game.ui.currentScreen !== 'game') return;
+    const augmentId = game.gameState.getActiveAugmentIds()[Number(e.code.slice(5)) - 1];
+    if (augmentId) game.handleActivateAugment(augmentId);
+});
+
+// E uses the newest consumable in the loot list
+document.addEventListener('keydown', (e) => {
+    if (!game || e.code !== 'KeyE' || e.repeat) return;
+    if (!game.gameRunning || !game.ui || game.ui.currentScreen !== 'game' || game._rollTimeoutId) return;
+    const inventory = game.gameState.inventory;
+    for (let i = inventory.length - 1; i >= 0; i--) {
+        if (getItemUse(inventory[i])) {
+            game.handleUseItem(i);
+            return;
+        }
+    }
+});
+
 document.addEventListener('keydown', (e) => {
     if (!game) return;
     if (e.code !== 'Space') return;
     e.preventDefault();
     
-    // Check for 'Ancient Tablet' augment for space skip
-    const canSkip = game.gameState && game.gameState.augmentsPurchased && game.gameState.augmentsPurchased['ancient_tablet'];
+    // Augments with skipRollAnimation (Ancient Tablet) let Space skip the roll animation
+    const canSkip = game.gameState && game.gameState.hasAugmentProperty('skipRollAnimation');
 
     // Spam Space to skip roll animation
     if (game._rollTimeoutId) {
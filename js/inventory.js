@@ -86,3 +86,7 @@ class Inventory {
         return `rarity-${rarity}`;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Inventory };
+}
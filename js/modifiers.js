@@ -167,7 +167,7 @@ const MODS = {
         rarity: 0,
         color: '#d8b4fe',
         description: '1000% value',
-        requiresAUGMENT: 'enchanted_table'
+        requiresAUGMENT: 'enchanting_table'
     }
 };
 
@@ -248,6 +248,7 @@ function getRandomMods(options = {}) {
         modChanceBoost = 1.0, 
         rng = Math.random, 
         guaranteedMods = [], 
+        minMods = 0, // at least this many random mods (bonus roll consumables)
         luck = 0, 
         rarityMultipliers = {}, 
         ownedAUGMENTs = {},
@@ -285,6 +286,7 @@ function getRandomMods(options = {}) {
     const modChance2 = 0.15 * modChanceBoost * luckModChanceBoost;
     
     let targetModCount = baseChance < modChance1 ? 1 : baseChance < (modChance1 + modChance2) ? 2 : 0;
+    targetModCount = Math.max(targetModCount, minMods);
     
     const needed = targetModCount;
 
@@ -514,3 +516,7 @@ function getModBadgeHtml(mod) {
         line-height: 1.4;
     ">${mod.name}</span>`;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ATTRIBUTE, MODS, getRandomAttribute, getRandomMods, applyModifications, getAllModifications, getModifiedItemName, getModifiedItemNameHtml, getModBadgeHtml };
+}
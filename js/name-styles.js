@@ -52,102 +52,15 @@ const TIER_NAME_STYLES = {
         textStroke: '1px rgba(0,0,0,0.4)',
         fontFamily: 'inherit',
     },
-    significant: {
-        color: '#e4e4e7',
+    // Item tiers come from ITEM_TIERS (common and rare look the same as the augment tiers above)
+    ...Object.fromEntries(ITEM_TIERS.map(tier => [tier.id, {
+        color: tier.color,
         fontWeight: 'bold',
         fontStyle: 'normal',
         textDecoration: 'none',
-        textStroke: 'none',
-        fontFamily: 'inherit',
-    },
-    master: {
-        color: '#c084fc',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.3)',
-        fontFamily: 'inherit',
-    },
-    surreal: {
-        color: '#2dd4bf',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.3)',
-        fontFamily: 'inherit',
-    },
-    mythic: {
-        color: '#f472b6',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.4)',
-        fontFamily: 'inherit',
-    },
-    exotic: {
-        color: '#facc15',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.4)',
-        fontFamily: 'inherit',
-    },
-    exquisite: {
-        color: '#4ade80',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.4)',
-        fontFamily: 'inherit',
-    },
-    transcendent: {
-        color: '#60a5fa',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.5)',
+        textStroke: tier.textStroke,
         fontFamily: 'inherit',
-    },
-    enigmatic: {
-        color: '#a3e635',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.5)',
-        fontFamily: 'inherit',
-    },
-    unfathomable: {
-        color: '#818cf8',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.5)',
-        fontFamily: 'inherit',
-    },
-    otherworldly: {
-        color: '#f472b6',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.5)',
-        fontFamily: 'inherit',
-    },
-    imaginary: {
-        color: '#fef08a',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.5)',
-        fontFamily: 'inherit',
-    },
-    zenith: {
-        color: '#ffffff',
-        fontWeight: 'bold',
-        fontStyle: 'none',
-        textDecoration: 'none',
-        textStroke: '1px rgba(0,0,0,0.6)',
-        fontFamily: 'inherit',
-    },
+    }])),
 };
 
 /** AUGMENT name styles by rarity (same structure) */
@@ -232,3 +145,7 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIER_NAME_STYLES, AUGMENT_NAME_STYLES, nameStyleToCss, getItemNameStyle, getAUGMENTNameStyle, wrapStyledName, escapeHtml };
+}
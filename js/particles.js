@@ -3,7 +3,11 @@
  * Optimized canvas-based particle system for ambient effects
  */
 class BackgroundParticles {
-    constructor() {
+    /**
+     * @param {Function} rng - cosmetic random source (never a gameplay stream)
+     */
+    constructor(rng = Math.random) {
+        this.random = rng;
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d', { alpha: true });
         this.particles = [];
@@ -66,22 +70,22 @@ class BackgroundParticles {
 
     createParticle() {
         return {
-            x: Math.random() * this.width,
-            y: Math.random() * this.height,
+            x: this.random() * this.width,
+            y: this.random() * this.height,
             // Size properties
-            baseSize: Math.random() * (this.config.maxSize - this.config.minSize) + this.config.minSize,
-            sizeOffset: Math.random() * Math.PI * 2,
-            sizeSpeed: 0.02 + Math.random() * 0.03,
+            baseSize: this.random() * (this.config.maxSize - this.config.minSize) + this.config.minSize,
+            sizeOffset: this.random() * Math.PI * 2,
+            sizeSpeed: 0.02 + this.random() * 0.03,
             // Alpha properties
-            baseAlpha: Math.random() * (this.config.maxAlpha - this.config.minAlpha) + this.config.minAlpha,
-            alphaOffset: Math.random() * Math.PI * 2,
-            alphaSpeed: 0.01 + Math.random() * 0.02,
+            baseAlpha: this.random() * (this.config.maxAlpha - this.config.minAlpha) + this.config.minAlpha,
+            alphaOffset: this.random() * Math.PI * 2,
+            alphaSpeed: 0.01 + this.random() * 0.02,
             // Movement
-            vx: (Math.random() - 0.5) * this.config.speed,
-            vy: (Math.random() - 0.5) * this.config.speed,
+            vx: (this.random() - 0.5) * this.config.speed,
+            vy: (this.random() - 0.5) * this.config.speed,
             // Rotation
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.02 // Slow spin
+            rotation: this.random() * Math.PI * 2,
+            rotationSpeed: (this.random() - 0.5) * 0.02 // Slow spin
         };
     }
 
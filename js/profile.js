@@ -0,0 +1,265 @@
+/**
+ * Player Profile
+ * Meta-progression kept across runs on this device: lifetime stats, a collection of
+ * everything discovered (items, mods, attributes, item+attribute combos, unlocked
+ * augments), milestones that grant perks to new runs and the highest unlocked stake
+ * (stakes.js).
+ *
+ * Perks reach a run through runOptions.perks ({ startingCash, starterAugment }), so
+ * replays of a run get the same head start. Share codes never carry them.
+ */
+
+const PROFILE_VERSION = 1;
+
+/**
+ * Milestones, checked after every round
+ * requirement: { type: 'boss_defeated', bossId } | { type: 'runs', count } | { type: 'best_round', round }
+ *            | { type: 'discovered', kind: 'items'|'mods'|'attributes'|'combos'|'augments', count } (count 'all' = whole registry)
+ * reward:      { type: 'starting_cash', amount } | { type: 'starter_augment', augmentId }
+ */
+const PROFILE_MILESTONES = [
+    {
+        id: 'hoard_breaker',
+        name: 'Hoard Breaker',
+        description: 'Defeat the Ȼ Hoarder',
+        requirement: { type: 'boss_defeated', bossId: 'boss1' },
+        reward: { type: 'starting_cash', amount: 2 }
+    },
+    {
+        id: 'regular',
+        name: 'Regular',
+        description: 'Start 10 runs',
+        requirement: { type: 'runs', count: 10 },
+        reward: { type: 'starting_cash', amount: 1 }
+    },
+    {
+        id: 'tinkerer',
+        name: 'Tinkerer',
+        description: 'Discover 8 different mods',
+        requirement: { type: 'discovered', kind: 'mods', count: 8 },
+        reward: { type: 'starter_augment', augmentId: 'old_tire' }
+    },
+    {
+        id: 'fortune_favoured',
+        name: 'Fortune Favoured',
+        description: 'Defeat the Fortune Keeper',
+        requirement: { type: 'boss_defeated', bossId: 'boss3' },
+        reward: { type: 'starter_augment', augmentId: 'nazar' }
+    },
+    {
+        id: 'long_haul',
+        name: 'Long Haul',
+        description: 'Reach round 20',
+        requirement: { type: 'best_round', round: 20 },
+        reward: { type: 'starter_augment', augmentId: 'cash_flow' }
+    },
+    {
+        id: 'curator',
+        name: 'Curator',
+        description: 'Discover every item',
+        requirement: { type: 'discovered', kind: 'items', count: 'all' },
+        reward: { type: 'starter_augment', augmentId: 'treasure_hunter' }
+    },
+    {
+        id: 'supreme',
+        name: 'Supreme',
+        description: 'Defeat the Supreme Collector',
+        requirement: { type: 'boss_defeated', bossId: 'boss5' },
+        reward: { type: 'starter_augment', augmentId: 'crystall_ball' }
+    }
+];
+
+/**
+ * Player-facing text for a milestone reward
+ * @param {Object} reward - entry of PROFILE_MILESTONES[].reward
+ * @returns {string}
+ */
+function describeProfileReward(reward) {
+    switch (reward.type) {
+        case 'starting_cash': return `+$${reward.amount} starting cash`;
+        case 'starter_augment': {
+            const augment = typeof getAugmentById === 'function' ? getAugmentById(reward.augmentId) : null;
+            return `Starter augment: ${augment ? augment.name : reward.augmentId}`;
+        }
+        default: return reward.type;
+    }
+}
+
+class PlayerProfile {
+    constructor(storage = new SaveSystem('thingamajig.profile')) {
+        this.storage = storage;
+        this.data = this._load();
+    }
+
+    _defaults() {
+        return {
+            version: PROFILE_VERSION,
+            stats: { runs: 0, bestRound: 0, totalChips: 0, bossesDefeated: 0 },
+            bosses: {},
+            collection: { items: {}, mods: {}, attributes: {}, combos: {}, augments: {} },
+            milestones: {},
+            starterAugment: null,
+            stakeUnlocked: 0
+        };
+    }
+
+    _load() {
+        const saved = this.storage.load();
+        const data = this._defaults();
+        if (!saved || saved.version !== PROFILE_VERSION) return data;
+        return {
+            ...data,
+            ...saved,
+            stats: { ...data.stats, ...saved.stats },
+            collection: { ...data.collection, ...saved.collection }
+        };
+    }
+
+    save() {
+        this.storage.save(this.data);
+    }
+
+    /** A run was started */
+    recordRunStarted() {
+        this.data.stats.runs += 1;
+    }
+
+    /** A round was entered */
+    recordRoundReached(round) {
+        this.data.stats.bestRound = Math.max(this.data.stats.bestRound, round);
+    }
+
+    /**
+     * Add a rolled item (and its attribute and mods) to the collection
+     * @param {Object} thing - rolled item
+     */
+    recordItem(thing) {
+        const { collection } = this.data;
+        const attributeId = thing.attribute ? thing.attribute.id : 'normal';
+        const bump = (map, key) => { map[key] = (map[key] || 0) + 1; };
+        bump(collection.items, thing.id);
+        bump(collection.attributes, attributeId);
+        (thing.mods || []).forEach(mod => bump(collection.mods, mod.id));
+        collection.combos[`${thing.id}:${attributeId}`] = true;
+    }
+
+    /** An augment's unlock condition was met for the first time in a run */
+    recordAugmentUnlocked(augmentId) {
+        this.data.collection.augments[augmentId] = true;
+    }
+
+    /**
+     * A round was finished
+     * @param {Object} summary - roundEnded payload
+     * @param {Object|null} boss - boss fought that round, if any
+     */
+    recordRoundEnded(summary, boss) {
+        this.data.stats.totalChips += summary.chipsEarned || 0;
+        if (boss && summary.canAdvance) {
+            this.data.bosses[boss.id] = (this.data.bosses[boss.id] || 0) + 1;
+            this.data.stats.bossesDefeated += 1;
+        }
+    }
+
+    /**
+     * The last boss was beaten at this stake: unlock the next one
+     * @param {number} stake
+     * @returns {number|null} newly unlocked stake, null if nothing new
+     */
+    recordStakeCleared(stake) {
+        const next = Math.min(stake + 1, typeof MAX_STAKE !== 'undefined' ? MAX_STAKE : 0);
+        if (next <= this.data.stakeUnlocked) return null;
+        this.data.stakeUnlocked = next;
+        return next;
+    }
+
+    /**
+     * Found/total per collection kind
+     * @returns {Object} { items: { found, total }, mods, attributes, combos, augments }
+     */
+    getCollectionProgress() {
+        const { collection } = this.data;
+        const count = (registry) => (typeof registry !== 'undefined' ? Object.keys(registry).length : 0);
+        const itemTotal = typeof ITEMS !== 'undefined' ? count(ITEMS) : 0;
+        const attributeTotal = typeof ATTRIBUTE !== 'undefined' ? count(ATTRIBUTE) : 0;
+        const unlockable = typeof AUGMENTS !== 'undefined'
+            ? Object.values(AUGMENTS).filter(augment => (augment.conditions || []).some(c => c.type === 'unlock' || c.type === 'requireAugment')).length
+            : 0;
+        return {
+            items: { found: Object.keys(collection.items).length, total: itemTotal },
+            mods: { found: Object.keys(collection.mods).length, total: typeof MODS !== 'undefined' ? count(MODS) : 0 },
+            attributes: { found: Object.keys(collection.attributes).length, total: attributeTotal },
+            combos: { found: Object.keys(collection.combos).length, total: itemTotal * attributeTotal },
+            augments: { found: Object.keys(collection.augments).length, total: unlockable }
+        };
+    }
+
+    _meetsRequirement(requirement) {
+        const { stats, bosses } = this.data;
+        switch (requirement.type) {
+            case 'boss_defeated': return !!bosses[requirement.bossId];
+            case 'runs': return stats.runs >= requirement.count;
+            case 'best_round': return stats.bestRound >= requirement.round;
+            case 'discovered': {
+                const progress = this.getCollectionProgress()[requirement.kind];
+                if (!progress) return false;
+                const needed = requirement.count === 'all' ? progress.total : requirement.count;
+                return needed > 0 && progress.found >= needed;
+            }
+            default: return false;
+        }
+    }
+
+    isMilestoneEarned(milestoneId) {
+        return !!this.data.milestones[milestoneId];
+    }
+
+    /**
+     * Mark newly reached milestones as earned
+     * @returns {Array} milestones earned by this call
+     */
+    checkMilestones() {
+        const earned = PROFILE_MILESTONES.filter(milestone =>
+            !this.isMilestoneEarned(milestone.id) && this._meetsRequirement(milestone.requirement));
+        earned.forEach(milestone => { this.data.milestones[milestone.id] = Date.now(); });
+        return earned;
+    }
+
+    /** Starter augments unlocked by earned milestones */
+    getStarterAugmentOptions() {
+        return PROFILE_MILESTONES
+            .filter(milestone => milestone.reward.type === 'starter_augment' && this.isMilestoneEarned(milestone.id))
+            .map(milestone => milestone.reward.augmentId);
+    }
+
+    /**
+     * Choose the augment new runs start with
+     * @param {string|null} augmentId - null to start without one
+     * @returns {Object} { success, message }
+     */
+    setStarterAugment(augmentId) {
+        if (augmentId && !this.getStarterAugmentOptions().includes(augmentId)) {
+            return { success: false, message: 'That starter augment is not unlocked yet' };
+        }
+        this.data.starterAugment = augmentId || null;
+        this.save();
+        return { success: true, message: augmentId ? 'Starter augment selected' : 'Starter augment cleared' };
+    }
+
+    /**
+     * Head start for a new run, stored as runOptions.perks
+     * @returns {Object|null} { startingCash, starterAugment } or null if nothing is earned
+     */
+    getRunPerks() {
+        const startingCash = PROFILE_MILESTONES
+            .filter(milestone => milestone.reward.type === 'starting_cash' && this.isMilestoneEarned(milestone.id))
+            .reduce((sum, milestone) => sum + milestone.reward.amount, 0);
+        const starterAugment = this.getStarterAugmentOptions().includes(this.data.starterAugment) ? this.data.starterAugment : null;
+        if (!startingCash && !starterAugment) return null;
+        return { startingCash, starterAugment };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROFILE_VERSION, PROFILE_MILESTONES, describeProfileReward, PlayerProfile };
+}
@@ -0,0 +1,285 @@
+/**
+ * Replay System
+ * Records every engine action (including clock ticks) next to the run seed, and
+ * plays a recording back on a fresh GameEngine to reproduce the same run.
+ *
+ * Replay file:
+ * { format: 'thingamajig-replay', version, seedString, options, contentPacks, recordedAt, complete, actions: [{ type, args?, check? }] }
+ * - contentPacks: ids of the packs enabled while recording; playback needs the same ones
+ * - args:  what the action was called with (augment id, tick seconds...)
+ * - check: outcome fingerprint (rolled item, shop offer...) compared on playback
+ */
+
+const REPLAY_FORMAT = 'thingamajig-replay';
+const REPLAY_VERSION = 1;
+
+class ReplayRecorder {
+    constructor() {
+        this.seedString = null;
+        this.options = {};
+        this.contentPacks = [];
+        this.actions = [];
+        this.complete = false;
+    }
+
+    /**
+     * Begin a new recording for a fresh run
+     * @param {string} seedString
+     * @param {Object} [options] - run options passed to newRun
+     */
+    start(seedString, options = {}) {
+        this.seedString = seedString;
+        this.options = { ...options };
+        this.contentPacks = typeof getAppliedContentPacks === 'function' ? getAppliedContentPacks() : [];
+        this.actions = [];
+        this.complete = true;
+    }
+
+    /**
+     * Append an action
+     * @param {string} type - engine action name
+     * @param {Array} [args] - call arguments
+     * @param {Object} [check] - outcome to verify on playback
+     */
+    record(type, args = [], check = null) {
+        if (this.seedString === null) return;
+        const action = { type };
+        if (args.length > 0) action.args = args;
+        if (check) action.check = check;
+        this.actions.push(action);
+    }
+
+    /**
+     * Recording state for run saves
+     * @returns {Object} { seedString, options, contentPacks, complete, actions }
+     */
+    serialize() {
+        return { seedString: this.seedString, options: this.options, contentPacks: this.contentPacks, complete: this.complete, actions: this.actions };
+    }
+
+    /**
+     * Continue a recording from a run save
+     * Saves made without a recording keep going but are flagged incomplete.
+     * @param {Object|null} saved - serialize() output
+     * @param {string} seedString - seed of the resumed run
+     * @param {Object} [options] - run options of the resumed run
+     */
+    restore(saved, seedString, options = {}) {
+        this.options = { ...options };
+        this.contentPacks = typeof getAppliedContentPacks === 'function' ? getAppliedContentPacks() : [];
+        if (saved && saved.seedString === seedString && Array.isArray(saved.actions)) {
+            this.seedString = saved.seedString;
+            this.actions = saved.actions;
+            this.complete = saved.complete !== false;
+        } else {
+            this.seedString = seedString;
+            this.actions = [];
+            this.complete = false;
+        }
+    }
+
+    /**
+     * Build the downloadable replay file
+     * @returns {Object}
+     */
+    toReplay() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seedString: this.seedString,
+            options: this.options,
+            contentPacks: this.contentPacks,
+            recordedAt: new Date().toISOString(),
+            complete: this.complete,
+            actions: this.actions
+        };
+    }
+}
+
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - ReplayRecorder.toReplay() output
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.engine = null;
+        this.index = 0;
+        this.mismatches = [];
+        this.rounds = [];
+    }
+
+    /**
+     * Check a parsed file before playing it
+     * @param {Object} replay
+     * @returns {Object} { success, message }
+     */
+    static validate(replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            return { success: false, message: 'Not a Thingamajig replay file' };
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            return { success: false, message: `Unsupported replay version ${replay.version}` };
+        }
+        if (typeof replay.seedString !== 'string' || !Array.isArray(replay.actions)) {
+            return { success: false, message: 'Replay file is missing its seed or actions' };
+        }
+        const packProblem = typeof checkContentPacksMatch === 'function' ? checkContentPacksMatch(replay.contentPacks) : null;
+        if (packProblem) {
+            return { success: false, message: `Replay needs the same content packs. ${packProblem}` };
+        }
+        return { success: true, message: 'OK' };
+    }
+
+    /**
+     * Create the playback engine and start the recorded seed
+     */
+    start() {
+        this.engine = new GameEngine();
+        this.index = 0;
+        this.mismatches = [];
+        this.rounds = [];
+        this._bindTimeline();
+        this.engine.newRun(this.replay.seedString, this.replay.options || {});
+    }
+
+    /**
+     * @returns {boolean} true if there are actions left to play
+     */
+    hasNext() {
+        return this.index < this.replay.actions.length;
+    }
+
+    /**
+     * Play the next recorded action and verify its outcome
+     * @returns {Object|null} the action played
+     */
+    step() {
+        if (!this.engine) this.start();
+        if (!this.hasNext()) return null;
+
+        const action = this.replay.actions[this.index];
+        const recorded = this.engine.recorder.actions;
+        const before = recorded.length;
+        this._apply(action);
+
+        // The playback engine records too; its new entry is the outcome we just produced
+        const produced = recorded.length > before ? recorded[recorded.length - 1] : null;
+        if (action.check && JSON.stringify(action.check) !== JSON.stringify(produced && produced.check)) {
+            this.mismatches.push({
+                index: this.index,
+                type: action.type,
+                expected: action.check,
+                actual: produced ? produced.check : null
+            });
+        }
+
+        this.index++;
+        return action;
+    }
+
+    /**
+     * Play every remaining action
+     * @returns {Object} report { seedString, actions, complete, verified, mismatches, rounds, final }
+     */
+    run() {
+        if (!this.engine) this.start();
+        while (this.hasNext()) this.step();
+        return this.getReport();
+    }
+
+    /**
+     * Summary of the playback so far
+     */
+    getReport() {
+        const gameState = this.engine.gameState;
+        return {
+            seedString: this.replay.seedString,
+            actions: this.index,
+            complete: this.replay.complete !== false,
+            verified: this.mismatches.length === 0,
+            mismatches: this.mismatches,
+            rounds: this.rounds,
+            final: {
+                round: gameState.round,
+                cash: gameState.cash,
+                chips: gameState.chips,
+                augments: Object.keys(gameState.augmentsPurchased),
+                biomeId: gameState.world.currentBiomeId
+            }
+        };
+    }
+
+    _apply(action) {
+        const engine = this.engine;
+        const args = action.args || [];
+        switch (action.type) {
+            case 'chooseRoute': engine.chooseRoute(args[0]); break;
+            case 'startRound': engine.startRound(); break;
+            case 'roll': engine.roll(); break;
+            case 'reorderInventory': engine.reorderInventory(args[0], args[1]); break;
+            case 'toggleKeepItem': engine.toggleKeepItem(args[0]); break;
+            case 'useItem': engine.useItem(args[0]); break;
+            case 'activateAugment': engine.activateAugment(args[0]); break;
+            case 'sellRound': engine.sellRound(); break;
+            case 'finishRound': engine.finishRound(); break;
+            case 'enterShop': engine.enterShop(); break;
+            case 'resetRerollCost': engine.resetRerollCost(); break;
+            case 'buyAugment': engine.buyAugment(args[0], args[1]); break;
+            case 'rerollShop': engine.rerollShop(); break;
+            case 'forgeAugment': engine.forgeAugment(args[0]); break;
+            case 'openBossReward': engine.openBossReward(); break;
+            case 'chooseBossAugment': engine.chooseBossAugment(args[0]); break;
+            case 'confirmBossReward': engine.confirmBossReward(); break;
+            case 'tick': engine.tick(args[0]); break;
+            case 'resumeClock': engine.resumeClock(); break;
+            default:
+                console.warn(`[Replay] Unknown action '${action.type}' skipped`);
+        }
+    }
+
+    /**
+     * Collect a per-round timeline (biome, loot, shops, purchases) from engine events
+     */
+    _bindTimeline() {
+        const events = this.engine.events;
+        const current = () => this.rounds[this.rounds.length - 1];
+        const shopOffer = () => this.engine.shop.currentShopAugments.map(a => a.id);
+
+        events.on('roundStarted', ({ round }) => {
+            this.rounds.push({
+                round,
+                biomeId: this.engine.gameState.world.currentBiomeId,
+                items: [],
+                shops: [],
+                purchases: [],
+                events: [],
+                summary: null
+            });
+        });
+        events.on('itemRolled', ({ thing }) => {
+            if (current()) current().items.push({ name: thing.name, tier: thing.tier, value: thing.value });
+        });
+        events.on('itemUsed', ({ result }) => {
+            if (current() && result.rolled) current().items.push({ name: result.rolled.name, tier: result.rolled.tier, value: result.rolled.value });
+        });
+        events.on('roundEnded', (summary) => {
+            if (current()) current().summary = { chips: summary.chips, cash: summary.totalCash, canAdvance: summary.canAdvance };
+        });
+        events.on('shopOpened', () => {
+            if (current()) current().shops.push(shopOffer());
+        });
+        events.on('shopRerolled', () => {
+            if (current()) current().shops.push(shopOffer());
+        });
+        events.on('augmentPurchased', ({ augmentId }) => {
+            if (current()) current().purchases.push(augmentId);
+        });
+        events.on('worldEventStarted', ({ eventId }) => {
+            if (current()) current().events.push(eventId);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPLAY_FORMAT, REPLAY_VERSION, ReplayRecorder, ReplayPlayer };
+}
@@ -10,13 +10,22 @@
     let _rng = null;
 
     // Mulberry32 generator
+    // The internal state is exposed through getState/setState so saved runs
+    // can resume a stream at its exact position.
     function mulberry32(a) {
-        return function() {
+        const next = function() {
             var t = a += 0x6D2B79F5;
             t = Math.imul(t ^ (t >>> 15), t | 1);
             t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
             return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-        }
+        };
+        next.getState = function() {
+            return a >>> 0;
+        };
+        next.setState = function(state) {
+            a = state >>> 0;
+        };
+        return next;
     }
 
     /**
@@ -60,7 +69,10 @@
             _seed = (s >>> 0);
         }
         _rng = mulberry32(_seed);
-        console.log(`[RNG] Seed set to: ${_originalSeed} (Hash: ${_seed})`);
+        // Browser console only; Node scripts (core.js tools) stay quiet
+        if (typeof window !== 'undefined') {
+            console.log(`[RNG] Seed set to: ${_originalSeed} (Hash: ${_seed})`);
+        }
         return _seed;
     };
 
@@ -0,0 +1,59 @@
+/**
+ * Route Map
+ * At each boss boundary (run start, then every boss defeated) WorldSystem.generateRouteMap
+ * offers ROUTE_MAP_PATHS paths through the next route, one more with the Explorer's
+ * Compass. Each path shows its biome, the events that biome makes likely, and one node
+ * per normal round before the boss. The player picks a path (GameEngine.chooseRoute);
+ * entering the route without a pick takes the first path.
+ *
+ * Node fields (all optional):
+ * - costMultiplier   chip cost to enter the round × value (GameState.getRoundEntryCost)
+ * - bonusRolls       extra rolls this round
+ * - cashReward       cash added to the round rewards
+ * - effects          world effects while on the node, same shape as biome effects;
+ *                    still active in the shop after the round
+ */
+
+const ROUTE_MAP_PATHS = 2;
+
+const ROUTE_NODE_TYPES = {
+    normal: { name: 'Round', icon: '⚔️', weight: 43, description: 'A standard round' },
+    elite: { name: 'Elite', icon: '💀', weight: 20, costMultiplier: 1.5, cashReward: 6, description: 'Costs ×1.5 Ȼ to enter, pays +$6' },
+    shop: { name: 'Market', icon: '🛒', weight: 15, effects: { augmentPrice: { type: 'multi', value: 0.75 } }, description: 'The shop after this round is 25% off' },
+    treasure: { name: 'Treasure', icon: '💎', weight: 12, bonusRolls: 2, description: '+2 rolls this round' },
+    rest: { name: 'Rest', icon: '🔥', weight: 10, costMultiplier: 0.5, description: 'Costs half as much Ȼ to enter' }
+};
+
+Object.keys(ROUTE_NODE_TYPES).forEach(key => {
+    ROUTE_NODE_TYPES[key].id = key;
+});
+
+/**
+ * Node types for the normal rounds of a route; every path opens with a normal round
+ * @param {Function} rng
+ * @param {number} firstRound - first round of the route
+ * @param {number} count - normal rounds before the boss
+ * @returns {Array} [{ type, round }]
+ */
+function rollRouteNodes(rng, firstRound, count) {
+    const weights = Object.values(ROUTE_NODE_TYPES).map(type => ({ item: type.id, weight: type.weight }));
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+        nodes.push({ type: i === 0 ? 'normal' : selectByWeight(weights, rng), round: firstRound + i });
+    }
+    return nodes;
+}
+
+/**
+ * Node definition merged with its position
+ * @param {Object} node - { type, round }
+ * @returns {Object|null}
+ */
+function resolveRouteNode(node) {
+    const type = node && ROUTE_NODE_TYPES[node.type];
+    return type ? { ...type, ...node } : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ROUTE_MAP_PATHS, ROUTE_NODE_TYPES, rollRouteNodes, resolveRouteNode };
+}
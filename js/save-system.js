@@ -0,0 +1,80 @@
+/**
+ * Save System
+ * Persists the in-progress run to localStorage so closing the tab doesn't lose it
+ */
+
+class SaveSystem {
+    constructor(storageKey = 'thingamajig.run') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * localStorage can be missing (Node) or throw (privacy mode, file:// in some browsers)
+     * @returns {Storage|null}
+     */
+    _getStorage() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+        } catch (e) {
+            // Access denied
+        }
+        return null;
+    }
+
+    /**
+     * Write a run snapshot
+     * @param {Object} data - GameState.serialize() output plus screen/shop info
+     * @returns {boolean} true if written
+     */
+    save(data) {
+        const storage = this._getStorage();
+        if (!storage) return false;
+        try {
+            storage.setItem(this.storageKey, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.warn('[Save] Failed to write run:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Read the saved run snapshot
+     * @returns {Object|null} parsed snapshot, or null if none/corrupt
+     */
+    load() {
+        const storage = this._getStorage();
+        if (!storage) return null;
+        try {
+            const raw = storage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn('[Save] Failed to read run:', e);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {boolean} true if a run snapshot exists
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Delete the saved run (game over or abandoned)
+     */
+    clear() {
+        const storage = this._getStorage();
+        if (!storage) return;
+        try {
+            storage.removeItem(this.storageKey);
+        } catch (e) {
+            // Nothing to clear
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveSystem };
+}
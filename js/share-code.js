@@ -0,0 +1,115 @@
+/**
+ * Share Codes
+ * Compact, copy-pasteable run setup: seed + run options (mode, daily date...).
+ * Format: TMJ1-<base64url JSON [seedString, options?]>-<2 char checksum>
+ */
+
+const SHARE_CODE_PREFIX = 'TMJ1';
+
+/** Run options a share code may carry; anything else is dropped on import */
+const SHARE_CODE_OPTION_KEYS = ['mode', 'date', 'endless', 'archetype', 'stake'];
+
+function _shareCodeChecksum(body) {
+    let h = 2166136261;
+    for (let i = 0; i < body.length; i++) {
+        h ^= body.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return ((h >>> 0) % 1296).toString(36).padStart(2, '0');
+}
+
+function _toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function _fromBase64Url(body) {
+    const binary = atob(body.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Keep only known option keys with primitive values
+ * @param {Object} options
+ * @returns {Object}
+ */
+function sanitizeRunOptions(options) {
+    const clean = {};
+    if (!options || typeof options !== 'object') return clean;
+    for (const key of SHARE_CODE_OPTION_KEYS) {
+        const value = options[key];
+        if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+            clean[key] = value;
+        }
+    }
+    return clean;
+}
+
+/**
+ * Build a share code for a run setup
+ * @param {string} seedString
+ * @param {Object} [options] - run options (see SHARE_CODE_OPTION_KEYS)
+ * @returns {string}
+ */
+function encodeShareCode(seedString, options = {}) {
+    const clean = sanitizeRunOptions(options);
+    const payload = Object.keys(clean).length > 0 ? [String(seedString), clean] : [String(seedString)];
+    const body = _toBase64Url(JSON.stringify(payload));
+    return `${SHARE_CODE_PREFIX}-${body}-${_shareCodeChecksum(body)}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} true if the text looks like a share code (not necessarily a valid one)
+ */
+function isShareCode(text) {
+    return typeof text === 'string' && text.trim().toUpperCase().startsWith(`${SHARE_CODE_PREFIX}-`);
+}
+
+/**
+ * Read a share code back into a run setup
+ * @param {string} code
+ * @returns {Object} { success, message, seedString, options }
+ */
+function decodeShareCode(code) {
+    const text = String(code || '').trim();
+    const rest = text.slice(SHARE_CODE_PREFIX.length + 1);
+    const split = rest.lastIndexOf('-');
+    if (!isShareCode(text) || split <= 0) {
+        return { success: false, message: 'Not a share code' };
+    }
+
+    const body = rest.slice(0, split);
+    if (_shareCodeChecksum(body) !== rest.slice(split + 1).toLowerCase()) {
+        return { success: false, message: 'Share code is mistyped (checksum mismatch)' };
+    }
+
+    try {
+        const payload = JSON.parse(_fromBase64Url(body));
+        if (!Array.isArray(payload) || typeof payload[0] !== 'string' || !payload[0]) {
+            return { success: false, message: 'Share code has no seed' };
+        }
+        return {
+            success: true,
+            message: 'OK',
+            seedString: payload[0],
+            options: sanitizeRunOptions(payload[1])
+        };
+    } catch (e) {
+        return { success: false, message: 'Share code could not be read' };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHARE_CODE_PREFIX,
+        SHARE_CODE_OPTION_KEYS,
+        sanitizeRunOptions,
+        encodeShareCode,
+        isShareCode,
+        decodeShareCode
+    };
+}
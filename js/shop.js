@@ -38,15 +38,34 @@ class Shop {
         return this.currentShopAugments;
     }
 
+    /**
+     * Snapshot the current shop offer for saving
+     * @returns {Array} [{ id, instanceId }]
+     */
+    serialize() {
+        return this.currentShopAugments.map(augment => ({ id: augment.id, instanceId: augment.instanceId || null }));
+    }
+
+    /**
+     * Restore a shop offer saved by serialize() without consuming the augments stream
+     * @param {Array} entries
+     */
+    restore(entries) {
+        this.currentShopAugments = (entries || [])
+            .filter(entry => AUGMENTS[entry.id])
+            .map(entry => {
+                const augment = { ...AUGMENTS[entry.id], id: entry.id };
+                if (entry.instanceId) augment.instanceId = entry.instanceId;
+                return augment;
+            });
+    }
+
     /**
      * Get all available shop items for purchase (only random augments from current round)
+     * Read-only: offers are rolled by the engine (enterShop, rerollShop), so replays see every roll.
+     * A bought-out shop stays empty until the player rerolls.
      */
     getAvailableItems() {
-        // If no shop augments generated, generate them
-        if (this.currentShopAugments.length === 0) {
-            this.generateShopAugments();
-        }
-
         const worldEffects = (this.gameState.worldSystem && this.gameState.worldSystem.getEffectiveWorldEffects) 
             ? this.gameState.worldSystem.getEffectiveWorldEffects() 
             : null;
@@ -175,3 +194,6 @@ class Shop {
     }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Shop };
+}
@@ -0,0 +1,69 @@
+/**
+ * Stakes (ascension)
+ * A ladder of difficulty levels chosen on the start screen (runOptions.stake). Each
+ * stake adds its rule on top of every stake below it; getStakeRules() folds them into
+ * one object read by the cost curve, round rewards, mod rolls and the shop.
+ * Defeating the last boss at stake N unlocks stake N + 1 (PlayerProfile).
+ *
+ * Rule types:
+ * - round_cost_multiplier { value }    normal round costs × value (CONFIG.getNormalRoundCost)
+ * - boss_growth_multiplier { value }   boss cost growth per route × value (CONFIG.getBossChipCost)
+ * - base_reward_penalty { value }      base round cash reward − value (CurrencySystem.completeRound)
+ * - interest_cap { value }             max interest stacks capped at value
+ * - mod_rarity { mods, multiplier }    rarity of these mods × multiplier (< 1 = more common)
+ * - reroll_growth_multiplier { value } shop reroll cost growth × value
+ */
+
+const STAKES = [
+    { level: 0, name: 'Base', color: '#cccccc', description: 'The standard game' },
+    { level: 1, name: 'Copper', color: '#c87533', description: 'Normal round costs ×1.25', rule: { type: 'round_cost_multiplier', value: 1.25 } },
+    { level: 2, name: 'Silver', color: '#c0c0c0', description: 'Boss costs grow 50% faster', rule: { type: 'boss_growth_multiplier', value: 1.5 } },
+    { level: 3, name: 'Gold', color: '#ffd700', description: 'Base round reward −$2', rule: { type: 'base_reward_penalty', value: 2 } },
+    { level: 4, name: 'Platinum', color: '#9fd8e0', description: 'Interest capped at 3 stacks', rule: { type: 'interest_cap', value: 3 } },
+    { level: 5, name: 'Obsidian', color: '#7c6cf4', description: 'Cursed and Corrupted mods are 3× as common', rule: { type: 'mod_rarity', mods: ['cursed', 'corrupted'], multiplier: 1 / 3 } },
+    { level: 6, name: 'Void', color: '#ff4d6d', description: 'Shop rerolls get pricier twice as fast', rule: { type: 'reroll_growth_multiplier', value: 2 } }
+];
+
+const MAX_STAKE = STAKES.length - 1;
+
+/**
+ * @param {number} [level]
+ * @returns {Object} STAKES entry, clamped to the ladder
+ */
+function getStake(level) {
+    return STAKES[Math.max(0, Math.min(MAX_STAKE, Math.floor(level) || 0))];
+}
+
+/**
+ * Combined rules of a stake and every stake below it
+ * @param {number} [level]
+ * @returns {Object} { roundCostMultiplier, bossGrowthMultiplier, baseRewardPenalty, interestCap, modRarity: { modId: multiplier }, rerollGrowthMultiplier }
+ */
+function getStakeRules(level) {
+    const rules = {
+        roundCostMultiplier: 1,
+        bossGrowthMultiplier: 1,
+        baseRewardPenalty: 0,
+        interestCap: null,
+        modRarity: {},
+        rerollGrowthMultiplier: 1
+    };
+    STAKES.slice(0, getStake(level).level + 1).forEach(({ rule }) => {
+        if (!rule) return;
+        switch (rule.type) {
+            case 'round_cost_multiplier': rules.roundCostMultiplier *= rule.value; break;
+            case 'boss_growth_multiplier': rules.bossGrowthMultiplier *= rule.value; break;
+            case 'base_reward_penalty': rules.baseRewardPenalty += rule.value; break;
+            case 'interest_cap': rules.interestCap = rules.interestCap === null ? rule.value : Math.min(rules.interestCap, rule.value); break;
+            case 'mod_rarity':
+                rule.mods.forEach(modId => { rules.modRarity[modId] = (rules.modRarity[modId] || 1) * rule.multiplier; });
+                break;
+            case 'reroll_growth_multiplier': rules.rerollGrowthMultiplier *= rule.value; break;
+        }
+    });
+    return rules;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STAKES, MAX_STAKE, getStake, getStakeRules };
+}
@@ -0,0 +1,103 @@
+/**
+ * Item Synergies
+ * Combos that trigger when specific items are held together. Active synergies change
+ * what the inventory sells for (GameState.getSaleBreakdown): multipliers first, then
+ * flat chips, both before augment chip modifiers and boss sale tax.
+ *
+ * requirement: { type: 'items', items: [itemId] }  one of each item held
+ *            | { type: 'tag', tag, count }         count items sharing an ITEMS tag
+ * effect:      { multiplier?, chips? }              sale value × multiplier, + chips
+ */
+
+const SYNERGIES = {
+    prospector: {
+        name: 'Prospector',
+        description: 'Copper Rod, Silverfish and Gold Nugget',
+        requirement: { type: 'items', items: ['copper_rod', 'silverfish', 'gold_nugget'] },
+        effect: { chips: 15 }
+    },
+    treasure_trove: {
+        name: 'Treasure Trove',
+        description: 'Gold Nugget, Lost key and Diamond',
+        requirement: { type: 'items', items: ['gold_nugget', 'lost_key', 'diamond'] },
+        effect: { multiplier: 1.5 }
+    },
+    forbidden_vault: {
+        name: 'Forbidden Vault',
+        description: 'Amethyst Geode, Ancient Relic and Encregel',
+        requirement: { type: 'items', items: ['amethyst_geode', 'ancient_relic', 'encregel'] },
+        effect: { multiplier: 1.75 }
+    },
+    menagerie: {
+        name: 'Menagerie',
+        description: 'Flying Pig and Mammoth',
+        requirement: { type: 'items', items: ['flying_pig', 'mammoth'] },
+        effect: { multiplier: 2 }
+    },
+    radiance: {
+        name: 'Radiance',
+        description: '4 light items',
+        requirement: { type: 'tag', tag: 'light', count: 4 },
+        effect: { multiplier: 1.2 }
+    },
+    umbra: {
+        name: 'Umbra',
+        description: '3 dark items',
+        requirement: { type: 'tag', tag: 'dark', count: 3 },
+        effect: { chips: 20 }
+    }
+};
+
+Object.keys(SYNERGIES).forEach(key => {
+    SYNERGIES[key].id = key;
+});
+
+/**
+ * How much of a synergy's requirement an inventory covers
+ * @param {Object} synergy - SYNERGIES entry
+ * @param {Array} inventory - rolled items
+ * @returns {Object} { held, needed }
+ */
+function getSynergyProgress(synergy, inventory) {
+    const { requirement } = synergy;
+    if (requirement.type === 'items') {
+        const heldIds = new Set(inventory.map(thing => thing.id));
+        return { held: requirement.items.filter(id => heldIds.has(id)).length, needed: requirement.items.length };
+    }
+    if (requirement.type === 'tag') {
+        const tagged = inventory.filter(thing => ((ITEMS[thing.id] && ITEMS[thing.id].tags) || []).includes(requirement.tag)).length;
+        return { held: Math.min(tagged, requirement.count), needed: requirement.count };
+    }
+    return { held: 0, needed: 1 };
+}
+
+/**
+ * Synergies the inventory has started (partial) or completed (active)
+ * @param {Array} inventory - rolled items
+ * @returns {Array} [{ synergy, held, needed, active }], active ones first
+ */
+function evaluateSynergies(inventory) {
+    return Object.values(SYNERGIES)
+        .map(synergy => {
+            const { held, needed } = getSynergyProgress(synergy, inventory);
+            return { synergy, held, needed, active: held >= needed };
+        })
+        .filter(entry => entry.held > 0)
+        .sort((a, b) => Number(b.active) - Number(a.active));
+}
+
+/**
+ * Player-facing text for a synergy effect
+ * @param {Object} effect - SYNERGIES[].effect
+ * @returns {string}
+ */
+function describeSynergyEffect(effect) {
+    const parts = [];
+    if (effect.multiplier) parts.push(`×${effect.multiplier} sale value`);
+    if (effect.chips) parts.push(`+${effect.chips}Ȼ`);
+    return parts.join(', ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SYNERGIES, getSynergyProgress, evaluateSynergies, describeSynergyEffect };
+}
@@ -3,30 +3,7 @@
  * Defines all possible items (things) that can be rolled
  */
 
-const TIER = {
-    COMMON: 'common',
-    UNCOMMON: 'uncommon',
-    RARE: 'rare',
-    EPIC: 'epic',
-    LEGENDARY: 'legendary'
-};
-
-const ITEM_TIER = {
-    COMMON: 'common',
-    SIGNIFICANT: 'significant',
-    RARE: 'rare',
-    MASTER: 'master',
-    SURREAL: 'surreal',
-    MYTHIC: 'mythic',
-    EXOTIC: 'exotic',
-    EXQUISITE: 'exquisite',
-    TRANSCENDENT: 'transcendent',
-    ENIGMATIC: 'enigmatic',
-    UNFATHOMABLE: 'unfathomable',
-    OTHERWORLDLY: 'otherworldly',
-    IMAGINARY: 'imaginary',
-    ZENITH: 'zenith'
-};
+// Tiers (ITEM_TIER, ITEM_TIERS) live in tiers.js
 
 // Rarity weights for rolling (higher = more likely)
 
@@ -36,6 +13,10 @@ const ITEM_TIER = {
 //-
 
 // Thing templates - easily extensible
+// Consumables carry an onUse effect: used from the loot list instead of being sold (GameState.useItem)
+//   { type: 'extra_rolls', amount }          gain rolls this round
+//   { type: 'destroy_item', modId, refundRoll } destroy an item with that mod (and get a roll back)
+//   { type: 'bonus_roll', guaranteedMod }    roll one more item now without spending a roll
 const ITEMS = {
     stone: {
         name: 'Stone',
@@ -112,9 +93,10 @@ const ITEMS = {
         tier: ITEM_TIER.SURREAL,
         rarity: 92,
         color: '#f59e0b',
-        description: 'Holy power.',
+        description: 'Holy power. Use: a bonus roll with a guaranteed mod.',
         properties: [],
-        tags: ['light']
+        tags: ['light'],
+        onUse: { type: 'bonus_roll', guaranteedMod: true }
     },
     encregel: {
         name: 'Encregel',
@@ -150,8 +132,9 @@ const ITEMS = {
         tier: ITEM_TIER.TRANSCENDENT,
         rarity: 5001,
         color: '#8df0ebff)',
-        description: 'Impossible.',
-        properties: []
+        description: 'Impossible. Use: +1 roll this round.',
+        properties: [],
+        onUse: { type: 'extra_rolls', amount: 1 }
     },
     mammoth: {
         name: 'Mammoth',
@@ -168,8 +151,80 @@ const ITEMS = {
         tier: ITEM_TIER.UNFATHOMABLE,
         rarity: 1000001,
         color: '#000000ff)',
-        description: 'Die.',
-        properties: []
+        description: 'Die. Use: destroy a Cursed item and get its roll back.',
+        properties: [],
+        onUse: { type: 'destroy_item', modId: 'cursed', refundRoll: true }
+    },
+    // Biome exclusives: only roll in the biome listing them (BIOMES[].effects.exclusiveItems)
+    wild_clover: {
+        name: 'Wild Clover',
+        value: 9,
+        tier: ITEM_TIER.SIGNIFICANT,
+        rarity: 30,
+        color: '#4ade80',
+        description: 'Four leaves, if you squint. Plains only.',
+        properties: [],
+        tags: ['light']
+    },
+    glowcap: {
+        name: 'Glowcap',
+        value: 16,
+        tier: ITEM_TIER.RARE,
+        rarity: 60,
+        color: '#22c55e',
+        description: 'A mushroom that hums at night. Forest only.',
+        properties: [],
+        tags: ['dark']
+    },
+    frost_lily: {
+        name: 'Frost Lily',
+        value: 14,
+        tier: ITEM_TIER.RARE,
+        rarity: 50,
+        color: '#bae6fd',
+        description: 'Blooms under the ice. Tundra only.',
+        properties: [],
+        tags: ['light']
+    },
+    sun_scarab: {
+        name: 'Sun Scarab',
+        value: 24,
+        tier: ITEM_TIER.MASTER,
+        rarity: 70,
+        color: '#f59e0b',
+        description: 'Rolls the sun across the dunes. Desert only.',
+        properties: [],
+        tags: ['light']
+    },
+    echo_crystal: {
+        name: 'Echo Crystal',
+        value: 22,
+        tier: ITEM_TIER.MASTER,
+        rarity: 70,
+        color: '#d8b4fe',
+        description: 'Repeats whatever you tell it. Crystal Caverns only.',
+        properties: [],
+        tags: ['light']
+    },
+    obsidian_heart: {
+        name: 'Obsidian Heart',
+        value: 35,
+        tier: ITEM_TIER.SURREAL,
+        rarity: 90,
+        color: '#7f1d1d',
+        description: 'Still warm. Volcano only.',
+        properties: [],
+        tags: ['dark']
+    },
+    data_shard: {
+        name: 'Data Shard',
+        value: 30,
+        tier: ITEM_TIER.SURREAL,
+        rarity: 90,
+        color: '#22d3ee',
+        description: 'Someone\'s entire life, compressed. Cyber City only.',
+        properties: [],
+        tags: ['light']
     },
 };
 
@@ -178,6 +233,32 @@ Object.keys(ITEMS).forEach(key => {
     ITEMS[key].id = key;
 });
 
+/**
+ * onUse effect of a rolled item, null if it isn't a consumable
+ * @param {Object} thing - rolled item
+ */
+function getItemUse(thing) {
+    const template = thing && ITEMS[thing.id];
+    return (template && template.onUse) || null;
+}
+
+/**
+ * Player-facing text for an onUse effect
+ * @param {Object} onUse - ITEMS[].onUse
+ * @returns {string}
+ */
+function describeItemUse(onUse) {
+    switch (onUse.type) {
+        case 'extra_rolls': return `+${onUse.amount} roll${onUse.amount === 1 ? '' : 's'} this round`;
+        case 'destroy_item': {
+            const mod = typeof MODS !== 'undefined' ? MODS[onUse.modId] : null;
+            return `Destroy a ${mod ? mod.name : onUse.modId} item${onUse.refundRoll ? ' and get its roll back' : ''}`;
+        }
+        case 'bonus_roll': return `Bonus roll${onUse.guaranteedMod ? ' with a guaranteed mod' : ''}`;
+        default: return onUse.type;
+    }
+}
+
 
 /**
  * Calculate effective rarity based on context (biome, time, events)
@@ -307,6 +388,9 @@ function getRoundBasedTemplateWeights(round, tierRarityOverride, worldEffects =
     const weights = [];
 
     for (const template of Object.values(ITEMS)) {
+        // Items exclusive to another biome never roll here
+        if (worldEffects && worldEffects.item && worldEffects.item.blocked && worldEffects.item.blocked.includes(template.id)) continue;
+
         // Use effective rarity based on context
         let itemRarity = getEffectiveRarity(template, context);
         
@@ -343,108 +427,21 @@ function getRoundBasedTemplateWeights(round, tierRarityOverride, worldEffects =
 }
 
 /**
- * Get tier rarity adjusted by round number
+ * Get tier rarity adjusted by round number (ITEM_TIERS rarity for the round's band)
  * Higher rarity = Rarer tier
- * Early rounds: Common/Uncommon have low rarity (common)
- * Mid rounds: Rare rarity drops
- * Late rounds: Legendary rarity drops
+ * Early rounds: Common/Significant have low rarity (common)
+ * Mid rounds: Rare/Master rarity drops
+ * Late rounds (21+): supernatural tiers slowly unlock
  * @param {number} round - current round
  * @returns {Object} adjusted tier rarity
  */
 function getRoundBasedRarityWeights(round) {
-    // Base rarity for supernatural tiers (Exotic+)
-    // These are very high (very rare)
-    const supernaturalBase = {
-        [ITEM_TIER.EXOTIC]: 20000,      // ~0.005%
-        [ITEM_TIER.EXQUISITE]: 50000,   // ~0.002%
-        [ITEM_TIER.TRANSCENDENT]: 100000, // ~0.001%
-        [ITEM_TIER.ENIGMATIC]: 200000,
-        [ITEM_TIER.UNFATHOMABLE]: 500000,
-        [ITEM_TIER.OTHERWORLDLY]: 1000000,
-        [ITEM_TIER.IMAGINARY]: 2000000,
-        [ITEM_TIER.ZENITH]: 10000000
-    };
-
-    // Default rarity (Rounds 11+)
-    let rarity = {
-        [ITEM_TIER.COMMON]: 3,       // ~33%
-        [ITEM_TIER.SIGNIFICANT]: 4,  // ~25%
-        [ITEM_TIER.RARE]: 5,         // ~20%
-        [ITEM_TIER.MASTER]: 6,       // ~16%
-        [ITEM_TIER.SURREAL]: 15,     // ~6%
-        [ITEM_TIER.MYTHIC]: 100000,  // Very rare default
-        ...supernaturalBase
-    };
-
-    // Rounds 1-3: Easy early game
-    if (round <= 3) {
-        rarity = {
-            [ITEM_TIER.COMMON]: 1,       // Very common
-            [ITEM_TIER.SIGNIFICANT]: 3,
-            [ITEM_TIER.RARE]: 25,        // Rare
-            [ITEM_TIER.MASTER]: 100,     // Very Rare
-            [ITEM_TIER.SURREAL]: 10000,  // Impossible-ish
-            [ITEM_TIER.MYTHIC]: 100000,
-            ...supernaturalBase
-        };
-    }
-    // Rounds 4-6: Introduce rare items
-    else if (round <= 6) {
-        rarity = {
-            [ITEM_TIER.COMMON]: 2,
-            [ITEM_TIER.SIGNIFICANT]: 3,
-            [ITEM_TIER.RARE]: 7,
-            [ITEM_TIER.MASTER]: 20,
-            [ITEM_TIER.SURREAL]: 10000,
-            [ITEM_TIER.MYTHIC]: 100000,
-            ...supernaturalBase
-        };
-    }
-    // Rounds 7-10: Legendary/Surreal possible
-    else if (round <= 10) {
-        rarity = {
-            [ITEM_TIER.COMMON]: 2.5,
-            [ITEM_TIER.SIGNIFICANT]: 3.5,
-            [ITEM_TIER.RARE]: 6,
-            [ITEM_TIER.MASTER]: 10,
-            [ITEM_TIER.SURREAL]: 50,
-            [ITEM_TIER.MYTHIC]: 100000,
-            ...supernaturalBase
-        };
-    }
-    // Rounds 11-20: Higher chance for Master/Surreal
-    else if (round <= 20) {
-        rarity = {
-            [ITEM_TIER.COMMON]: 3,
-            [ITEM_TIER.SIGNIFICANT]: 4,
-            [ITEM_TIER.RARE]: 5,
-            [ITEM_TIER.MASTER]: 6,
-            [ITEM_TIER.SURREAL]: 15,
-            [ITEM_TIER.MYTHIC]: 1000,
-            ...supernaturalBase
-        };
-    }
-    // Rounds 21+: Unlock higher tiers slowly
-    else {
-        rarity = {
-            [ITEM_TIER.COMMON]: 5,
-            [ITEM_TIER.SIGNIFICANT]: 5,
-            [ITEM_TIER.RARE]: 5,
-            [ITEM_TIER.MASTER]: 5,
-            [ITEM_TIER.SURREAL]: 7,
-            [ITEM_TIER.MYTHIC]: 20,
-            // Boost supernatural chances slightly in late game (lower rarity)
-            [ITEM_TIER.EXOTIC]: 1000,
-            [ITEM_TIER.EXQUISITE]: 2000,
-            [ITEM_TIER.TRANSCENDENT]: 5000,
-            [ITEM_TIER.ENIGMATIC]: 10000,
-            [ITEM_TIER.UNFATHOMABLE]: 20000,
-            [ITEM_TIER.OTHERWORLDLY]: 50000,
-            [ITEM_TIER.IMAGINARY]: 100000,
-            [ITEM_TIER.ZENITH]: 1000000
-        };
-    }
-
+    const band = TIER_ROUND_BANDS.findIndex(maxRound => round <= maxRound);
+    const bandIndex = band === -1 ? TIER_ROUND_BANDS.length - 1 : band;
+    const rarity = {};
+    ITEM_TIERS.forEach(tier => {
+        rarity[tier.id] = tier.rarity[bandIndex];
+    });
     return rarity;
 }
 
@@ -470,3 +467,7 @@ function selectByWeight(weights, rng = Math.random) {
 
     return entries[0].item;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ITEMS, getItemUse, describeItemUse, getEffectiveRarity, rollThing, getRoundBasedTemplateWeights, getRoundBasedRarityWeights, selectByWeight };
+}
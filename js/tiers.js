@@ -0,0 +1,75 @@
+/**
+ * Item Tiers
+ * The ordered tier ladder for rolled items, lowest first. Everything that depends on how
+ * good a tier is reads it from here: roll weights by round (getRoundBasedRarityWeights),
+ * luck boosts and bad-luck pity (GameState._doOneRoll), the rare streak, name styles
+ * (TIER_NAME_STYLES) and roll celebrations. Adding a tier is one entry.
+ *
+ * Fields:
+ * - rarity [per TIER_ROUND_BANDS]  rarity score by round band (higher = rarer)
+ * - luckBoost                      luck divides the rarity score by 1 + luck × luckBoost
+ * - pity                           'none'   counts as a bad-luck roll
+ *                                  'reset'  resets the bad-luck streak
+ *                                  'streak' resets it and extends the rare streak ("Double Rare")
+ * - celebration                    CELEBRATION level shown when rolled
+ * - color, textStroke              name style
+ * rank (position in the ladder) is assigned below.
+ */
+
+/** Highest round of each rarity band; the last band covers every later round */
+const TIER_ROUND_BANDS = [3, 6, 10, 20, Infinity];
+
+/** Roll celebration levels, each one includes the ones below it */
+const CELEBRATION = {
+    NONE: 0,
+    TOAST: 1,     // tier toast, floating emoji and a glow on the last roll
+    SPAWN: 2,     // "Spawned <item>!" in the header
+    PARTICLES: 3  // particles around the name
+};
+
+const ITEM_TIERS = [
+    { id: 'common', rarity: [1, 2, 2.5, 3, 5], luckBoost: 0, pity: 'none', celebration: CELEBRATION.NONE, color: '#a1a1aa', textStroke: 'none' },
+    { id: 'significant', rarity: [3, 3, 3.5, 4, 5], luckBoost: 0.1, pity: 'none', celebration: CELEBRATION.NONE, color: '#e4e4e7', textStroke: 'none' },
+    { id: 'rare', rarity: [25, 7, 6, 5, 5], luckBoost: 0.15, pity: 'reset', celebration: CELEBRATION.NONE, color: '#60a5fa', textStroke: '1px rgba(0,0,0,0.3)' },
+    { id: 'master', rarity: [100, 20, 10, 6, 5], luckBoost: 0.2, pity: 'streak', celebration: CELEBRATION.NONE, color: '#c084fc', textStroke: '1px rgba(0,0,0,0.3)' },
+    { id: 'surreal', rarity: [10000, 10000, 50, 15, 7], luckBoost: 0.25, pity: 'streak', celebration: CELEBRATION.TOAST, color: '#2dd4bf', textStroke: '1px rgba(0,0,0,0.3)' },
+    { id: 'mythic', rarity: [100000, 100000, 100000, 1000, 20], luckBoost: 0.3, pity: 'streak', celebration: CELEBRATION.TOAST, color: '#f472b6', textStroke: '1px rgba(0,0,0,0.4)' },
+    // Supernatural tiers
+    { id: 'exotic', rarity: [20000, 20000, 20000, 20000, 1000], luckBoost: 0.4, pity: 'streak', celebration: CELEBRATION.SPAWN, color: '#facc15', textStroke: '1px rgba(0,0,0,0.4)' },
+    { id: 'exquisite', rarity: [50000, 50000, 50000, 50000, 2000], luckBoost: 0.45, pity: 'streak', celebration: CELEBRATION.SPAWN, color: '#4ade80', textStroke: '1px rgba(0,0,0,0.4)' },
+    { id: 'transcendent', rarity: [100000, 100000, 100000, 100000, 5000], luckBoost: 0.5, pity: 'streak', celebration: CELEBRATION.PARTICLES, color: '#60a5fa', textStroke: '1px rgba(0,0,0,0.5)' },
+    { id: 'enigmatic', rarity: [200000, 200000, 200000, 200000, 10000], luckBoost: 0.55, pity: 'streak', celebration: CELEBRATION.PARTICLES, color: '#a3e635', textStroke: '1px rgba(0,0,0,0.5)' },
+    { id: 'unfathomable', rarity: [500000, 500000, 500000, 500000, 20000], luckBoost: 0.6, pity: 'streak', celebration: CELEBRATION.PARTICLES, color: '#818cf8', textStroke: '1px rgba(0,0,0,0.5)' },
+    { id: 'otherworldly', rarity: [1000000, 1000000, 1000000, 1000000, 50000], luckBoost: 0.65, pity: 'streak', celebration: CELEBRATION.PARTICLES, color: '#f472b6', textStroke: '1px rgba(0,0,0,0.5)' },
+    { id: 'imaginary', rarity: [2000000, 2000000, 2000000, 2000000, 100000], luckBoost: 0.7, pity: 'streak', celebration: CELEBRATION.PARTICLES, color: '#fef08a', textStroke: '1px rgba(0,0,0,0.5)' },
+    { id: 'zenith', rarity: [10000000, 10000000, 10000000, 10000000, 1000000], luckBoost: 0.75, pity: 'streak', celebration: CELEBRATION.PARTICLES, color: '#ffffff', textStroke: '1px rgba(0,0,0,0.6)' }
+];
+
+/** Tier ids by name, e.g. ITEM_TIER.MYTHIC === 'mythic' */
+const ITEM_TIER = {};
+
+ITEM_TIERS.forEach((tier, rank) => {
+    tier.rank = rank;
+    ITEM_TIER[tier.id.toUpperCase()] = tier.id;
+});
+
+/**
+ * @param {string} tierId
+ * @returns {Object|null} ITEM_TIERS entry
+ */
+function getItemTier(tierId) {
+    return ITEM_TIERS.find(tier => tier.id === tierId) || null;
+}
+
+/**
+ * @param {string} tierId
+ * @returns {number} CELEBRATION level, NONE for unknown tiers
+ */
+function getTierCelebration(tierId) {
+    const tier = getItemTier(tierId);
+    return tier ? tier.celebration : CELEBRATION.NONE;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIER_ROUND_BANDS, CELEBRATION, ITEM_TIERS, ITEM_TIER, getItemTier, getTierCelebration };
+}
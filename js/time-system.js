@@ -34,6 +34,14 @@ class TimeSystem {
         }
     }
 
+    /**
+     * Drop any partial minute waiting in the accumulator
+     * A resumed run starts counting from zero, and replays must do the same.
+     */
+    resetAccumulator() {
+        this._accumulator = 0;
+    }
+
     /**
      * Advance game time by one minute
      */
@@ -45,9 +53,9 @@ class TimeSystem {
         if (this.gameState.time.minuteOfDay >= this.MINUTES_PER_DAY) {
             this.gameState.time.minuteOfDay = 0;
             this.gameState.time.day++;
-            // Trigger day change event if needed
-            if (typeof game !== 'undefined' && game.handleDayChange) {
-                game.handleDayChange();
+            // Let listeners (UI, scripts) react to the new day
+            if (this.gameState.events) {
+                this.gameState.events.emit('dayChanged', { day: this.gameState.time.day });
             }
         }
     }
@@ -73,3 +81,7 @@ class TimeSystem {
         return `Day ${this.gameState.time.day}`;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeSystem };
+}
@@ -76,6 +76,62 @@ class UI {
         }
     }
 
+    /**
+     * Active and partial item synergies for the loot section (synergies.js); kept items don't count
+     */
+    renderSynergyList() {
+        const selling = this.gameState.inventory.filter(thing => !thing.kept);
+        const entries = typeof evaluateSynergies === 'function' ? evaluateSynergies(selling) : [];
+        const rows = entries.map(({ synergy, held, needed, active }) => `
+            <div class="synergy-row ${active ? 'active' : 'partial'}" title="${escapeAttr(synergy.description)}">
+                <span class="synergy-name">${escapeHtml(synergy.name)}</span>
+                <span class="synergy-progress">${active ? escapeHtml(describeSynergyEffect(synergy.effect)) : `${held}/${needed}`}</span>
+            </div>
+        `).join('');
+        return `<div class="synergy-list" id="synergy-list">${rows}</div>`;
+    }
+
+    /**
+     * Vault line under the loot list: kept items this round against capacity
+     */
+    renderVaultSummary() {
+        const kept = this.gameState.inventory.filter(thing => thing.kept);
+        const keptValue = kept.reduce((sum, thing) => sum + thing.value, 0);
+        return `
+            <div class="vault-summary" id="vault-summary" title="Kept items are not sold and grow +${Math.round(this.gameState.getVaultGrowth() * 100)}% each round">
+                <span>Vault ${kept.length}/${this.gameState.getVaultCapacity()}</span>
+                <span>${keptValue}${this.renderChipIcon()} kept</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Vault contents in the shop: items kept from the last round and what they will be worth
+     */
+    renderVaultPanel() {
+        const growth = this.gameState.getVaultGrowth();
+        const rows = this.gameState.vault.map(thing => `
+            <div class="vault-item">
+                <span class="vault-item-name">${escapeHtml(thing.name)}</span>
+                <span class="vault-item-value">${thing.value} → ${Math.round(thing.value * (1 + growth))}${this.renderChipIcon()}</span>
+            </div>
+        `).join('');
+        return `
+            <div class="vault-panel">
+                <div class="vault-panel-title">Vault ${this.gameState.vault.length}/${this.gameState.getVaultCapacity()}</div>
+                ${rows || '<div class="vault-empty">Keep items during a round to store them here</div>'}
+            </div>
+        `;
+    }
+
+    /** Header badge for the run's stake (stakes.js); nothing at the base stake */
+    renderStakeBadge() {
+        const level = this.gameState.getStake();
+        if (!level || typeof getStake !== 'function') return '';
+        const stake = getStake(level);
+        return `<span class="route-badge stake-badge" style="color: ${stake.color}" title="${escapeAttr(stake.description)}">Stake ${stake.level} · ${escapeHtml(stake.name)}</span>`;
+    }
+
     renderHeaderWorldInfo() {
         if (typeof game === 'undefined' || !game.timeSystem || !game.worldSystem) return '';
         
@@ -90,45 +146,44 @@ class UI {
 
         const biome = game.worldSystem.getCurrentBiome();
         const events = game.worldSystem.getActiveEvents();
-        
-        let eventHtml = '';
-        let eventClass = '';
-        if (events.length > 0) {
-            const event = events[0];
-            // Find event definition by ID
-            const eventDef = (typeof EVENTS !== 'undefined') 
-                ? EVENTS[event.id] 
-                : null;
 
+        // Biome effect profile: the rule under the name, everything in the tooltip
+        const biomeEffects = typeof describeBiomeEffects === 'function' ? describeBiomeEffects(biome) : [];
+        const rule = biome.effects && biome.effects.rule;
+        const ruleHtml = rule && typeof BIOME_RULES !== 'undefined' && BIOME_RULES[rule.type]
+            ? `<div class="header-biome-rule" title="${escapeAttr(biomeEffects.join('\n'))}">${escapeHtml(rule.name)}: ${escapeHtml(BIOME_RULES[rule.type].describe(rule))}</div>`
+            : '';
+        
+        // Every active event: flavor text in its own style, then the time or rounds left
+        const eventHtml = events.map(event => {
             // Use flavor text if available, otherwise name
-            const flavor = (eventDef && eventDef.flavorText) 
-                ? eventDef.flavorText 
-                : `${event.flavorText}`;
+            const flavor = event.flavorText || event.name;
             
             // Apply custom styles if available
             let style = '';
-            if (eventDef) {
-                if (eventDef.textStroke) style += `-webkit-text-stroke: ${eventDef.textStroke}; `;
-                if (eventDef.color) style += `color: ${eventDef.color}; `;
-            }
+            if (event.textStroke) style += `-webkit-text-stroke: ${event.textStroke}; `;
+            if (event.color) style += `color: ${event.color}; `;
             // Dynamic animation steps based on character count
             // Added extra steps (+10) for smoother finish
             style += `animation: type-writer 12s steps(${flavor.length + 1000000}) 1 normal both;`;
 
-            eventHtml = `<div class="header-event-text" style="${style}">${flavor}</div>`;
-            eventClass = 'has-event';
-        }
+            const left = this.formatEventTimeLeft(game.worldSystem.getEventTimeLeft(event));
+            return `<div class="header-event-text" style="${style}" title="${escapeAttr(`${event.name}: ${event.description}`)}">${flavor}<span class="header-event-left" data-event-id="${escapeAttr(event.id)}">${left}</span></div>`;
+        }).join('');
+        const eventClass = events.length > 0 ? 'has-event' : '';
+        const eventIds = events.map(event => event.id).join(',');
 
         return `
-            <div class="header-world-info ${eventClass}">
+            <div class="header-world-info ${eventClass}" data-events="${escapeAttr(eventIds)}">
                 <div class="header-meta">
                     <span id="header-day">${dayStr}</span>
                     <span class="separator">•</span>
                     <span id="header-time" style="color: ${timeColor}; text-shadow: 0 0 5px ${timeColor}40;">${timeStr}</span>
                 </div>
-                <div class="header-biome-title" style="color: ${biome.color}" id="header-biome">
+                <div class="header-biome-title" style="color: ${biome.color}" id="header-biome" title="${escapeAttr(biomeEffects.join('\n'))}">
                     ${biome.name}
                 </div>
+                ${ruleHtml}
                 ${eventHtml}
             </div>
         `;
@@ -161,28 +216,34 @@ class UI {
         const biome = game.worldSystem.getCurrentBiome();
         const events = game.worldSystem.getActiveEvents();
         
-        if (biomeEl) {
-            if (biomeEl.textContent.trim() !== biome.name) {
-                biomeEl.textContent = biome.name;
-                biomeEl.style.color = biome.color;
-            }
+        // A new biome brings a new rule line and tooltip, so re-render the block
+        if (biomeEl && container && biomeEl.textContent.trim() !== biome.name) {
+            container.outerHTML = this.renderHeaderWorldInfo();
+            return;
         }
         
         // Handle Event Message Updates
-        // If event state changed (added/removed), we might need to re-render the whole info block
-        // or just inject the message.
-        // Simplest approach: Check if container has 'has-event' class vs current state
-        const hasEventClass = container ? container.classList.contains('has-event') : false;
-        const hasActiveEvent = events.length > 0;
-        
-        if (hasEventClass !== hasActiveEvent) {
-            // State changed, easier to re-render the whole header info if possible
-            // But we don't have a direct reference to the parent to set innerHTML easily without an ID.
-            // Let's assume we can update the container's HTML.
-            if (container) {
-                container.outerHTML = this.renderHeaderWorldInfo();
-            }
+        // A started or ended event re-renders the block; otherwise only the time left changes
+        const eventIds = events.map(event => event.id).join(',');
+        if (container && container.dataset.events !== eventIds) {
+            container.outerHTML = this.renderHeaderWorldInfo();
+            return;
         }
+        events.forEach(event => {
+            const leftEl = document.querySelector(`.header-event-left[data-event-id="${event.id}"]`);
+            if (leftEl) leftEl.textContent = this.formatEventTimeLeft(game.worldSystem.getEventTimeLeft(event));
+        });
+    }
+
+    /**
+     * @param {Object} left - WorldSystem.getEventTimeLeft() result
+     * @returns {string} e.g. "1 round left", "1h 05m left"
+     */
+    formatEventTimeLeft(left) {
+        if (left.rounds !== undefined) return `${left.rounds} round${left.rounds === 1 ? '' : 's'} left`;
+        const minutes = Math.ceil(left.minutes);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m left` : `${minutes}m left`;
     }
 
     /**
@@ -219,7 +280,7 @@ class UI {
                 </div>
 
                 <div class="game-header">
-                    <div class="game-title">Thingamajig <span class="route-badge">Route ${this.gameState.getRouteIndex() + 1}</span></div>
+                    <div class="game-title">Thingamajig <span class="route-badge">Route ${this.gameState.getRouteIndex() + 1}</span>${this.renderStakeBadge()}</div>
                     ${this.renderHeaderWorldInfo()}
                     <div class="game-stats">
                     <div class="stat-item">
@@ -246,6 +307,8 @@ class UI {
 
                 <div class="section roll-section">
                     <div class="section-title">Rolling</div>
+                    ${this.renderBossRulesBanner()}
+                    ${this.renderRouteNodeBanner()}
                     <button class="roll-button" onclick="game.handleRoll()" ${(this.gameState.getRemainingRolls() <= 0 || this.gameState.hasReachedRoundGoal()) ? 'disabled' : ''}>
                         ROLL (SPACE)
                     </button>
@@ -269,6 +332,8 @@ class UI {
                         <span>Total Value:</span>
                         <span class="total-value">${loot.totalValue}${this.renderChipIcon()}</span>
                     </div>
+                    ${this.renderSynergyList()}
+                    ${this.renderVaultSummary()}
                 </div>
                 <div class="seed-display" style="position: fixed; bottom: 5px; right: 5px; opacity: 0.3; font-size: 0.7rem; font-family: monospace; pointer-events: none; z-index: 1000;">
                     Seed: ${this.gameState.seedString || this.gameState.seed}
@@ -608,7 +673,7 @@ class UI {
                 descHtml += dynamicText;
             }
 
-            augmentTooltip.innerHTML = `<span class="pt-name">${esc(name)}</span><span class="pt-rarity">${esc(rarity.toUpperCase())}</span><span class="pt-desc">${descHtml}</span>${special ? `<span class="pt-special"> ${esc(special)}</span>` : ''}`;
+            augmentTooltip.innerHTML = `<span class="pt-name">${esc(name)}</span><span class="pt-rarity">${esc(rarity.toUpperCase())}</span><span class="pt-desc">${descHtml}</span>${special ? `<span class="pt-special"> ${esc(special)}</span>` : ''}${this.renderAugmentContributions(augmentId)}`;
             augmentTooltip.classList.add('visible');
             this.positionTooltipNearMouse(augmentTooltip, e);
         }, true);
@@ -622,8 +687,11 @@ class UI {
         augmentTooltip.addEventListener('mouseleave', () => augmentTooltip.classList.remove('visible'));
     }
 
+    /**
+     * Drag loot cards to reorder the inventory (order matters for adjacency, see adjacency.js)
+     */
     attachInventoryDrag() {
-        const list = document.getElementById('inventory-list');
+        const list = document.getElementById('loot-list');
         if (!list) return;
         list.addEventListener('dragstart', (e) => {
             const item = e.target.closest('[data-item-index]');
@@ -652,11 +720,7 @@ class UI {
             if (toEl == null || isNaN(fromIdx)) return;
             const toIdx = parseInt(toEl.getAttribute('data-item-index'), 10);
             if (fromIdx === toIdx) return;
-            if (typeof game !== 'undefined' && game.gameState.reorderInventory) game.gameState.reorderInventory(fromIdx, toIdx);
-            const inv = new Inventory(game.gameState);
-            list.innerHTML = game.ui.renderInventoryList(inv.getDisplay());
-            game.ui.attachSmartTooltips();
-            game.ui.attachInventoryDrag();
+            if (typeof game !== 'undefined') game.handleReorderInventory(fromIdx, toIdx);
         });
     }
 
@@ -725,6 +789,7 @@ class UI {
         if (ownedAugments.length === 0) {
             return '<span class="no-augments">no augments found</span>';
         }
+        const activeIds = this.gameState.getActiveAugmentIds();
         return ownedAugments.map((augment) => {
             const full = typeof getBossAugmentById === 'function' ? getBossAugmentById(augment.id) : null;
             const p = full || (typeof getAugmentById === 'function' ? getAugmentById(augment.id) : null);
@@ -769,10 +834,27 @@ class UI {
             }
             
             const safeName = typeof escapeHtml === 'function' ? escapeHtml(displayName) : displayName;
-            return `<span class="topbar-augment-badge augment-tooltip-anchor rarity-${rarity.toLowerCase()}" draggable="true" data-augment-id="${augment.id}" data-augment-name="${escapeAttr(augment.name)}" data-augment-rarity="${escapeAttr(rarity)}" data-augment-desc="${escapeAttr(desc)}" data-augment-special="${escapeAttr(special)}"><span class="topbar-augment-name"${nameCss}>${safeName}</span></span>`;
+            const activeButton = this.renderAugmentActivateButton(augment.id, activeIds);
+            return `<span class="topbar-augment-badge augment-tooltip-anchor rarity-${rarity.toLowerCase()}" draggable="true" data-augment-id="${augment.id}" data-augment-name="${escapeAttr(augment.name)}" data-augment-rarity="${escapeAttr(rarity)}" data-augment-desc="${escapeAttr(desc)}" data-augment-special="${escapeAttr(special)}"><span class="topbar-augment-name"${nameCss}>${safeName}</span>${activeButton}</span>`;
         }).join('');
     }
 
+    /**
+     * Charge button of an active augment in the topbar ('' for passive augments)
+     * @param {string} augmentId
+     * @param {Array<string>} activeIds - gameState.getActiveAugmentIds(), for the number key
+     */
+    renderAugmentActivateButton(augmentId, activeIds) {
+        const active = typeof getAugmentActive === 'function' ? getAugmentActive(augmentId) : null;
+        if (!active) return '';
+        const charges = this.gameState.getAugmentCharges(augmentId);
+        const key = activeIds.indexOf(augmentId) + 1;
+        const recharge = active.recharge === 'boss' ? 'after each boss' : 'every round';
+        return `<button class="topbar-augment-activate" ${charges <= 0 ? 'disabled' : ''}
+            title="Activate${key > 0 && key <= 9 ? ` (${key})` : ''}: ${charges}/${active.charges} charges, recharges ${recharge}"
+            onclick="event.stopPropagation(); game.handleActivateAugment('${augmentId}')">⚡${charges}${key > 0 && key <= 9 ? `<span class="topbar-augment-key">${key}</span>` : ''}</button>`;
+    }
+
 
 
     /**
@@ -788,9 +870,22 @@ class UI {
             };
         }
 
+        // Per-item sale values with neighbors applied (adjacency.js)
+        const positions = typeof computePositionalValues === 'function' ? computePositionalValues(this.gameState.inventory) : [];
+
         const itemsHtml = paginated.items.map((item, index) => {
             const actualIndex = (paginated.currentPage * this.gameState.itemsPerPage) + index;
+            const position = positions[actualIndex];
+            const positionHtml = position && position.contributions.length > 0 ? `
+                        <div class="tooltip-adjacency">
+                            ${position.contributions.map(c => `<div>${escapeHtml(c.label)} ×${Math.round(c.multiplier * 100) / 100}</div>`).join('')}
+                            <div>Sells for ${position.value}Ȼ</div>
+                        </div>` : '';
+            const positionBadge = position && position.value !== position.baseValue
+                ? `<span class="loot-item-adjacency ${position.value > position.baseValue ? 'up' : 'down'}">${position.value > position.baseValue ? '+' : ''}${position.value - position.baseValue}</span>`
+                : '';
             const allMods = typeof getAllModifications === 'function' ? getAllModifications(item) : [];
+            const onUse = typeof getItemUse === 'function' ? getItemUse(item) : null;
             
             // Generate HTML for modifiers and attributes (Attributes as text, Mods as badges)
             // Filter out attributes from the name prefix
@@ -815,21 +910,27 @@ class UI {
             }
             
             // Particle wrappers for high tiers
+            const celebration = getTierCelebration(item.tier);
             let legendWrap = '';
-            if (['transcendent', 'enigmatic', 'unfathomable', 'otherworldly', 'imaginary', 'zenith'].includes(item.tier)) {
+            if (celebration >= CELEBRATION.PARTICLES) {
                 legendWrap = ' loot-item-name particle-wrap';
                 // Add specific particle containers if needed, currently just CSS class on wrapper
-            } else if (item.tier === 'legendary' || item.tier === 'surreal' || item.tier === 'mythic' || item.tier === 'exotic' || item.tier === 'exquisite') {
+            } else if (celebration >= CELEBRATION.TOAST) {
                 legendWrap = ' loot-item-name high-tier-wrap';
             }
 
             return `
-                <div class="loot-item loot-item-minimal ${this.inventory.getRarityClass(item.tier)}" data-item-index="${actualIndex}">
+                <div class="loot-item loot-item-minimal ${this.inventory.getRarityClass(item.tier)} ${item.kept ? 'kept' : ''}" data-item-index="${actualIndex}" draggable="true">
+                    ${positionBadge}
+                    <button class="loot-keep-toggle" title="${item.kept ? 'Kept: click to sell it' : 'Keep in the vault instead of selling'}"
+                        onclick="event.stopPropagation(); game.handleToggleKeep(${actualIndex})">${item.kept ? '🔒' : '📦'}</button>
+                    ${onUse ? `<button class="loot-use-button" title="Use (E): ${escapeHtml(describeItemUse(onUse))}"
+                        onclick="event.stopPropagation(); game.handleUseItem(${actualIndex})">USE</button>` : ''}
                     <div class="loot-item-name${legendWrap}"${nameCss}>
                         ${prefixHtml}
                         ${fullNameHtml}
                         ${item.tier === 'zenith' ? '<div class="zenith-question-mark">?</div>' : ''}
-                        ${['transcendent', 'enigmatic', 'unfathomable', 'otherworldly', 'imaginary', 'zenith'].includes(item.tier) ? '<div class="particle-container"></div>' : ''}
+                        ${celebration >= CELEBRATION.PARTICLES ? '<div class="particle-container"></div>' : ''}
                     </div>
                     <div class="loot-item-tooltip" aria-hidden="true">
                         <div class="tooltip-name"${nameCss}>${fullNameHtml}</div>
@@ -848,6 +949,10 @@ class UI {
                             <div style="font-size: 0.85em; color: var(--text-muted); margin-top: 2px;">1/${item.rarityScore || '?'}</div>
                         </div>
                         ${item.baseValue != null && item.baseValue !== item.value && item.priceMultiplier != null ? `<div class="tooltip-base">Base: ${item.baseValue} (×${item.priceMultiplier.toFixed(2)})</div>` : ''}
+                        ${positionHtml}
+                        ${onUse ? `<div class="tooltip-use">Use: ${escapeHtml(describeItemUse(onUse))}</div>` : ''}
+                        ${item.frozen ? '<div class="tooltip-base">Frozen at its base value</div>' : ''}
+                        ${item.vaultRounds ? `<div class="tooltip-base">Kept for ${item.vaultRounds} round${item.vaultRounds === 1 ? '' : 's'}</div>` : ''}
                     </div>
                 </div>
             `;
@@ -891,6 +996,9 @@ class UI {
         const shopItems = this.shop.getAvailableItems();
         const cash = this.shop.getCash();
         const selectedId = (typeof game !== 'undefined' && game.selectedShopAugmentId) ? game.selectedShopAugmentId : null;
+        if (shopItems.length === 0) {
+            return '<div class="loot-empty-msg">Sold out. Reroll for new augments.</div>';
+        }
 
         return shopItems.map((item, index) => {
             const canAfford = cash >= item.cost;
@@ -919,7 +1027,6 @@ class UI {
             const isMythical = item.rarity === 'mythical';
             const isGodlike = item.rarity === 'godlike';
             const isUltimate = item.rarity === 'ultimate';
-            const isNullification = item.id === 'nullificati0n';
 
             // Check Requirement
             let reqHtml = '';
@@ -942,21 +1049,14 @@ class UI {
                 }
             }
 
-            // Check Nullification Lock
-            // If we own Nullification, everything else is locked
-            let nullificationLocked = false;
-            if (this.gameState.augmentsPurchased['nullificati0n'] && !isOwned && item.id !== 'nullificati0n') {
-                nullificationLocked = true;
-            }
-
             // Check Overwrite Warning - Deprecated/Removed in new system (handled by Conflict Lock)
             let overwriteHtml = '';
 
             const conflicted = item.conflicted;
             const conflictReason = item.conflictReason;
 
-            const lockedOverlay = (locked && !isOwned) || reqLocked || nullificationLocked || conflicted
-                ? `<div class="augment-locked-overlay">${nullificationLocked ? '⛔ NULLIFIED' : (conflicted ? (conflictReason ? '⛔ ' + conflictReason.toUpperCase() : '⛔ CONFLICT') : (reqLocked ? '🔒 LOCKED' : '🔒 LOCKED'))}</div>`
+            const lockedOverlay = (locked && !isOwned) || reqLocked || conflicted
+                ? `<div class="augment-locked-overlay">${conflicted ? (conflictReason ? '⛔ ' + conflictReason.toUpperCase() : '⛔ CONFLICT') : (reqLocked ? '🔒 LOCKED' : '🔒 LOCKED')}</div>`
                 : '';
                 
             let showPurchased = false;
@@ -986,7 +1086,7 @@ class UI {
             }
 
             return `
-                <div class="augment-card augment-card-shop augment-tooltip-anchor rarity-${item.rarity} ${showPurchased ? 'augment-purchased' : ''} ${isSelected ? 'augment-selected' : ''} ${locked || reqLocked || nullificationLocked || conflicted ? 'augment-locked' : ''} ${isNullification ? 'augment-glitch' : ''}" data-augment-id="${item.id}" data-augment-instance-id="${item.instanceId || ''}" data-augment-name="${escapeAttr(item.name)}" data-augment-rarity="${escapeAttr(item.rarity)}" data-augment-desc="${escapeAttr(safeDesc)}" data-augment-special="${escapeAttr(specialText)}" data-augment-cost="${item.cost}" onclick="game.handleShopAugmentClick('${item.id}', '${item.instanceId || ''}')" style="animation-delay: ${index * 0.1}s">
+                <div class="augment-card augment-card-shop augment-tooltip-anchor rarity-${item.rarity} ${showPurchased ? 'augment-purchased' : ''} ${isSelected ? 'augment-selected' : ''} ${locked || reqLocked || conflicted ? 'augment-locked' : ''}" data-augment-id="${item.id}" data-augment-instance-id="${item.instanceId || ''}" data-augment-name="${escapeAttr(item.name)}" data-augment-rarity="${escapeAttr(item.rarity)}" data-augment-desc="${escapeAttr(safeDesc)}" data-augment-special="${escapeAttr(specialText)}" data-augment-cost="${item.cost}" onclick="game.handleShopAugmentClick('${item.id}', '${item.instanceId || ''}')" style="animation-delay: ${index * 0.1}s">
                     ${purchasedOverlay}
             ${lockedOverlay}
             ${isLegendary || isMythical || isGodlike || isUltimate ? `
@@ -1016,7 +1116,7 @@ class UI {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()';
         return text.split('').map(c => {
             if (c === ' ' || c === '(' || c === ')') return c;
-            return chars[Math.floor(Math.random() * chars.length)];
+            return chars[Math.floor(this.gameState.cosmeticRandom() * chars.length)];
         }).join('');
     }
 
@@ -1040,7 +1140,7 @@ class UI {
                             return letter;
                         }
                         if (letter === ' ' || letter === '(' || letter === ')') return letter;
-                        return chars[Math.floor(Math.random() * chars.length)];
+                        return chars[Math.floor(this.gameState.cosmeticRandom() * chars.length)];
                     })
                     .join('');
                 
@@ -1055,6 +1155,73 @@ class UI {
     }
 
 
+    /**
+     * Copy text to the clipboard
+     * @param {string} text
+     * @returns {Promise} resolves once copied
+     */
+    copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+        // Fallback for non-secure contexts (e.g. HTTP, file://)
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-9999px';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        return new Promise((resolve, reject) => {
+            document.execCommand('copy') ? resolve() : reject();
+            textArea.remove();
+        });
+    }
+
+    /**
+     * Daily challenge best-runs table for the breakdown screen
+     * @param {Object} daily - { date, rank, scores } from game.recordDailyResult()
+     */
+    renderDailyScores(daily) {
+        const rows = daily.scores.map((score, index) => `
+            <div class="daily-score-row ${index === daily.rank ? 'daily-score-current' : ''}">
+                <span class="daily-score-rank">#${index + 1}</span>
+                <span>Round ${score.round}</span>
+                <span>${score.chipsEarned}${this.renderChipIcon()}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="daily-scores">
+                <div class="daily-scores-title">Daily ${daily.date} · Best runs</div>
+                ${rows}
+                ${daily.rank === -1 ? '<div class="daily-score-miss">This run did not make today\'s table</div>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Endless mode deepest-runs table for the breakdown screen
+     * @param {Object} endless - { depth, rank, scores } from game.recordEndlessResult()
+     */
+    renderEndlessScores(endless) {
+        const rows = endless.scores.map((score, index) => `
+            <div class="daily-score-row endless-score-row ${index === endless.rank ? 'endless-score-current' : ''}">
+                <span class="daily-score-rank">#${index + 1}</span>
+                <span>Round ${score.round} · Depth ${score.depth}</span>
+                <span>${score.chipsEarned}${this.renderChipIcon()}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="daily-scores endless-scores">
+                <div class="daily-scores-title endless-scores-title">Endless · Reached depth ${endless.depth}</div>
+                ${rows}
+                ${endless.rank === -1 ? '<div class="daily-score-miss">This run did not make the endless table</div>' : ''}
+            </div>
+        `;
+    }
+
     /**
      * Toggle seed display state: Hidden -> Visible -> Copied
      */
@@ -1070,26 +1237,7 @@ class UI {
             btn.style.background = 'rgba(255, 255, 255, 0.08)'; // Slightly lighter to show it's active
         } else {
             // Copy
-            const copyToClipboard = (text) => {
-                if (navigator.clipboard && window.isSecureContext) {
-                    return navigator.clipboard.writeText(text);
-                } else {
-                    // Fallback for non-secure contexts (e.g. HTTP)
-                    let textArea = document.createElement("textarea");
-                    textArea.value = text;
-                    textArea.style.position = "fixed";
-                    textArea.style.left = "-9999px";
-                    document.body.appendChild(textArea);
-                    textArea.focus();
-                    textArea.select();
-                    return new Promise((resolve, reject) => {
-                        document.execCommand('copy') ? resolve() : reject();
-                        textArea.remove();
-                    });
-                }
-            };
-
-            copyToClipboard(seedString).then(() => {
+            this.copyToClipboard(seedString).then(() => {
                 const originalText = valueSpan.textContent;
                 valueSpan.textContent = 'Copied!';
                 btn.style.borderColor = 'var(--success)';
@@ -1120,7 +1268,7 @@ class UI {
             "Fortune favors the bold.",
             "I hate League of Legends."
         ];
-        const randomQuote = QUOTES[Math.floor(Math.random() * QUOTES.length)];
+        const randomQuote = QUOTES[Math.floor(this.gameState.cosmeticRandom() * QUOTES.length)];
 
         const {
             type,
@@ -1132,12 +1280,18 @@ class UI {
             interestReward,
             cashBonus,
             chipsBonus, // Add chipsBonus
+            synergies,
+            positionalBonus,
+            keptCount,
+            keptValue,
             totalReward,
             totalCash,
             canAdvance,
             nextCost,
             isBossNext,
-            reason
+            reason,
+            daily,
+            endless
         } = payload;
 
         let contentHtml = '';
@@ -1163,6 +1317,18 @@ class UI {
                         <div class="reward-label">Ȼ Earned</div>
                         <div class="reward-value"><span style="color: var(--chip-blue)">${chipsEarned}</span>${this.renderChipIcon()}</div>
                     </div>
+                    ${keptCount ? `
+                    <div class="reward-card">
+                        <div class="reward-label">Kept in Vault (${keptCount})</div>
+                        <div class="reward-value">${keptValue}${this.renderChipIcon()}</div>
+                    </div>
+                    ` : ''}
+                    ${positionalBonus ? `
+                    <div class="reward-card">
+                        <div class="reward-label">Positions</div>
+                        <div class="reward-value">${positionalBonus > 0 ? '+' : ''}${positionalBonus}${this.renderChipIcon()}</div>
+                    </div>
+                    ` : ''}
                     ${chipsBonus ? `
                     <div class="reward-card">
                         <div class="reward-label">Augment Ȼ</div>
@@ -1190,6 +1356,17 @@ class UI {
                         <div class="reward-value" ${greenStyle}>$${cashBonus}</div>
                     </div>
                 </div>
+                ${synergies && synergies.length > 0 ? `
+                <div class="reward-synergies">
+                    <div class="reward-label">Synergies</div>
+                    ${synergies.map(entry => `
+                        <div class="synergy-row active">
+                            <span class="synergy-name">${escapeHtml(entry.name)}</span>
+                            <span class="synergy-progress">${escapeHtml(entry.effect)} · +${entry.bonus}${this.renderChipIcon()}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ` : ''}
                 <div class="reward-total">
                     <div class="reward-total-label">Total Cash Gained</div>
                     <div class="reward-total-value" ${greenStyle}>+$${totalReward}</div>
@@ -1237,21 +1414,22 @@ class UI {
                     fullNameHtml += safeName;
                 }
                 
+                const celebration = getTierCelebration(item.tier);
                 let legendWrap = '';
-                if (['transcendent', 'enigmatic', 'unfathomable', 'otherworldly', 'imaginary', 'zenith'].includes(item.tier)) {
+                if (celebration >= CELEBRATION.PARTICLES) {
                     legendWrap = ' loot-item-name particle-wrap';
-                } else if (['legendary', 'surreal', 'mythic', 'exotic', 'exquisite'].includes(item.tier)) {
+                } else if (celebration >= CELEBRATION.TOAST) {
                     legendWrap = ' loot-item-name high-tier-wrap';
                 }
 
                 // Render Item Card
                 return `
-                    <div class="loot-item loot-item-minimal ${rarityClass}" data-item-index="${index}">
+                    <div class="loot-item loot-item-minimal ${rarityClass} ${item.usedOn || item.destroyedOn ? 'consumed' : ''}" data-item-index="${index}">
                         <div class="loot-item-name${legendWrap}"${nameCss}>
                             ${prefixHtml}
                             ${fullNameHtml}
                             ${item.tier === 'zenith' ? '<div class="zenith-question-mark">?</div>' : ''}
-                            ${['transcendent', 'enigmatic', 'unfathomable', 'otherworldly', 'imaginary', 'zenith'].includes(item.tier) ? '<div class="particle-container"></div>' : ''}
+                            ${celebration >= CELEBRATION.PARTICLES ? '<div class="particle-container"></div>' : ''}
                         </div>
                         <div class="loot-item-tooltip" aria-hidden="true">
                             <div class="tooltip-name"${nameCss}>${fullNameHtml}</div>
@@ -1267,6 +1445,8 @@ class UI {
                             
                             <div class="tooltip-value" style="margin-top:8px;"><span style="color: #60a5fa">${item.value}Ȼ</span></div>
                             ${item.baseValue != null && item.baseValue !== item.value && item.priceMultiplier != null ? `<div class="tooltip-base">Base: ${item.baseValue} (×${item.priceMultiplier.toFixed(2)})</div>` : ''}
+                            ${item.usedOn ? `<div class="tooltip-use">Used in round ${item.usedOn}: ${escapeHtml(item.useEffect || '')}</div>` : ''}
+                            ${item.destroyedOn ? `<div class="tooltip-use">Destroyed in round ${item.destroyedOn}</div>` : ''}
                         </div>
                     </div>
                 `;
@@ -1344,6 +1524,10 @@ class UI {
                         <span class="stat-label">Rolls Used</span>
                         <span class="stat-value">${stats.totalRollsUsed || 0}</span>
                     </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Items Used</span>
+                        <span class="stat-value">${stats.itemsUsed || 0}</span>
+                    </div>
                     <div class="stat-row">
                         <span class="stat-label">Time Played</span>
                         <span class="stat-value">${timePlayed}</span>
@@ -1352,6 +1536,14 @@ class UI {
                         <span class="stat-label">Max Round</span>
                         <span class="stat-value">${this.gameState.round}</span>
                     </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Archetype</span>
+                        <span class="stat-value">${escapeHtml(this.gameState.getArchetype() ? this.gameState.getArchetype().name : '-')}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Stake</span>
+                        <span class="stat-value">${typeof getStake === 'function' ? `${this.gameState.getStake()} · ${escapeHtml(getStake(this.gameState.getStake()).name)}` : this.gameState.getStake()}</span>
+                    </div>
                     <button class="stat-row seed-button" 
                         onclick="game.ui.toggleSeedDisplay(this, '${this.gameState.seedString || this.gameState.seed}')"
                         data-state="hidden"
@@ -1359,14 +1551,24 @@ class UI {
                         <span class="stat-label">Seed</span>
                         <span class="stat-value">Click to Reveal</span>
                     </button>
+                    <button class="stat-row seed-button" onclick="game.handleCopyShareCode()"
+                        style="grid-column: 1 / -1; width: 100%; cursor: pointer; text-align: left; font-family: inherit; font-size: inherit; justify-content: space-between; align-items: center; display: flex;">
+                        <span class="stat-label">Share Code</span>
+                        <span class="stat-value">Click to Copy</span>
+                    </button>
                 </div>
+                ${daily ? this.renderDailyScores(daily) : ''}
+                ${endless ? this.renderEndlessScores(endless) : ''}
             `;
 
-            // Footer: Button Only
+            // Footer: Buttons Only
             footerHtml = `
                 <button class="btn btn-primary btn-restart" onclick="game.handleRestart()">
                     TRY AGAIN
                 </button>
+                <button class="btn btn-replay" onclick="game.handleDownloadReplay()">
+                    Download replay
+                </button>
             `;
         }
 
@@ -1494,6 +1696,7 @@ class UI {
             { id: 'items', label: 'Items' },
             { id: 'augments', label: 'Augments' },
             { id: 'bosses', label: 'Bosses' },
+            { id: 'achievements', label: 'Achievements' },
         ];
         const itemsHtml = typeof THING_TEMPLATES !== 'undefined'
             ? Object.values(THING_TEMPLATES).map((t, i) => {
@@ -1558,15 +1761,36 @@ class UI {
                         </button>
                         <div class="index-entry-details" id="${id}" style="display:none">
                             ${desc ? `<div class="index-entry-meta">${escapeHtml(desc)}</div>` : ''}
+                            ${(b.rules || []).map(rule => `<div class="index-entry-meta">• ${escapeHtml(describeBossRule(rule))}</div>`).join('')}
                         </div>
                     </div>
                 `;
             }).join('')
             : '';
 
+        const tracker = (typeof game !== 'undefined' && game.achievements) ? game.achievements : null;
+        const achievementsHtml = typeof ACHIEVEMENTS !== 'undefined'
+            ? Object.values(ACHIEVEMENTS).map((a, i) => {
+                const id = `idx-achievement-${i}`;
+                const earned = tracker ? tracker.isEarned(a.id) : false;
+                return `
+                    <div class="index-entry index-achievement ${earned ? 'earned' : ''}" data-name="${escapeAttr(a.name)}" data-search="${escapeAttr(a.description)}">
+                        <button type="button" class="index-entry-toggle" data-target="${id}">
+                            <span class="index-entry-name">${earned ? a.icon : '🔒'} ${escapeHtml(a.name)}</span>
+                            <span class="index-entry-meta">${earned ? 'Earned' : 'Locked'}</span>
+                        </button>
+                        <div class="index-entry-details" id="${id}" style="display:none">
+                            <div class="index-entry-meta">${escapeHtml(a.description)}</div>
+                        </div>
+                    </div>
+                `;
+            }).join('')
+            : '';
+        const achievementProgress = tracker ? tracker.getProgress() : null;
+
         return `
             <div class="index-search-row">
-                <input id="index-search" class="index-search" type="text" placeholder="Search items, augments, bosses..." />
+                <input id="index-search" class="index-search" type="text" placeholder="Search items, augments, bosses, achievements..." />
             </div>
             <div class="index-tabs">
                 ${tabs.map((t, i) => `<button type="button" class="index-tab ${i === 0 ? 'active' : ''}" data-tab="${t.id}">${t.label}</button>`).join('')}
@@ -1574,6 +1798,10 @@ class UI {
             <div class="index-panel" id="index-panel-items">${itemsHtml || '<p class="index-empty">No items data.</p>'}</div>
             <div class="index-panel" id="index-panel-augments" style="display:none">${augmentsHtml || '<p class="index-empty">No augments data.</p>'}</div>
             <div class="index-panel" id="index-panel-bosses" style="display:none">${bossesHtml || '<p class="index-empty">No bosses data.</p>'}</div>
+            <div class="index-panel" id="index-panel-achievements" style="display:none">
+                ${achievementProgress ? `<p class="index-entry-meta">${achievementProgress.earned} / ${achievementProgress.total} earned</p>` : ''}
+                ${achievementsHtml || '<p class="index-empty">No achievements data.</p>'}
+            </div>
         `;
     }
 
@@ -1597,6 +1825,7 @@ class UI {
      */
     renderAttributes() {
         const attrs = this.gameState.getFormattedAttributes();
+        const explanations = typeof this.gameState.explainAttributes === 'function' ? this.gameState.explainAttributes() : [];
 
         const timePlayed = this.gameState.getGameTime();
         return `
@@ -1617,10 +1846,36 @@ class UI {
                     `).join('')}
 
                 </div>
+                ${explanations.length > 0 ? `
+                    <div class="attribute-explanations">
+                        <div class="attribute-explanations-title">Where your stats come from</div>
+                        ${explanations.map(({ text }) => `<div class="attribute-explanation">${escapeHtml(text)}</div>`).join('')}
+                    </div>
+                ` : ''}
             </div>
         `;
     }
 
+    /**
+     * What an owned augment currently adds to your stats, for its tooltip ('' if nothing)
+     * @param {string} augmentId
+     */
+    renderAugmentContributions(augmentId) {
+        if (!augmentId || !this.gameState.augmentsPurchased[augmentId] || typeof this.gameState.getAttributeLedger !== 'function') return '';
+        const { ledger } = this.gameState.getAttributeLedger();
+        const parts = ledger.getSourceContributions(augmentId)
+            .filter(c => !c.stat.startsWith('modifiers.'))
+            .map(({ stat, layer, value, stacks }) => {
+                const label = ATTRIBUTE_LABELS[stat] || stat;
+                const round = (n) => Math.round(n * 100) / 100;
+                if (layer === 'multi') return `${label} ×${round(Math.pow(value, stacks))}`;
+                if (layer === 'set') return `${label} = ${round(value)}`;
+                const total = value * stacks;
+                return `${label} ${total < 0 ? '' : '+'}${round(total)}`;
+            });
+        return parts.length > 0 ? `<span class="pt-stats">${escapeHtml(parts.join(' · '))}</span>` : '';
+    }
+
     /**
      * Show round transition screen
      */
@@ -1646,9 +1901,7 @@ class UI {
             this.currentScreen = 'shop';
             // Removed automatic generation to prevent rerolling when returning from other screens
             // this.shop.generateShopAugments();
-            if (typeof game !== 'undefined' && game.resetRerollCost) {
-                game.resetRerollCost();
-            }
+            // The engine resets the reroll price when a shop opens; re-renders keep it
             
             const displayRound = this.gameState.pendingNextRound || this.gameState.round;
             const rerollCost = (typeof game !== 'undefined') ? game.shopRerollCost : 5;
@@ -1679,7 +1932,7 @@ class UI {
                 </div>
 
                 <div class="game-header">
-                    <div class="game-title">Round ${displayRound} Shop</div>
+                    <div class="game-title">Round ${displayRound} Shop${this.renderStakeBadge()}</div>
                     ${this.renderHeaderWorldInfo()}
                     <div class="game-stats">
                         <div class="stat-item">
@@ -1724,6 +1977,7 @@ class UI {
                                 Start Round ${displayRound}
                             </button>
                         </div>
+                        ${this.renderVaultPanel()}
                     </div>
                 </div>
             `;
@@ -2250,11 +2504,14 @@ class UI {
                 data = augment;
             } else if (type === 'cash') {
                 data = { id: 'cash-' + parentId, name: 'Cash', amount: id }; // id passed as amount
+            } else if (type === 'item') {
+                const item = typeof ITEMS !== 'undefined' ? ITEMS[id] : null;
+                data = { id: `item-${parentId}-${id}`, name: item ? item.name : id, itemId: id }; // id passed as item id
             }
 
             // Create Node Object
             const node = {
-                id: type === 'cash' ? data.id : id,
+                id: type === 'augment' ? id : data.id,
                 type: type,
                 data: data,
                 x: 0, y: 0, vx: 0, vy: 0 // Physics placeholders
@@ -2292,6 +2549,7 @@ class UI {
                         
                         pList.forEach(reqId => addNode(reqId, 'augment', node.id));
                         if (cAmt) addNode(cAmt, 'cash', node.id);
+                        (forgeCondition.vaultItems || []).forEach(itemId => addNode(itemId, 'item', node.id));
                      }
                 }
             }
@@ -2324,6 +2582,21 @@ class UI {
                         </div>
                     </div>
                 `;
+            } else if (node.type === 'item') {
+                // Vault Item Node - consumed from the vault when forging
+                const inVault = this.gameState.vault.some(thing => thing.id === node.data.itemId);
+                const name = escapeHtml(node.data.name);
+                innerHtml = `
+                    <div class="augment-square-node ${inVault ? 'status-owned' : 'status-missing'}" style="width: 160px; height: 60px; background: #222; border: 2px solid ${inVault ? '#4ade80' : '#ef4444'}; border-radius: 8px; display: flex; flex-direction: row; align-items: center; justify-content: flex-start; padding: 5px 10px; box-shadow: 0 4px 8px rgba(0,0,0,0.5); text-align: left;">
+                        <div style="font-size: 2em; margin-right: 10px;">📦</div>
+                        <div class="augment-name" style="color: #fbbf24; font-size: 0.9em; font-weight: bold; line-height: 1.1;">${name}</div>
+                        <div class="node-tooltip-content" style="display: none;">
+                            <div class="tooltip-header"><span class="tooltip-name" style="color: #fbbf24;">${name}</span></div>
+                            <div class="tooltip-desc">Kept item, consumed from the vault</div>
+                            <div class="tooltip-status ${inVault ? 'req-met' : 'req-missing'}">${inVault ? 'IN VAULT' : 'MISSING'}</div>
+                        </div>
+                    </div>
+                `;
             } else {
                 const augment = node.data;
                 const isOwned = (this.gameState.augmentsPurchased[augment.id] || 0) > 0;
@@ -3356,6 +3629,261 @@ class UI {
         this.container.innerHTML = html;
     }
 
+    /**
+     * Show the result of playing back a replay file
+     * @param {Object} report - ReplayPlayer.run() output
+     */
+    renderReplayScreen(report) {
+        this.currentScreen = 'replay';
+        const biomeName = (id) => (typeof BIOMES !== 'undefined' && BIOMES[id]) ? BIOMES[id].name : id;
+        const augmentName = (id) => {
+            const augment = (typeof getAugmentById === 'function' && getAugmentById(id)) || (typeof getBossAugmentById === 'function' && getBossAugmentById(id));
+            return augment ? augment.name : id;
+        };
+
+        const status = report.verified
+            ? `<span style="color: var(--success)">Identical to the recording</span>`
+            : `<span style="color: var(--danger)">${report.mismatches.length} outcome(s) differ from the recording</span>`;
+
+        const roundsHtml = report.rounds.map(round => {
+            const items = round.items.map(item =>
+                `<span class="replay-item rarity-color rarity-${item.tier}">${escapeHtml(item.name)} <small>${item.value}Ȼ</small></span>`
+            ).join('');
+            const shops = round.shops.map(offer => offer.map(augmentName).join(', '));
+            const summary = round.summary
+                ? `${round.summary.chips}Ȼ · $${round.summary.cash}${round.summary.canAdvance ? '' : ' · <span style="color: var(--danger)">run ended</span>'}`
+                : '';
+            return `
+                <div class="replay-round">
+                    <div class="replay-round-header">
+                        <span class="replay-round-title">Round ${round.round}</span>
+                        <span class="replay-round-biome">${biomeName(round.biomeId)}</span>
+                        <span class="replay-round-summary">${summary}</span>
+                    </div>
+                    <div class="replay-items">${items || '<span class="replay-empty">No rolls</span>'}</div>
+                    ${round.events.length ? `<div class="replay-line">Events: ${round.events.map(id => (EVENTS[id] ? EVENTS[id].name : id)).join(', ')}</div>` : ''}
+                    ${shops.map(offer => `<div class="replay-line">Shop: ${offer || '—'}</div>`).join('')}
+                    ${round.purchases.length ? `<div class="replay-line">Bought: ${round.purchases.map(augmentName).join(', ')}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const html = `
+            <div class="screen replay-screen">
+                <div class="screen-title">Replay</div>
+                <div class="screen-subtitle">${status}</div>
+                ${report.complete ? '' : '<div class="replay-line" style="color: var(--warning)">Recording started from a resumed save, earlier actions are missing.</div>'}
+                <div class="stats-grid">
+                    <div class="stat-row"><span class="stat-label">Seed</span><span class="stat-value" style="font-family: monospace">${escapeHtml(report.seedString)}</span></div>
+                    <div class="stat-row"><span class="stat-label">Actions</span><span class="stat-value">${report.actions}</span></div>
+                    <div class="stat-row highlight"><span class="stat-label">Final Round</span><span class="stat-value">${report.final.round}</span></div>
+                    <div class="stat-row"><span class="stat-label">Final Cash</span><span class="stat-value">$${report.final.cash}</span></div>
+                </div>
+                <div class="replay-rounds">${roundsHtml}</div>
+                <button class="btn btn-primary" onclick="game.ui.renderStartScreen()">Back</button>
+            </div>
+        `;
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Content packs menu: install, enable/disable and remove JSON packs
+     * @param {Array} [errors] - validation errors from the last install attempt
+     */
+    renderContentPacksScreen(errors = []) {
+        this.currentScreen = 'content_packs';
+        const packs = (typeof game !== 'undefined' && game.contentPacks) ? game.contentPacks.getPacks() : [];
+
+        const packsHtml = packs.map(pack => `
+            <div class="pack-row ${pack.enabled ? 'enabled' : ''}">
+                <label class="pack-toggle">
+                    <input type="checkbox" ${pack.enabled ? 'checked' : ''} onchange="game.handleToggleContentPack('${escapeAttr(pack.id)}', this.checked)">
+                    <span class="pack-name">${escapeHtml(pack.name)}</span>
+                    ${pack.version ? `<span class="pack-version">v${escapeHtml(String(pack.version))}</span>` : ''}
+                </label>
+                <span class="pack-entries">${pack.entries} entries</span>
+                <button class="btn btn-pack-remove" onclick="game.handleRemoveContentPack('${escapeAttr(pack.id)}')">Remove</button>
+                ${pack.description ? `<div class="pack-description">${escapeHtml(pack.description)}</div>` : ''}
+            </div>
+        `).join('');
+
+        const errorsHtml = errors.length > 0 ? `
+            <div class="pack-errors">
+                ${errors.map(error => `<div class="pack-error">${escapeHtml(error)}</div>`).join('')}
+            </div>
+        ` : '';
+
+        const html = `
+            <div class="screen content-packs-screen">
+                <div class="screen-title">Content Packs</div>
+                <div class="screen-subtitle">Enabled packs add items, augments, biomes and events on top of the base game. Seeds only match for players with the same packs.</div>
+                ${errorsHtml}
+                <div class="pack-list">${packsHtml || '<div class="replay-empty">No packs installed</div>'}</div>
+                <label class="btn btn-replay">
+                    Install pack
+                    <input type="file" accept=".json,application/json" onchange="game.handleInstallContentPack(this)" hidden>
+                </label>
+                <button class="btn btn-primary" onclick="game.ui.renderStartScreen()">Back</button>
+            </div>
+        `;
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Player profile: lifetime stats, collection progress, milestones and starter augment choice
+     */
+    renderProfileScreen() {
+        this.currentScreen = 'profile';
+        const profile = (typeof game !== 'undefined' && game.profile) ? game.profile : null;
+        if (!profile) return this.renderStartScreen();
+        const { stats, starterAugment } = profile.data;
+        const progress = profile.getCollectionProgress();
+
+        const collectionHtml = [
+            ['Items', progress.items],
+            ['Mods', progress.mods],
+            ['Attributes', progress.attributes],
+            ['Item + attribute combos', progress.combos],
+            ['Unlocked augments', progress.augments]
+        ].map(([label, { found, total }]) => `
+            <div class="profile-progress-row">
+                <span>${label}</span>
+                <div class="profile-progress-bar"><div style="width: ${total ? Math.round((found / total) * 100) : 0}%"></div></div>
+                <span>${found} / ${total}</span>
+            </div>
+        `).join('');
+
+        const milestonesHtml = PROFILE_MILESTONES.map(milestone => {
+            const earned = profile.isMilestoneEarned(milestone.id);
+            return `
+                <div class="profile-milestone ${earned ? 'earned' : ''}">
+                    <span class="profile-milestone-name">${earned ? '✓' : '🔒'} ${escapeHtml(milestone.name)}</span>
+                    <span class="profile-milestone-description">${escapeHtml(milestone.description)}</span>
+                    <span class="profile-milestone-reward">${escapeHtml(describeProfileReward(milestone.reward))}</span>
+                </div>
+            `;
+        }).join('');
+
+        const starterOptions = profile.getStarterAugmentOptions();
+        const starterHtml = starterOptions.length === 0
+            ? '<div class="replay-empty">Earn milestones to unlock starter augments</div>'
+            : [null, ...starterOptions].map(augmentId => {
+                const augment = augmentId && typeof getAugmentById === 'function' ? getAugmentById(augmentId) : null;
+                const label = augmentId ? (augment ? augment.name : augmentId) : 'None';
+                const selected = (starterAugment || null) === augmentId;
+                return `<button class="btn btn-starter ${selected ? 'selected' : ''}" onclick="game.handleSelectStarterAugment(${augmentId ? `'${escapeAttr(augmentId)}'` : 'null'})">${escapeHtml(label)}</button>`;
+            }).join('');
+
+        const html = `
+            <div class="screen profile-screen">
+                <div class="screen-title">Profile</div>
+                <div class="profile-stats">
+                    <div class="stat-row"><span class="stat-label">Runs</span><span class="stat-value">${stats.runs}</span></div>
+                    <div class="stat-row"><span class="stat-label">Best Round</span><span class="stat-value">${stats.bestRound}</span></div>
+                    <div class="stat-row"><span class="stat-label">Bosses Defeated</span><span class="stat-value">${stats.bossesDefeated}</span></div>
+                    <div class="stat-row"><span class="stat-label">Total Ȼ</span><span class="stat-value">${stats.totalChips}</span></div>
+                </div>
+                <div class="profile-section-title">Collection</div>
+                <div class="profile-collection">${collectionHtml}</div>
+                <div class="profile-section-title">Milestones</div>
+                <div class="profile-milestones">${milestonesHtml}</div>
+                <div class="profile-section-title">Starter augment (standard and endless runs)</div>
+                <div class="profile-starters">${starterHtml}</div>
+                <button class="btn btn-primary" onclick="game.ui.renderStartScreen()">Back</button>
+            </div>
+        `;
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Rules of the boss fought this round, shown above the roll button
+     */
+    renderBossRulesBanner() {
+        const boss = this.gameState.isBossRound() ? this.gameState.getCurrentBoss() : null;
+        const rules = this.gameState.getActiveBossRules();
+        if (!boss || rules.length === 0) return '';
+        return `
+            <div class="boss-rules-banner">
+                <div class="boss-rules-name">${escapeHtml(boss.name)}</div>
+                ${rules.map(rule => `<div class="boss-rule">${escapeHtml(describeBossRule(rule))}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Pre-boss intro: who the boss is and which rules apply during its round
+     * @param {Object} boss - BOSSES entry
+     */
+    renderBossIntroScreen(boss) {
+        this.currentScreen = 'boss_intro';
+        const rules = Array.isArray(boss.rules) ? boss.rules : [];
+        const html = `
+            <div class="screen boss-intro-screen">
+                <div class="boss-intro-label">Boss · Round ${boss.round}</div>
+                <div class="screen-title">${escapeHtml(boss.name)}</div>
+                <div class="screen-subtitle">${escapeHtml(boss.description)}</div>
+                <div class="boss-intro-rules">
+                    ${rules.map(rule => `<div class="boss-rule">${escapeHtml(describeBossRule(rule))}</div>`).join('') || '<div class="boss-rule">No special rules</div>'}
+                </div>
+                <div class="boss-intro-cost">Entry: ${this.gameState.getRoundEntryCost()}${this.renderChipIcon()}</div>
+                <button class="btn btn-primary" onclick="game.handleStartRound(true)">Face ${escapeHtml(boss.name)}</button>
+                <button class="btn btn-secondary" onclick="game.ui.renderShopScreen()">Back to shop</button>
+            </div>
+        `;
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * What the current route node does, shown above the roll button (nothing on plain rounds)
+     */
+    renderRouteNodeBanner() {
+        const node = this.gameState.getRouteNode();
+        if (!node || node.type === 'normal') return '';
+        return `<div class="route-node-banner">${node.icon} ${escapeHtml(node.name)} · ${escapeHtml(node.description)}</div>`;
+    }
+
+    /**
+     * Route map at a boss boundary: pick the path through the next route
+     * @param {Object} routeMap - see WorldSystem.generateRouteMap
+     */
+    renderRouteMapScreen(routeMap) {
+        this.currentScreen = 'route_map';
+        const eventName = (id) => (EVENTS[id] ? EVENTS[id].name : id);
+        const pathsHtml = routeMap.paths.map((path, pathIndex) => {
+            const biome = BIOMES[path.biomeId];
+            const nodesHtml = path.nodes.map(node => {
+                const type = ROUTE_NODE_TYPES[node.type];
+                return `<div class="route-node route-node-${escapeAttr(node.type)}" title="${escapeAttr(type.description)}">
+                    <span class="route-node-icon">${type.icon}</span>
+                    <span class="route-node-name">${node.round}. ${escapeHtml(type.name)}</span>
+                </div>`;
+            }).join('');
+            return `
+                <div class="route-path" style="--biome-color: ${biome.color}">
+                    <div class="route-path-biome">${escapeHtml(biome.name)}</div>
+                    <div class="route-path-description">${escapeHtml(biome.description)}</div>
+                    <div class="route-path-effects">${describeBiomeEffects(biome).map(line => `<div>${escapeHtml(line)}</div>`).join('')}</div>
+                    <div class="route-path-events">${path.events.length > 0 ? `Likely: ${path.events.map(id => escapeHtml(eventName(id))).join(', ')}` : 'No expected events'}</div>
+                    <div class="route-path-nodes">
+                        ${nodesHtml}
+                        <div class="route-node route-node-boss"><span class="route-node-icon">👑</span><span class="route-node-name">${routeMap.firstRound + path.nodes.length}. Boss</span></div>
+                    </div>
+                    <button class="btn btn-primary" onclick="game.handleChooseRoute(${pathIndex})">Take this path</button>
+                </div>
+            `;
+        }).join('');
+        const html = `
+            <div class="screen route-map-screen">
+                <div class="route-map-label">Route ${routeMap.routeIndex + 1}</div>
+                <div class="screen-title">Choose your path</div>
+                <div class="screen-subtitle">Rounds ${routeMap.firstRound}-${routeMap.firstRound + CONFIG.BOSS_ROUND_INTERVAL - 1}. Hover a node to see what it does.</div>
+                <div class="route-paths">${pathsHtml}</div>
+                ${this.gameState.pendingNextRound != null ? '<button class="btn btn-secondary" onclick="game.ui.renderShopScreen()">Back to shop</button>' : ''}
+            </div>
+        `;
+        this.container.innerHTML = html;
+    }
+
     updateBossRewardScreen() {
         if (this.currentScreen !== 'boss_reward') return;
         this.renderBossRewardScreen();
@@ -3366,6 +3894,46 @@ class UI {
      */
     renderStartScreen() {
         this.currentScreen = 'start';
+        const today = typeof getLocalDateKey === 'function' ? getLocalDateKey() : '';
+        const todayBest = (typeof game !== 'undefined' && game.dailyScores) ? game.dailyScores.getScores(today)[0] : null;
+        const endlessBest = (typeof game !== 'undefined' && game.endlessScores) ? game.endlessScores.getScores()[0] : null;
+        const selectedArchetype = (typeof game !== 'undefined' && game.selectedArchetype) || DEFAULT_ARCHETYPE_ID;
+        const achievements = typeof game !== 'undefined' ? game.achievements : null;
+        const archetypesHtml = Object.values(ARCHETYPES).map(archetype => {
+            const unlocked = isArchetypeUnlocked(archetype, achievements);
+            const hint = unlocked ? archetype.description
+                : `Locked: earn the ${(typeof ACHIEVEMENTS !== 'undefined' && ACHIEVEMENTS[archetype.unlock.achievement]) ? ACHIEVEMENTS[archetype.unlock.achievement].name : archetype.unlock.achievement} achievement`;
+            return `
+                <button class="archetype-option ${archetype.id === selectedArchetype ? 'selected' : ''} ${unlocked ? '' : 'locked'}"
+                    title="${escapeAttr(hint)}" ${unlocked ? '' : 'disabled'}
+                    onclick="game.handleSelectArchetype('${escapeAttr(archetype.id)}')">
+                    <span class="archetype-icon">${unlocked ? archetype.icon : '🔒'}</span>
+                    <span class="archetype-name">${escapeHtml(archetype.name)}</span>
+                </button>
+            `;
+        }).join('');
+        const archetypeDescription = getArchetype(selectedArchetype).description;
+        const selectedStake = (typeof game !== 'undefined' && game.selectedStake) || 0;
+        const stakeUnlocked = (typeof game !== 'undefined' && game.profile) ? game.profile.data.stakeUnlocked : 0;
+        const stakesHtml = STAKES.map(stake => {
+            const unlocked = stake.level <= stakeUnlocked;
+            const hint = unlocked ? stake.description : `Locked: defeat the last boss at stake ${stake.level - 1}`;
+            return `
+                <button class="stake-option ${stake.level === selectedStake ? 'selected' : ''} ${unlocked ? '' : 'locked'}"
+                    title="${escapeAttr(hint)}" ${unlocked ? '' : 'disabled'} style="--stake-color: ${stake.color}"
+                    onclick="game.handleSelectStake(${stake.level})">
+                    ${unlocked ? stake.level : '🔒'}
+                </button>
+            `;
+        }).join('');
+        // Every stake also applies the rules of the ones below it
+        const stakeDescription = STAKES.slice(1, selectedStake + 1).map(stake => stake.description).join(' · ') || STAKES[0].description;
+        const savedRun = (typeof game !== 'undefined' && game.getResumableRun) ? game.getResumableRun() : null;
+        const continueHtml = savedRun ? `
+                    <button class="btn btn-continue-run" onclick="game.handleContinueRun()">
+                        Continue run (Round ${savedRun.pendingNextRound || savedRun.round})
+                    </button>
+        ` : '';
         const html = `
             <div class="screen start-screen">
                 <div class="start-content-wrapper">
@@ -3380,13 +3948,43 @@ class UI {
                     </div>
 
                     <div style="margin-bottom: 20px;">
-                        <input type="text" id="seed-input" placeholder="Seed (Optional)" style="background: rgba(0, 0, 0, 0.4); border: 1px solid #444; color: #fff; padding: 8px 12px; border-radius: 4px; font-family: monospace; width: 200px; text-align: center;">
+                        <input type="text" id="seed-input" placeholder="Seed or share code (Optional)" style="background: rgba(0, 0, 0, 0.4); border: 1px solid #444; color: #fff; padding: 8px 12px; border-radius: 4px; font-family: monospace; width: 200px; text-align: center;">
                     </div>
 
+                    <div class="archetype-picker">${archetypesHtml}</div>
+                    <div class="archetype-description">${escapeHtml(archetypeDescription)}</div>
+
+                    <div class="stake-picker">
+                        <span class="stake-picker-label">Stake: ${escapeHtml(getStake(selectedStake).name)}</span>
+                        ${stakesHtml}
+                    </div>
+                    <div class="archetype-description stake-description">${escapeHtml(stakeDescription)}</div>
+
+                    ${continueHtml}
+
+                    <label class="btn btn-replay btn-load-replay">
+                        Watch replay
+                        <input type="file" accept=".json,application/json" onchange="game.handleLoadReplay(this)" hidden>
+                    </label>
+
+                    <button class="btn btn-replay" onclick="game.ui.renderContentPacksScreen()">Content packs</button>
+
+                    <button class="btn btn-replay" onclick="game.ui.renderProfileScreen()">Profile</button>
+
                     <button class="btn-launch" onclick="game.handleStartTransition(this)">
                         <span class="btn-content">LAUNCH</span>
                         <span class="btn-glitch"></span>
                     </button>
+
+                    <button class="btn btn-daily" onclick="game.handleStartTransition(this, 'daily')">
+                        Daily challenge · ${today}
+                        ${todayBest ? `<span class="btn-daily-best">Best today: Round ${todayBest.round}</span>` : ''}
+                    </button>
+
+                    <button class="btn btn-daily btn-endless" onclick="game.handleStartTransition(this, 'endless')">
+                        Endless mode
+                        ${endlessBest ? `<span class="btn-daily-best">Deepest: Depth ${endlessBest.depth} (Round ${endlessBest.round})</span>` : ''}
+                    </button>
                 </div>
             </div>
         `;
@@ -1,6 +1,63 @@
 
 // Helper functions for Augment System
 
+/** Condition types an augment can declare (checkAugmentConditions); shared by content packs and the data validator */
+const AUGMENT_CONDITION_TYPES = ['forging', 'requireAugment', 'unlock', 'bonus_trigger'];
+
+/** Inner condition types of unlock / bonus_trigger and achievements (checkUnlockCondition) */
+const UNLOCK_CONDITION_TYPES = ['stat_threshold', 'item_collected', 'modifier_collected'];
+
+/**
+ * Check one unlock condition against a run (augment 'unlock' conditions, achievements.js)
+ * @param {Object} cond - { type: 'stat_threshold', stat, threshold, compare? } | { type: 'item_collected', itemId?, modifier?, attribute? }
+ *   | { type: 'modifier_collected', modId }
+ * @param {GameState} gameState
+ * @returns {boolean} true if met (unknown types pass)
+ */
+function checkUnlockCondition(cond, gameState) {
+    // Rolled items keep mods and attribute as objects; conditions name them by id
+    const idOf = (entry) => (entry && typeof entry === 'object' ? entry.id : entry);
+    const history = Array.isArray(gameState.itemHistory) ? gameState.itemHistory : [];
+
+    if (cond.type === 'stat_threshold') {
+        const statVal = (cond.stat === 'round') ? gameState.round : gameState.stats[cond.stat];
+        const threshold = cond.threshold || 0;
+        const compare = cond.compare || 'greater'; // default to >=
+
+        if (compare === 'less') {
+            // A stat that was never recorded (fastestRoundTime before the first round) isn't "less"
+            return statVal != null && statVal < threshold;
+        }
+        return (statVal || 0) >= threshold;
+    }
+    if (cond.type === 'item_collected') {
+        // Extended: itemId + optional modifiers/attributes filtering
+        const wantedItemId = cond.itemId;
+        const wantedMods = Array.isArray(cond.modifier) ? cond.modifier
+                          : (cond.modifier ? [cond.modifier] : (cond.modifiers ? (Array.isArray(cond.modifiers) ? cond.modifiers : [cond.modifiers]) : []));
+        const wantedAttr = cond.attribute || cond.attributeId;
+
+        const match = (entry) => {
+            // Base id match if provided
+            if (wantedItemId && entry.id !== wantedItemId) return false;
+            // Modifiers match: all required mods must be present
+            const have = (entry.mods || []).map(idOf);
+            if (!wantedMods.every(m => have.includes(m))) return false;
+            // Attribute match
+            if (wantedAttr && idOf(entry.attribute) !== wantedAttr) return false;
+            return true;
+        };
+        return history.some(match);
+    }
+    if (cond.type === 'modifier_collected') {
+        // Check if any collected item had the given modifier
+        const modId = cond.modID || cond.modId || cond.modifier;
+        if (!modId) return true;
+        return history.some(entry => (entry.mods || []).some(mod => idOf(mod) === modId));
+    }
+    return true;
+}
+
 function checkAugmentConditions(augment, gameState, ownedAugments) {
     if (!augment || !augment.conditions) return true;
     
@@ -8,49 +65,7 @@ function checkAugmentConditions(augment, gameState, ownedAugments) {
         // Unlock Conditions (stats, items, etc.)
         if (condition.type === 'unlock') {
             const cond = condition.condition;
-            if (!cond) continue;
-            
-            if (cond.type === 'stat_threshold') {
-                const statVal = (cond.stat === 'round') ? gameState.round : (gameState.stats[cond.stat] || 0);
-                const threshold = cond.threshold || 0;
-                const compare = cond.compare || 'greater'; // default to >=
-                
-                if (compare === 'less') {
-                    if (statVal >= threshold) return false;
-                } else {
-                    if (statVal < threshold) return false;
-                }
-            } else if (cond.type === 'item_collected') {
-                // Extended: itemId + optional modifiers/attributes filtering
-                const wantedItemId = cond.itemId;
-                const wantedMods = Array.isArray(cond.modifier) ? cond.modifier
-                                  : (cond.modifier ? [cond.modifier] : (cond.modifiers ? (Array.isArray(cond.modifiers) ? cond.modifiers : [cond.modifiers]) : []));
-                const wantedAttr = cond.attribute || cond.attributeId;
-                
-                const match = (entry) => {
-                    // Base id match if provided
-                    if (wantedItemId && entry.id !== wantedItemId) return false;
-                    // Modifiers match: all required mods must be present
-                    if (wantedMods && wantedMods.length > 0) {
-                        const have = entry.mods || [];
-                        for (const m of wantedMods) {
-                            if (!have.includes(m)) return false;
-                        }
-                    }
-                    // Attribute match
-                    if (wantedAttr && entry.attribute !== wantedAttr) return false;
-                    return true;
-                };
-                
-                const hasMatch = Array.isArray(gameState.itemHistory) && gameState.itemHistory.some(match);
-                if (!hasMatch) return false;
-            } else if (cond.type === 'modifier_collected') {
-                // Check if any collected item had the given modifier
-                const modId = cond.modID || cond.modId || cond.modifier;
-                if (!modId) continue;
-                const hasMod = Array.isArray(gameState.itemHistory) && gameState.itemHistory.some(entry => (entry.mods || []).includes(modId));
-                if (!hasMod) return false;
-            }
+            if (cond && !checkUnlockCondition(cond, gameState)) return false;
         } 
         // Requirement Conditions (other augments)
         else if (condition.type === 'requireAugment') {
@@ -85,3 +100,7 @@ function getBossAugmentById(augmentId) {
     }
     return null;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AUGMENT_CONDITION_TYPES, UNLOCK_CONDITION_TYPES, checkUnlockCondition, checkAugmentConditions, getAugmentById, getBossAugmentById };
+}
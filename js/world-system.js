@@ -1,7 +1,22 @@
 /**
  * World System
- * Handles Biomes and Random Events
+ * Handles Biomes, the route map (route-map.js) and Random Events
  * Affected by PRNG and Luck
+ *
+ * Up to CONFIG.MAX_ACTIVE_EVENTS events run at once. Event fields beyond name/rarity/duration:
+ * - biomes { desert: 2 }   that many times as likely there; route map paths show them as expected
+ * - requiresBiome [ids]    only starts in those biomes, and ends when the player leaves them
+ * - conflicts [eventIds]   never active together (either side listing the other is enough)
+ * - stacksWith [eventIds]  when set, only these events may be active alongside it
+ * - priority               merge order in getEffectiveWorldEffects (default 0); higher merges
+ *                          later, so its set rarities, guaranteed item and mod overrides win
+ * - eventEffect            world effects, plus stats (augment stats schema) added to the
+ *                          attribute pipeline while the event lasts (rolls, interest...)
+ *
+ * Biome modifiers: luck (rare-or-better tiers × luck as likely), eventRate, durationMod.
+ * Biome effects use the world effects shape (augmentPrice, modifier, item, itemValue) plus:
+ * - exclusiveItems   ITEMS that only roll in this biome
+ * - rule             { type, name, ...params } BIOME_RULES entry applied to every roll
  */
 
 const BIOMES = {
@@ -10,38 +25,203 @@ const BIOMES = {
         description: 'A peaceful meadow. Standard luck.',
         color: '#90EE90', // LightGreen
         modifiers: { luck: 1.0, eventRate: 1.0 },
-        rarity: 10
+        rarity: 10,
+        effects: {
+            exclusiveItems: ['wild_clover'],
+            itemValue: { tags: { light: { type: 'multi', value: 1.1 } } },
+            modifier: { blessed: { type: 'reduce', value: 1.5 } },
+            augmentPrice: { type: 'multi', value: 0.9 },
+            rule: { type: 'every_nth', name: 'Harvest', every: 3, multiplier: 1.25 }
+        }
     },
     'forest': {
         name: 'Mystic Forest',
         description: 'Dense trees obscure secrets. Slightly higher event rate.',
         color: '#228B22', // ForestGreen
         modifiers: { luck: 1.1, eventRate: 1.2 },
-        rarity: 15
+        rarity: 15,
+        effects: {
+            exclusiveItems: ['glowcap'],
+            itemValue: { tags: { dark: { type: 'multi', value: 1.25 } } },
+            modifier: { enchanted: { type: 'reduce', value: 2 }, shadowy: { type: 'reduce', value: 1.5 } },
+            augmentPrice: { type: 'multi', value: 1.1 },
+            rule: { type: 'refund_roll', name: 'Hidden Cache', chance: 0.1 }
+        }
     },
     'desert': {
         name: 'Scorched Desert',
         description: 'Harsh conditions. Lower event rate, but better loot.',
         color: '#F4A460', // SandyBrown
         modifiers: { luck: 1.2, eventRate: 0.8 },
-        rarity: 25
+        rarity: 25,
+        effects: {
+            exclusiveItems: ['sun_scarab'],
+            itemValue: { tags: { light: { type: 'multi', value: 1.3 }, dark: { type: 'multi', value: 0.8 } } },
+            modifier: { golden: { type: 'reduce', value: 2 }, ancient: { type: 'reduce', value: 1.5 } },
+            augmentPrice: { type: 'multi', value: 1.25 },
+            rule: { type: 'mirage', name: 'Mirage', chance: 0.08 }
+        }
     },
     'tundra': {
         name: 'Frozen Tundra',
         description: 'Bitter cold. Slows down time (events last longer).',
         color: '#E0FFFF', // LightCyan
         modifiers: { luck: 1.0, eventRate: 1.0, durationMod: 1.5 },
-        rarity: 25
+        rarity: 25,
+        effects: {
+            exclusiveItems: ['frost_lily'],
+            itemValue: { tags: { dark: { type: 'multi', value: 1.2 } } },
+            modifier: { glossy: { type: 'reduce', value: 2 } },
+            augmentPrice: { type: 'multi', value: 0.85 },
+            rule: { type: 'freeze_first', name: 'Permafrost' }
+        }
     },
     'volcano': {
         name: 'Volcanic Wastes',
         description: 'Dangerous and rich. High risk, high reward.',
         color: '#CD5C5C', // IndianRed
         modifiers: { luck: 1.5, eventRate: 1.5 },
-        rarity: 50
+        rarity: 50,
+        effects: {
+            exclusiveItems: ['obsidian_heart'],
+            itemValue: { tags: { dark: { type: 'multi', value: 1.5 }, light: { type: 'multi', value: 0.75 } } },
+            modifier: { radioactive: { type: 'reduce', value: 2 }, cursed: { type: 'reduce', value: 1.5 } },
+            augmentPrice: { type: 'multi', value: 1.2 },
+            rule: { type: 'burn_lowest', name: 'Eruption', chance: 0.25 }
+        }
+    },
+    'cyber_city': {
+        name: 'Cyber City',
+        description: 'Neon towers that never sleep. Cheap tech, overclocked rolls.',
+        color: '#22D3EE', // Cyan
+        modifiers: { luck: 1.3, eventRate: 1.3 },
+        rarity: 50,
+        effects: {
+            exclusiveItems: ['data_shard'],
+            itemValue: { tags: { light: { type: 'multi', value: 1.2 } } },
+            modifier: { holographic: { type: 'reduce', value: 3 }, corrupted: { type: 'reduce', value: 1.5 } },
+            augmentPrice: { type: 'multi', value: 0.8 },
+            rule: { type: 'every_nth', name: 'Overclock', every: 2, multiplier: 1.5 }
+        }
+    },
+    'crystal_caverns': {
+        name: 'Crystal Caverns',
+        description: 'Every sound comes back twice. Light shines brighter underground.',
+        color: '#C084FC', // Lavender
+        modifiers: { luck: 1.2, eventRate: 0.9 },
+        rarity: 25,
+        effects: {
+            exclusiveItems: ['echo_crystal'],
+            itemValue: { tags: { light: { type: 'multi', value: 1.4 } } },
+            modifier: { prismatic: { type: 'reduce', value: 2 } },
+            augmentPrice: { type: 'multi', value: 1.1 },
+            rule: { type: 'echo', name: 'Echo', chance: 0.1 }
+        }
     }
 };
 
+/**
+ * Biome rule handlers, run on every roll after the item is in the inventory (GameState.rollThing)
+ * apply: (gameState, rule, { thing }) => message | null, null when the rule did not fire
+ * describe: (rule) => player-facing text
+ * rule.chance is rolled on the biomeRules stream before apply.
+ */
+const BIOME_RULES = {
+    // { every, multiplier } every Nth roll of a round is worth more
+    every_nth: {
+        describe: (rule) => `Every ${rule.every}${{ 1: 'st', 2: 'nd', 3: 'rd' }[rule.every] || 'th'} roll of a round is worth ×${rule.multiplier}`,
+        apply: (gameState, rule, { thing }) => {
+            if (gameState.rollsUsed % rule.every !== 0) return null;
+            thing.value = Math.round(thing.value * rule.multiplier);
+            return `${rule.name}: ${thing.name} ×${rule.multiplier}`;
+        }
+    },
+    // the roll does not use up a roll
+    refund_roll: {
+        describe: (rule) => `${Math.round(rule.chance * 100)}% chance a roll is free`,
+        apply: (gameState, rule) => {
+            gameState.bonusRolls = (gameState.bonusRolls || 0) + 1;
+            return `${rule.name}: that roll was free`;
+        }
+    },
+    // the rolled item is worth nothing
+    mirage: {
+        describe: (rule) => `${Math.round(rule.chance * 100)}% chance a rolled item is a mirage worth 0`,
+        apply: (gameState, rule, { thing }) => {
+            if (thing.value === 0) return null;
+            thing.value = 0;
+            thing.mirage = true;
+            return `${rule.name}: ${thing.name} was worth nothing`;
+        }
+    },
+    // the first item of each round is frozen at its base value; thing.frozen keeps vault growth,
+    // adjacency, boss tag penalties and Gilded Mirror from moving it later (game-state.js, adjacency.js)
+    freeze_first: {
+        describe: () => 'The first item each round is frozen at its base value',
+        apply: (gameState, rule, { thing }) => {
+            const template = ITEMS[thing.id];
+            if (gameState.rollsUsed !== 1 || !template) return null;
+            thing.value = template.value;
+            thing.frozen = true;
+            return `${rule.name}: ${thing.name} froze at ${thing.value}`;
+        }
+    },
+    // the lowest-value unkept item (other than the new one) burns
+    burn_lowest: {
+        describe: (rule) => `${Math.round(rule.chance * 100)}% chance each roll burns your lowest unkept item`,
+        apply: (gameState, rule, { thing }) => {
+            let lowest = -1;
+            gameState.inventory.forEach((other, i) => {
+                if (other === thing || other.kept) return;
+                if (lowest === -1 || other.value < gameState.inventory[lowest].value) lowest = i;
+            });
+            if (lowest === -1) return null;
+            const burned = gameState.inventory.splice(lowest, 1)[0];
+            gameState._markHistory(burned, { destroyedOn: gameState.round, destroyedBy: gameState.world.currentBiomeId });
+            return `${rule.name}: ${burned.name} (${burned.value}) burned`;
+        }
+    },
+    // the rolled item is copied
+    echo: {
+        describe: (rule) => `${Math.round(rule.chance * 100)}% chance a rolled item comes twice`,
+        apply: (gameState, rule, { thing }) => {
+            const copy = { ...thing, mods: thing.mods ? thing.mods.map(mod => ({ ...mod })) : thing.mods, source: gameState.world.currentBiomeId };
+            gameState.inventory.push(copy);
+            if (gameState.itemHistory) gameState.itemHistory.push(copy);
+            return `${rule.name}: a second ${thing.name}`;
+        }
+    }
+};
+
+/**
+ * Player-facing lines for a biome's luck and effect profile
+ * @param {Object} biome - BIOMES entry
+ * @returns {Array<string>}
+ */
+function describeBiomeEffects(biome) {
+    const lines = [];
+    const effects = biome.effects || {};
+    const luck = biome.modifiers && biome.modifiers.luck;
+    if (luck && luck !== 1) lines.push(`Rare+ items ×${luck} as likely`);
+    (effects.exclusiveItems || []).forEach(itemId => {
+        if (ITEMS[itemId]) lines.push(`Exclusive: ${ITEMS[itemId].name}`);
+    });
+    Object.entries((effects.itemValue && effects.itemValue.tags) || {}).forEach(([tag, effect]) => {
+        lines.push(effect.type === 'multi' ? `${tag} items ×${effect.value} value` : `${tag} items +${effect.value} value`);
+    });
+    Object.entries(effects.modifier || {}).forEach(([modId, effect]) => {
+        if (modId === 'universal') return;
+        const name = MODS[modId] ? MODS[modId].name : modId;
+        lines.push(`${name} mods ${effect.type === 'reduce' ? 'more' : 'less'} common (×${effect.value})`);
+    });
+    if (effects.augmentPrice && effects.augmentPrice.type === 'multi') {
+        lines.push(`Shop prices ×${effects.augmentPrice.value}`);
+    }
+    const rule = effects.rule && BIOME_RULES[effects.rule.type];
+    if (rule) lines.push(`${effects.rule.name}: ${rule.describe(effects.rule)}`);
+    return lines;
+}
+
 const EVENTS = {
     'gold_rush': {
         name: 'Gold Rush',
@@ -51,11 +231,10 @@ const EVENTS = {
         rarity: 20, // 5% base chance (1/20)
         color: '#FFD700', // Gold
         textStroke: '1px #000000',
+        biomes: { desert: 2, volcano: 1.5 },
         eventEffect: {
             item: {
-                specific: {
-                    gold_nugget: { type: 'set', value: 5 } // Make gold common
-                }
+                gold_nugget: { type: 'set', value: 5 } // Make gold common
             }
         }
     },
@@ -68,6 +247,8 @@ const EVENTS = {
         rarity: 33, // ~3% base chance (1/33)
         color: '#4B0082', // Indigo
         textStroke: '1px #000000',
+        biomes: { forest: 2, tundra: 1.5 },
+        conflicts: ['blood_moon'],
         eventEffect: {
             itemValue: {
                 tags: {
@@ -76,6 +257,144 @@ const EVENTS = {
                 }
             }
         }
+    },
+    'flash_sale': {
+        name: 'Flash Sale',
+        description: 'Everything in the shop is 30% off.',
+        flavorText: 'FLASH SALE!',
+        duration: 45,
+        rarity: 60,
+        color: '#34D399', // Emerald
+        textStroke: '1px #000000',
+        biomes: { cyber_city: 2, plains: 1.5 },
+        conflicts: ['price_surge'],
+        priority: 1,
+        eventEffect: {
+            augmentPrice: { type: 'multi', value: 0.7 }
+        }
+    },
+    'price_surge': {
+        name: 'Price Surge',
+        description: 'Shop prices jump by half.',
+        flavorText: 'PRICES SOARING',
+        duration: 60,
+        rarity: 80,
+        color: '#F87171', // Red
+        textStroke: '1px #000000',
+        biomes: { desert: 1.5 },
+        conflicts: ['flash_sale'],
+        eventEffect: {
+            augmentPrice: { type: 'multi', value: 1.5 }
+        }
+    },
+    'mod_storm': {
+        name: 'Mod Storm',
+        description: 'Strange energy clings to everything. Much higher mod chance.',
+        flavorText: 'MOD STORM',
+        duration: 60,
+        rarity: 70,
+        color: '#E879F9', // Fuchsia
+        textStroke: '1px #000000',
+        biomes: { crystal_caverns: 2, cyber_city: 1.5 },
+        eventEffect: {
+            stats: { modification_chance: { type: 'add', value: 0.5 } }
+        }
+    },
+    'blood_moon': {
+        name: 'Blood Moon',
+        description: 'Curses spread. Dark items are worth more.',
+        flavorText: 'THE MOON BLEEDS',
+        duration: 999999,
+        durationRounds: 1,
+        rarity: 90,
+        color: '#B91C1C', // Crimson
+        textStroke: '1px #000000',
+        biomes: { volcano: 2, forest: 1.5 },
+        conflicts: ['eclipse'],
+        priority: 2,
+        eventEffect: {
+            modifier: {
+                cursed: { type: 'reduce', value: 3 },
+                corrupted: { type: 'reduce', value: 2 }
+            },
+            itemValue: { tags: { dark: { type: 'multi', value: 1.5 } } }
+        }
+    },
+    'rush_hour': {
+        name: 'Rush Hour',
+        description: '+1 roll per round.',
+        flavorText: 'RUSH HOUR',
+        duration: 999999,
+        durationRounds: 1,
+        rarity: 90,
+        color: '#FBBF24', // Amber
+        textStroke: '1px #000000',
+        biomes: { cyber_city: 2, plains: 1.5 },
+        eventEffect: {
+            stats: { rolls: { type: 'add', value: 1 } }
+        }
+    },
+    'sandstorm': {
+        name: 'Sandstorm',
+        description: 'One roll fewer per round, but the sand uncovers shiny things.',
+        flavorText: 'SANDSTORM',
+        duration: 999999,
+        durationRounds: 1,
+        rarity: 40,
+        color: '#D97706', // Dark amber
+        textStroke: '1px #000000',
+        requiresBiome: ['desert'],
+        stacksWith: ['gold_rush'], // Nothing else gets through the storm
+        eventEffect: {
+            stats: { rolls: { type: 'sub', value: 1 } },
+            itemValue: { tags: { light: { type: 'multi', value: 1.5 } } }
+        }
+    },
+    'bull_market': {
+        name: 'Bull Market',
+        description: '+2 max interest.',
+        flavorText: 'BULL MARKET',
+        duration: 120,
+        rarity: 100,
+        color: '#22C55E', // Green
+        textStroke: '1px #000000',
+        biomes: { plains: 1.5 },
+        conflicts: ['market_crash'],
+        eventEffect: {
+            stats: { max_interest_stacks: { type: 'add', value: 2 } }
+        }
+    },
+    'market_crash': {
+        name: 'Market Crash',
+        description: '-2 max interest, but the shop is 20% off.',
+        flavorText: 'MARKET CRASH',
+        duration: 90,
+        rarity: 100,
+        color: '#64748B', // Slate
+        textStroke: '1px #000000',
+        biomes: { cyber_city: 1.5 },
+        conflicts: ['bull_market'],
+        eventEffect: {
+            stats: { max_interest_stacks: { type: 'sub', value: 2 } },
+            augmentPrice: { type: 'multi', value: 0.8 }
+        }
+    },
+    'blizzard': {
+        name: 'Blizzard',
+        description: 'Frost Lilies bloom everywhere.',
+        flavorText: 'WHITEOUT',
+        duration: 999999,
+        durationRounds: 1,
+        rarity: 40,
+        color: '#93C5FD', // Ice blue
+        textStroke: '1px #000000',
+        requiresBiome: ['tundra'],
+        priority: 1,
+        eventEffect: {
+            item: {
+                frost_lily: { type: 'set', value: 8 }
+            }
+        }
     }
 };
 
@@ -83,6 +402,7 @@ class WorldSystem {
     constructor(gameState) {
         this.gameState = gameState;
         this.rng = null; // Will be initialized with seeded RNG
+        this.gameState.worldSystem = this; // Lets rolls, shop prices and saves reach world effects
         
         // Initialize state if not present
         if (!this.gameState.world) {
@@ -101,17 +421,40 @@ class WorldSystem {
         if (typeof createSeededRng === 'function') {
             // Derive a seed specifically for world gen from the main seed
             this.rng = createSeededRng(this.gameState._deriveSeed('world'));
-            // Separate streams for biomes and events to ensure biome sequence is deterministic
-            // regardless of event tick frequency
-            this.biomeRng = createSeededRng(this.gameState._deriveSeed('world-biome'));
+            // Separate stream for events; route maps get their own seed per route (generateRouteMap)
+            // so the biome offers never depend on event tick frequency
             this.eventRng = createSeededRng(this.gameState._deriveSeed('world-events'));
         } else {
             this.rng = Math.random;
-            this.biomeRng = Math.random;
             this.eventRng = Math.random;
         }
     }
 
+    /**
+     * Capture world stream positions for saving
+     * @returns {Object} { world, events } numeric states (null for unseeded streams)
+     */
+    getRngState() {
+        const read = (stream) => (stream && typeof stream.getState === 'function') ? stream.getState() : null;
+        return {
+            world: read(this.rng),
+            events: read(this.eventRng)
+        };
+    }
+
+    /**
+     * Restore world stream positions captured by getRngState()
+     * @param {Object} state
+     */
+    setRngState(state) {
+        if (!state) return;
+        const write = (stream, value) => {
+            if (value != null && stream && typeof stream.setState === 'function') stream.setState(value);
+        };
+        write(this.rng, state.world);
+        write(this.eventRng, state.events);
+    }
+
     /**
      * Get effective world effects from Biome and Active Events
      * Merges effects for augmentPrice, modifiers, items, etc.
@@ -125,7 +468,8 @@ class WorldSystem {
             },
             item: {
                 guaranteed: null, // Single guaranteed item ID (first one found wins)
-                specific: {}      // Map of itemId -> { type, value }
+                specific: {},     // Map of itemId -> { type, value }
+                blocked: []       // Item IDs exclusive to other biomes
             }
         };
 
@@ -136,9 +480,20 @@ class WorldSystem {
         if (biome && biome.effects) {
             sources.push(biome.effects);
         }
+        Object.values(BIOMES).forEach(other => {
+            if (other !== biome && other.effects && other.effects.exclusiveItems) {
+                effects.item.blocked.push(...other.effects.exclusiveItems);
+            }
+        });
+
+        // Add the route node's effects (e.g. a Market discounts the shop after it)
+        const node = this.getRouteNode(this.gameState.round);
+        if (node && node.effects) {
+            sources.push(node.effects);
+        }
 
-        // Add Active Event Effects
-        const activeEvents = this.getActiveEvents();
+        // Add Active Event Effects, lowest priority first so higher priorities override
+        const activeEvents = this.getActiveEvents().sort((a, b) => (a.priority || 0) - (b.priority || 0));
         activeEvents.forEach(event => {
             const eventDef = (typeof EVENTS !== 'undefined') ? EVENTS[event.id] : null;
             if (eventDef && eventDef.eventEffect) {
@@ -184,7 +539,15 @@ class WorldSystem {
                 if (!effects.itemValue) effects.itemValue = { tags: {} };
                 if (source.itemValue.tags) {
                     Object.entries(source.itemValue.tags).forEach(([tag, effect]) => {
-                        effects.itemValue.tags[tag] = effect;
+                        // Same-type effects stack (biome ×1.5 and Eclipse ×3 → ×4.5), otherwise the later one wins
+                        const current = effects.itemValue.tags[tag];
+                        if (current && current.type === effect.type && effect.type === 'multi') {
+                            effects.itemValue.tags[tag] = { type: 'multi', value: current.value * effect.value };
+                        } else if (current && current.type === effect.type && effect.type === 'add') {
+                            effects.itemValue.tags[tag] = { type: 'add', value: current.value + effect.value };
+                        } else {
+                            effects.itemValue.tags[tag] = effect;
+                        }
                     });
                 }
             }
@@ -205,10 +568,7 @@ class WorldSystem {
 
         if (selectedBiome) {
             this.gameState.world.currentBiomeId = key;
-
-            if (typeof game !== 'undefined' && game.ui) {
-                game.ui.showMessage(`Biome changed to [${selectedBiome.name}]`, 'system');
-            }
+            this._emit('biomeChanged', { biomeId: key, biome: selectedBiome, manual: true });
             return true;
         } else {
             console.warn(`Biome '${biomeId}' not found.`);
@@ -217,17 +577,11 @@ class WorldSystem {
     }
 
     /**
-     * Change Biome based on Route (Round)
-     * Called when advancing to next round
-     * Affected by PRNG, Augments, and Luck
+     * Biome weights for route map offers
+     * Affected by Luck, the biome bad-luck streak and the Explorer's Compass
+     * @returns {Array} [{ key, weight }]
      */
-    generateBiome() {
-        const biomeKeys = Object.keys(BIOMES);
-        
-        // Calculate Total Weight
-        let totalWeight = 0;
-        const weights = [];
-        
+    _getBiomeWeights() {
         // Player stats/augments can influence weights
         const attrs = this.gameState.getAttributes ? this.gameState.getAttributes() : { luck: 0 };
         const playerLuck = attrs.luck || 0;
@@ -239,11 +593,11 @@ class WorldSystem {
         }
 
         // Calculate Effective Luck for Biomes
-        // Base Player Luck + Bad Luck Streak (e.g. +1 effective luck for every 5 rounds dry)
+        // Base Player Luck + Bad Luck Streak (e.g. +1 effective luck for every 5 maps dry)
         const badLuckBonus = Math.floor(this.gameState.world.biomeBadLuckStreak / 5);
         const effectiveLuck = playerLuck + badLuckBonus;
 
-        for (const key of biomeKeys) {
+        return Object.keys(BIOMES).map(key => {
             const biome = BIOMES[key];
             // Inverse Weighting: Higher Rarity = Lower Weight (1000 / rarity)
             // Plains (10) -> 100, Volcano (50) -> 20
@@ -265,43 +619,133 @@ class WorldSystem {
             if (hasCompass && (key === 'cyber_city' || key === 'volcano')) {
                 weight *= 2.0; // Double chance for rare biomes with Compass
             }
-            
-            weights.push({ key, weight });
-            totalWeight += weight;
-        }
-        
-        // Weighted Random Selection using Seeded PRNG
-        const roll = this.biomeRng() * totalWeight;
-        let cumulative = 0;
-        let selectedBiomeKey = 'plains';
-        
-        for (const item of weights) {
-            cumulative += item.weight;
-            if (roll < cumulative) {
-                selectedBiomeKey = item.key;
-                break;
-            }
+
+            return { key, weight };
+        });
+    }
+
+    /**
+     * Offer the paths through a route: a different biome per path, its expected events and its nodes
+     * Seeded per route from the world seed; the Compass adds a path
+     * @param {number} routeIndex
+     * @returns {Object} routeMap { routeIndex, firstRound, paths: [{ biomeId, events, nodes }], chosen }
+     */
+    generateRouteMap(routeIndex) {
+        const rng = typeof createSeededRng === 'function'
+            ? createSeededRng(this.gameState._deriveSeed(`world-route:${routeIndex}`))
+            : Math.random;
+        const interval = CONFIG.BOSS_ROUND_INTERVAL;
+        const firstRound = routeIndex * interval + 1;
+        const pathCount = ROUTE_MAP_PATHS + (this.gameState.augmentsPurchased['explorers_compass'] ? 1 : 0);
+
+        // Weighted Random Selection without repeats, so every path is a different biome
+        const pool = this._getBiomeWeights();
+        const paths = [];
+        while (paths.length < pathCount && pool.length > 0) {
+            const biomeId = selectByWeight(pool.map(({ key, weight }) => ({ item: key, weight })), rng);
+            pool.splice(pool.findIndex(entry => entry.key === biomeId), 1);
+            paths.push({
+                biomeId,
+                events: this.getExpectedEvents(biomeId),
+                nodes: rollRouteNodes(rng, firstRound, interval - 1)
+            });
         }
-        
-        // Store the KEY (e.g. 'plains') so we can look it up in BIOMES later
-        this.gameState.world.currentBiomeId = selectedBiomeKey;
-        
-        const selectedBiome = BIOMES[selectedBiomeKey];
 
         // Update Bad Luck Streak
-        // If we got a Rare biome (rarity >= 25), reset streak
+        // If a Rare biome (rarity >= 25) is on offer, reset streak
         // Otherwise increment
-        if ((selectedBiome.rarity || 10) >= 25) {
-             this.gameState.world.biomeBadLuckStreak = 0;
+        if (paths.some(path => (BIOMES[path.biomeId].rarity || 10) >= 25)) {
+            this.gameState.world.biomeBadLuckStreak = 0;
         } else {
-             this.gameState.world.biomeBadLuckStreak++;
+            this.gameState.world.biomeBadLuckStreak++;
         }
 
-        if (typeof game !== 'undefined' && game.ui) {
-            game.ui.showMessage(`Entering [${selectedBiome.name}]`, 'system');
-        }
-        
-        return selectedBiome;
+        const routeMap = { routeIndex, firstRound, paths, chosen: null };
+        this.gameState.world.routeMap = routeMap;
+        this._emit('routeMapGenerated', { routeMap });
+        return routeMap;
+    }
+
+    /**
+     * @returns {Object|null} the latest route map
+     */
+    getRouteMap() {
+        return this.gameState.world.routeMap || null;
+    }
+
+    /**
+     * Pick a path of the current route map (once per map)
+     * @param {number} pathIndex
+     * @returns {Object} { success, message, path }
+     */
+    chooseRoute(pathIndex) {
+        const routeMap = this.getRouteMap();
+        if (!routeMap) return { success: false, message: 'No route to choose' };
+        if (routeMap.chosen !== null) return { success: false, message: 'Route already chosen' };
+        const path = routeMap.paths[pathIndex];
+        if (!path) return { success: false, message: 'No such path' };
+        routeMap.chosen = pathIndex;
+        this._emit('routeChosen', { routeIndex: routeMap.routeIndex, pathIndex, path });
+        return { success: true, message: `Heading into [${BIOMES[path.biomeId].name}]`, path };
+    }
+
+    /**
+     * Enter a route's biome at its first round (the first path if none was chosen)
+     * @param {number} routeIndex
+     * @returns {Object} BIOMES entry
+     */
+    enterRoute(routeIndex) {
+        let routeMap = this.getRouteMap();
+        if (!routeMap || routeMap.routeIndex !== routeIndex) routeMap = this.generateRouteMap(routeIndex);
+        if (routeMap.chosen === null) this.chooseRoute(0);
+
+        const biomeId = routeMap.paths[routeMap.chosen].biomeId;
+        this.gameState.world.currentBiomeId = biomeId;
+        const biome = BIOMES[biomeId];
+        this._emit('biomeChanged', { biomeId, biome, manual: false });
+        return biome;
+    }
+
+    /**
+     * Node of the chosen path for a round
+     * @param {number} round
+     * @returns {Object|null} ROUTE_NODE_TYPES entry merged with { type, round }
+     */
+    getRouteNode(round) {
+        const routeMap = this.getRouteMap();
+        if (!routeMap || routeMap.chosen === null) return null;
+        return resolveRouteNode(routeMap.paths[routeMap.chosen].nodes.find(node => node.round === round));
+    }
+
+    /**
+     * Events a biome makes more likely (EVENTS biomes) or is required for, most likely first
+     * @param {string} biomeId
+     * @returns {Array} event ids
+     */
+    getExpectedEvents(biomeId) {
+        const affinity = (eventId) => (EVENTS[eventId].biomes || {})[biomeId] || 1;
+        return Object.keys(EVENTS)
+            .filter(eventId => affinity(eventId) > 1 || (EVENTS[eventId].requiresBiome || []).includes(biomeId))
+            .sort((a, b) => affinity(b) - affinity(a));
+    }
+
+    /**
+     * Apply the current biome's rule (BIOME_RULES) to a fresh roll
+     * @param {Object} context - { thing } the item just rolled, already in the inventory
+     * @returns {Object|null} { biomeId, rule, message } when the rule fired
+     */
+    applyBiomeRule(context) {
+        const biomeId = this.gameState.world.currentBiomeId;
+        const biome = this.getCurrentBiome();
+        const rule = biome.effects && biome.effects.rule;
+        const handler = rule && BIOME_RULES[rule.type];
+        if (!handler) return null;
+        if (rule.chance != null && this.gameState.rngStreams.biomeRules() >= rule.chance) return null;
+        const message = handler.apply(this.gameState, rule, context);
+        if (!message) return null;
+        const fired = { biomeId, rule, message };
+        this._emit('biomeRuleTriggered', fired);
+        return fired;
     }
 
     getCurrentBiome() {
@@ -327,6 +771,7 @@ class WorldSystem {
         // Check for event expiration
         const currentTime = this.gameState.time.totalMinutes;
         const currentRound = this.gameState.round;
+        const biomeId = this.gameState.world.currentBiomeId;
         this.gameState.world.activeEvents = this.gameState.world.activeEvents.filter(evt => {
             let expired = false;
             if (evt.endRound) {
@@ -335,11 +780,12 @@ class WorldSystem {
             } else {
                 if (currentTime >= evt.endTime) expired = true;
             }
+            // Biome-restricted events end when the player leaves the biome
+            const requiresBiome = EVENTS[evt.id] && EVENTS[evt.id].requiresBiome;
+            if (requiresBiome && !requiresBiome.includes(biomeId)) expired = true;
 
             if (expired) {
-                if (typeof game !== 'undefined' && game.ui) {
-                    game.ui.showMessage(`Event Ended: ${EVENTS[evt.id].name}`, 'system');
-                }
+                this._emit('worldEventEnded', { eventId: evt.id, event: EVENTS[evt.id] });
                 return false;
             }
             return true;
@@ -347,38 +793,70 @@ class WorldSystem {
 
         // Try to trigger new event
         // Base chance modified by biome and augments
-        // Limit to 1 active event for now to keep it simple
-        if (this.gameState.world.activeEvents.length === 0) {
-            this.gameState.world.minutesSinceLastEvent++;
+        // Several events can run at once, up to CONFIG.MAX_ACTIVE_EVENTS
+        const activeCount = this.gameState.world.activeEvents.length;
+        if (activeCount === 0) this.gameState.world.minutesSinceLastEvent++;
+        if (activeCount >= CONFIG.MAX_ACTIVE_EVENTS) return;
+
+        // Luck Mitigation: Increase chance as time passes without any event
+        // Base pity chance increases by 0.1% per minute dry streak
+        const pityBonus = this.gameState.world.minutesSinceLastEvent * 0.001;
+        
+        // Also scale with player Luck stat
+        // Assuming 1 Luck = +10% relative chance? Or flat? 
+        // Let's make Luck a multiplier: (1 + Luck * 0.1)
+        const playerLuck = (this.gameState.stats && this.gameState.stats.luck) || 0;
+        const luckMult = 1 + (playerLuck * 0.05);
+
+        for (const eventId in EVENTS) {
+            if (!this.canStartEvent(eventId)) continue;
+            const event = EVENTS[eventId];
+            // Calculate Base Chance from Rarity (1 / rarity)
+            // Rarity 20 -> 0.05 (5%)
+            const baseChance = 1 / (event.rarity || 20);
+            const biomeAffinity = (event.biomes && event.biomes[biomeId]) || 1;
             
-            // Luck Mitigation: Increase chance as time passes
-            // Base pity chance increases by 0.1% per minute dry streak
-            const pityBonus = this.gameState.world.minutesSinceLastEvent * 0.001;
+            // Final Chance = (Base + Pity) * BiomeMod * Affinity * AugmentMod * Luck
+            const chance = (baseChance + pityBonus) * eventRateMod * biomeAffinity * luckMult;
             
-            // Also scale with player Luck stat
-            // Assuming 1 Luck = +10% relative chance? Or flat? 
-            // Let's make Luck a multiplier: (1 + Luck * 0.1)
-            const playerLuck = (this.gameState.stats && this.gameState.stats.luck) || 0;
-            const luckMult = 1 + (playerLuck * 0.05);
-
-            for (const eventId in EVENTS) {
-                const event = EVENTS[eventId];
-                // Calculate Base Chance from Rarity (1 / rarity)
-                // Rarity 20 -> 0.05 (5%)
-                const baseChance = 1 / (event.rarity || 20);
-                
-                // Final Chance = (Base + Pity) * BiomeMod * AugmentMod * Luck
-                const chance = (baseChance + pityBonus) * eventRateMod * luckMult;
-                
-                if (this.eventRng() < chance) {
-                    this.triggerEvent(eventId);
-                    this.gameState.world.minutesSinceLastEvent = 0; // Reset pity
-                    break; // Only one event per tick
-                }
+            if (this.eventRng() < chance) {
+                this.triggerEvent(eventId);
+                this.gameState.world.minutesSinceLastEvent = 0; // Reset pity
+                break; // Only one event per tick
             }
         }
     }
 
+    /**
+     * True if an event may start now: not already running, in an allowed biome,
+     * and neither side's conflicts / stacksWith rule out the active events
+     * @param {string} eventId
+     * @returns {boolean}
+     */
+    canStartEvent(eventId) {
+        const event = EVENTS[eventId];
+        if (!event) return false;
+        if (event.requiresBiome && !event.requiresBiome.includes(this.gameState.world.currentBiomeId)) return false;
+        return this.gameState.world.activeEvents.every(active => {
+            const other = EVENTS[active.id] || {};
+            if (active.id === eventId) return false;
+            if ((event.conflicts || []).includes(active.id) || (other.conflicts || []).includes(eventId)) return false;
+            if (event.stacksWith && !event.stacksWith.includes(active.id)) return false;
+            if (other.stacksWith && !other.stacksWith.includes(eventId)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Time left on an active event
+     * @param {Object} activeEvent - entry of getActiveEvents()
+     * @returns {Object} { rounds } for round-based events, { minutes } otherwise
+     */
+    getEventTimeLeft(activeEvent) {
+        if (activeEvent.endRound) return { rounds: Math.max(0, activeEvent.endRound - (this.gameState.round || 1)) };
+        return { minutes: Math.max(0, activeEvent.endTime - this.gameState.time.totalMinutes) };
+    }
+
     triggerEvent(eventId) {
         const event = EVENTS[String(eventId).toLowerCase()];
         const currentTime = this.gameState.time.totalMinutes;
@@ -400,10 +878,15 @@ class WorldSystem {
         
         this.gameState.world.activeEvents.push(activeEvent);
         
-        if (typeof game !== 'undefined' && game.ui) {
-        // Trigger UI update to show flavor text in header
-            if (game.ui.updateTimeDisplay) game.ui.updateTimeDisplay();
-        }
+        // UI listens for this to show flavor text in header
+        this._emit('worldEventStarted', { eventId, event, activeEvent });
+    }
+
+    /**
+     * Publish a world event on the game state's bus (no-op when running without one)
+     */
+    _emit(eventName, payload) {
+        if (this.gameState.events) this.gameState.events.emit(eventName, payload);
     }
 
     getActiveEvents() {
@@ -414,3 +897,7 @@ class WorldSystem {
         });
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BIOMES, BIOME_RULES, EVENTS, describeBiomeEffects, WorldSystem };
+}
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Balance Simulator (Node only)
+ * Plays N seeded runs per bot policy on GameEngine and reports how far they get
+ * against the round cost curve (CONFIG.getNormalRoundCost / getBossChipCost).
+ *
+ *   node tools/simulate.js --runs 500 --policy all --format csv --out before.csv
+ *
+ * Options:
+ *   --runs N          runs per policy (default 200)
+ *   --policy NAME     greedy | cheapest | hoard | all, or a path to a policy module (default all)
+ *   --seed PREFIX     seed prefix, run i of policy p uses "<prefix>-<p>-<i>" (default sim)
+ *   --max-rounds N    stop surviving runs after this round (default 50)
+ *   --format F        json | csv (default json)
+ *   --out FILE        write the report to a file instead of stdout
+ *
+ * A policy module exports { name, description, shop(ctx) }. shop() is called once per
+ * shop visit with ctx = { engine, gameState, offers(), buy(offer), reroll() }.
+ * An optional bossReward(ctx, options) returns the boss augment ids to take; by default
+ * the first CONFIG.BOSS_AUGMENT_PICK_COUNT offered are taken. An optional route(ctx, routeMap)
+ * returns the route map path to take; by default the first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine, CONFIG, isBossRound } = require('../js/core');
+
+/** Affordable, buyable offers in the current shop */
+function getBuyableOffers(engine) {
+    const cash = engine.gameState.cash;
+    return engine.shop.getAvailableItems().filter(offer => !offer.owned && !offer.conflicted && offer.cost <= cash);
+}
+
+const POLICIES = {
+    greedy: {
+        name: 'greedy',
+        description: 'Buy the most expensive affordable augment until nothing fits',
+        shop(ctx) {
+            let offers = ctx.offers().sort((a, b) => b.cost - a.cost);
+            while (offers.length > 0 && ctx.buy(offers[0])) {
+                offers = ctx.offers().sort((a, b) => b.cost - a.cost);
+            }
+        }
+    },
+    cheapest: {
+        name: 'cheapest',
+        description: 'Buy the cheapest affordable augment until nothing fits',
+        shop(ctx) {
+            let offers = ctx.offers().sort((a, b) => a.cost - b.cost);
+            while (offers.length > 0 && ctx.buy(offers[0])) {
+                offers = ctx.offers().sort((a, b) => a.cost - b.cost);
+            }
+        }
+    },
+    hoard: {
+        name: 'hoard',
+        description: 'Keep enough cash for max interest, only spend the surplus',
+        shop(ctx) {
+            const attrs = ctx.gameState.getAttributes();
+            const reserve = (attrs.max_interest_stacks || 5) * 5;
+            const fits = () => ctx.offers()
+                .filter(offer => ctx.gameState.cash - offer.cost >= reserve)
+                .sort((a, b) => b.cost - a.cost);
+            let offers = fits();
+            while (offers.length > 0 && ctx.buy(offers[0])) {
+                offers = fits();
+            }
+        }
+    }
+};
+
+/**
+ * Load a built-in policy by name or a policy module by path
+ * @param {string} nameOrPath
+ * @returns {Object} policy
+ */
+function loadPolicy(nameOrPath) {
+    if (POLICIES[nameOrPath]) return POLICIES[nameOrPath];
+    const policy = require(path.resolve(nameOrPath));
+    if (!policy || typeof policy.shop !== 'function') {
+        throw new Error(`Policy '${nameOrPath}' must export a shop(ctx) function`);
+    }
+    return { ...policy, name: policy.name || path.basename(nameOrPath, '.js') };
+}
+
+/**
+ * Play one run to game over (or maxRounds)
+ * @param {Object} policy
+ * @param {string} seedString
+ * @param {number} maxRounds
+ * @returns {Object} { seedString, finalRound, died, rounds: [{ round, chips, cash, nextCost, nextIsBoss, canAdvance }] }
+ */
+function simulateRun(policy, seedString, maxRounds) {
+    const engine = new GameEngine();
+    engine.newRun(seedString);
+    const secondsPerRoll = CONFIG.ROLL_ANIMATION_MS / 1000;
+
+    const ctx = {
+        engine,
+        gameState: engine.gameState,
+        offers: () => getBuyableOffers(engine),
+        buy: (offer) => engine.buyAugment(offer.id).success,
+        reroll: () => engine.rerollShop().success
+    };
+
+    const rounds = [];
+    let died = false;
+    for (;;) {
+        const routeMap = engine.getPendingRouteChoice();
+        if (routeMap) engine.chooseRoute(typeof policy.route === 'function' ? policy.route(ctx, routeMap) : 0);
+
+        const start = engine.startRound();
+        if (!start.success) {
+            died = true;
+            break;
+        }
+
+        while (engine.canRoll()) {
+            engine.roll();
+            // Keep the clock moving like a player watching the roll animation
+            engine.tick(secondsPerRoll);
+        }
+
+        const summary = engine.endRound();
+        rounds.push({
+            round: summary.round,
+            chips: summary.chips,
+            cash: summary.totalCash,
+            nextCost: summary.nextCost,
+            nextIsBoss: summary.isBossNext,
+            canAdvance: summary.canAdvance
+        });
+
+        if (!summary.canAdvance) {
+            died = true;
+            break;
+        }
+        if (summary.round >= maxRounds) break;
+
+        if (engine.openBossReward()) {
+            const options = engine.gameState.pendingBossReward.augmentOptions;
+            const picks = typeof policy.bossReward === 'function'
+                ? policy.bossReward(ctx, options)
+                : options.slice(0, CONFIG.BOSS_AUGMENT_PICK_COUNT).map(augment => augment.id);
+            picks.forEach(augmentId => engine.chooseBossAugment(augmentId));
+            if (!engine.confirmBossReward().success) throw new Error(`Policy '${policy.name}' left the boss reward unclaimed`);
+        } else {
+            engine.enterShop();
+        }
+        policy.shop(ctx);
+    }
+
+    return { seedString, finalRound: engine.gameState.round, died, rounds };
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round3(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Run a policy N times and aggregate per round
+ * @param {Object} policy
+ * @param {Object} options - { runs, seedPrefix, maxRounds }
+ * @returns {Object} policy report
+ */
+function simulatePolicy(policy, { runs, seedPrefix, maxRounds }) {
+    const results = [];
+    for (let i = 0; i < runs; i++) {
+        results.push(simulateRun(policy, `${seedPrefix}-${policy.name}-${i}`, maxRounds));
+    }
+
+    const byRound = new Map();
+    for (const result of results) {
+        for (const entry of result.rounds) {
+            if (!byRound.has(entry.round)) byRound.set(entry.round, []);
+            byRound.get(entry.round).push(entry);
+        }
+    }
+
+    const rounds = [...byRound.keys()].sort((a, b) => a - b).map(round => {
+        const entries = byRound.get(round);
+        const cleared = entries.filter(entry => entry.canAdvance).length;
+        // Costs differ per run (stakes, route nodes), so compare each run against its own cost
+        const ratios = entries.filter(entry => entry.nextCost > 0).map(entry => entry.chips / entry.nextCost);
+        return {
+            round,
+            reached: entries.length,
+            cleared,
+            survivalRate: round3(cleared / entries.length),
+            deaths: entries.length - cleared,
+            medianChips: median(entries.map(entry => entry.chips)),
+            medianNextCost: median(entries.map(entry => entry.nextCost)),
+            nextIsBoss: isBossRound(round + 1),
+            medianChipsToCost: round3(median(ratios)),
+            medianCash: median(entries.map(entry => entry.cash))
+        };
+    });
+
+    const deathsByRound = {};
+    results.filter(result => result.died).forEach(result => {
+        // The round a run dies on is the one it could not pay to enter
+        const deathRound = result.rounds.length > 0 ? result.rounds[result.rounds.length - 1].round + 1 : 1;
+        deathsByRound[deathRound] = (deathsByRound[deathRound] || 0) + 1;
+    });
+
+    const finalRounds = results.map(result => result.finalRound);
+    return {
+        policy: policy.name,
+        description: policy.description || '',
+        runs,
+        survivedToCap: results.filter(result => !result.died).length,
+        medianFinalRound: median(finalRounds),
+        maxFinalRound: Math.max(...finalRounds),
+        deathsByRound,
+        rounds
+    };
+}
+
+/**
+ * Flatten a report into CSV, one row per policy and round
+ * @param {Object} report
+ * @returns {string}
+ */
+function toCsv(report) {
+    const columns = ['policy', 'round', 'reached', 'cleared', 'survivalRate', 'deaths',
+        'medianChips', 'medianNextCost', 'nextIsBoss', 'medianChipsToCost', 'medianCash'];
+    const lines = [columns.join(',')];
+    for (const policyReport of report.policies) {
+        for (const row of policyReport.rounds) {
+            lines.push(columns.map(column => {
+                const value = column === 'policy' ? policyReport.policy : row[column];
+                return value === null ? '' : String(value);
+            }).join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const options = { runs: 200, policy: 'all', seedPrefix: 'sim', maxRounds: 50, format: 'json', out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        switch (flag) {
+            case '--runs': options.runs = parseInt(value, 10); i++; break;
+            case '--policy': options.policy = value; i++; break;
+            case '--seed': options.seedPrefix = value; i++; break;
+            case '--max-rounds': options.maxRounds = parseInt(value, 10); i++; break;
+            case '--format': options.format = value; i++; break;
+            case '--out': options.out = value; i++; break;
+            default:
+                throw new Error(`Unknown option '${flag}'`);
+        }
+    }
+    if (!(options.runs > 0)) throw new Error('--runs must be a positive number');
+    if (!(options.maxRounds > 0)) throw new Error('--max-rounds must be a positive number');
+    if (options.format !== 'json' && options.format !== 'csv') throw new Error('--format must be json or csv');
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`[Simulate] ${e.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const policies = options.policy === 'all'
+        ? Object.values(POLICIES)
+        : options.policy.split(',').map(loadPolicy);
+
+    const report = {
+        runs: options.runs,
+        seedPrefix: options.seedPrefix,
+        maxRounds: options.maxRounds,
+        scaling: CONFIG.ROUND_COST_SCALING,
+        policies: policies.map(policy => simulatePolicy(policy, options))
+    };
+
+    const output = options.format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`[Simulate] Wrote ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { POLICIES, loadPolicy, simulateRun, simulatePolicy, toCsv };
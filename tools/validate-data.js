@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Data Validator (Node only)
+ * Checks AUGMENTS, MODS and boss augments for broken references and typos.
+ *
+ *   node tools/validate-data.js [--pack winter.json ...] [--strict]
+ *
+ * Exits with 1 when there are errors (or warnings, with --strict).
+ * --pack merges content packs first so their entries are checked against the base game.
+ */
+
+const fs = require('fs');
+
+const { validateGameData, applyContentPacks } = require('../js/core');
+
+function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const packs = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--pack') {
+            packs.push(JSON.parse(fs.readFileSync(args[++i], 'utf8')));
+        } else if (args[i] !== '--strict') {
+            console.error(`[Validate] Unknown option '${args[i]}'`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    if (packs.length > 0) {
+        const merged = applyContentPacks(packs);
+        merged.errors.forEach(error => console.error(`pack error   ${error}`));
+        if (merged.errors.length > 0) process.exitCode = 1;
+    }
+
+    const result = validateGameData();
+    result.errors.forEach(error => console.error(`error   ${error}`));
+    result.warnings.forEach(warning => console.error(`warning ${warning}`));
+    console.error(`[Validate] ${result.errors.length} errors, ${result.warnings.length} warnings`);
+
+    if (result.errors.length > 0 || (strict && result.warnings.length > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+main();